@@ -3,6 +3,76 @@
  * Main application logic for session management and transcription
  */
 
+// Refresh the session token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Retry delay after a refresh failed for a transient reason
+const TOKEN_REFRESH_RETRY_MS = 30 * 1000;
+
+// Transcript upload batching and retry
+const TRANSCRIPT_BATCH_SIZE = 20;
+const TRANSCRIPT_FLUSH_DELAY_MS = 2000;
+const TRANSCRIPT_RETRY_MIN_MS = 2000;
+const TRANSCRIPT_RETRY_MAX_MS = 60 * 1000;
+
+// Server-side transcription: PCM sample rate, and reconnect backoff for the audio WebSocket
+const STT_SAMPLE_RATE = 16000;
+const STT_RECONNECT_MS = 2000;
+const STT_MAX_RECONNECTS = 3;
+
+// Reconnection: how long the SDK may try to recover on its own, then our rejoin backoff
+const SDK_RECONNECT_TIMEOUT_MS = 20 * 1000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+const RECONNECT_MAX_ATTEMPTS = 8;
+
+// The SDK closes the session with one of these when the host removed us or ended it
+const HOST_CLOSED_REASONS = ['kicked by host', 'ended by host', 'expeled by host'];
+
+// Live transcript: minimum gap between interim updates, and reconnect delay after the stream is refused
+const LIVE_INTERIM_THROTTLE_MS = 300;
+const LIVE_RECONNECT_MS = 5000;
+
+// Languages offered by the transcription language picker (BCP 47 tags understood by the Web Speech API)
+const TRANSCRIPTION_LANGUAGES = [
+    { code: 'en-US', label: 'English (US)' },
+    { code: 'en-GB', label: 'English (UK)' },
+    { code: 'es-ES', label: 'Español (España)' },
+    { code: 'es-MX', label: 'Español (México)' },
+    { code: 'fr-FR', label: 'Français' },
+    { code: 'de-DE', label: 'Deutsch' },
+    { code: 'it-IT', label: 'Italiano' },
+    { code: 'pt-BR', label: 'Português (Brasil)' },
+    { code: 'pt-PT', label: 'Português (Portugal)' },
+    { code: 'nl-NL', label: 'Nederlands' },
+    { code: 'pl-PL', label: 'Polski' },
+    { code: 'ru-RU', label: 'Русский' },
+    { code: 'tr-TR', label: 'Türkçe' },
+    { code: 'hi-IN', label: 'हिन्दी' },
+    { code: 'ja-JP', label: '日本語' },
+    { code: 'ko-KR', label: '한국어' },
+    { code: 'zh-CN', label: '中文 (简体)' },
+    { code: 'zh-TW', label: '中文 (繁體)' },
+    { code: 'vi-VN', label: 'Tiếng Việt' }
+];
+
+// UI languages accepted by client.init(); Zoom uses its own tags for Japanese and Korean
+const SDK_LANGUAGES = ['en-US', 'de-DE', 'es-ES', 'fr-FR', 'jp-JP', 'pt-PT', 'ru-RU', 'zh-CN', 'zh-TW', 'ko-KO', 'vi-VN', 'it-IT'];
+
+// localStorage key for the language this user picked; unset means "follow the session"
+const LANGUAGE_PREFERENCE_KEY = 'transcription-language';
+
+// localStorage key for the transcription engine: 'browser' (the default) or 'server'
+const ENGINE_PREFERENCE_KEY = 'transcription-engine';
+
+// localStorage key for the video layout: 'gallery' (the default) or 'speaker'
+const LAYOUT_PREFERENCE_KEY = 'video-layout';
+
+// localStorage key for voice commands: 'on' when the user enabled them (they are off by default)
+const VOICE_COMMANDS_PREFERENCE_KEY = 'voice-commands';
+
+// sessionStorage key for the identity provider's token, handed to the page as #access_token=<token>
+const AUTH_TOKEN_KEY = 'auth-token';
+
 class ZoomVideoApp {
     constructor() {
         this.client = null;
@@ -11,6 +81,66 @@ class ZoomVideoApp {
         this.transcriptionManager = null;
         this.audioCapture = null;
         this.currentSession = null;
+        // Bearer token from our identity provider, sent with token requests when set
+        this.authToken = loadAuthToken();
+        // Latest Video SDK token, kept fresh for reconnects
+        this.token = null;
+        this.tokenRefreshTimer = null;
+        this.transcriptUploader = null;
+        this.liveTranscript = null;
+        this.lastSession = null;
+        // The user's own language choice (null follows the session language)
+        this.languagePreference = loadLanguagePreference();
+        this.sessionSettings = null;
+        this.transcriptionEngine = loadPreference(ENGINE_PREFERENCE_KEY) || 'browser';
+        // Talk time per participant; kept after leaving for the report
+        this.speakingAnalytics = null;
+        // In-session chat (see SessionChat); kept after leaving so it can be exported
+        this.chat = new SessionChat();
+        // Participant tiles (see VideoLayout), created on join
+        this.videoLayout = null;
+        this.layoutMode = loadPreference(LAYOUT_PREFERENCE_KEY) || 'gallery';
+        // Our screen share and others' (see ScreenShare), created on join
+        this.screenShare = null;
+        // Camera, microphone and speaker choices, the pre-join preview, and join muted / video off
+        this.devices = new DeviceManager();
+        // Participant list and host controls (see SessionParticipants)
+        this.participants = new SessionParticipants();
+        this.participants.onNotice = (message) => this.onHostNotice(message);
+        this.participants.onUnmuteRequested = () => this.onUnmuteRequested();
+        this.participants.onVideoStopRequested = (byName) => this.stopVideoForHost(byName);
+        // Network levels for the tiles, and samples uploaded for the quality report (see MediaTelemetry)
+        this.telemetry = new MediaTelemetry();
+        this.telemetry.onQualityChanged = (userId, quality) => {
+            this.videoLayout?.setNetworkQuality(userId, quality);
+            if (userId === this.client?.getCurrentUserInfo()?.userId) {
+                this.onNetworkQualityChanged(quality);
+            }
+        };
+        this.telemetry.onStatsChanged = (current) => this.onMediaStatsChanged(current);
+        // Whether the host has locked the session (from the server when we join)
+        this.sessionLocked = false;
+        // Hosts: people waiting to be let in (see WaitingRoomQueue); participants: our own wait
+        this.waitingRoom = new WaitingRoomQueue();
+        this.waitingRoom.onArrived = (entry) => this.onWaitingRoomArrival(entry);
+        this.lobby = null;
+        // 'disconnected', 'connecting', 'connected', 'reconnecting' or 'failed' (see setConnectionState)
+        this.connectionState = 'disconnected';
+        // While reconnecting: { attempt, timer, sdkTimer, resume: { transcribing, videoOn, muted } }
+        this.reconnect = null;
+        this.rejoining = false;
+        this.leaving = false;
+        // Set while the Closed event from our own leave (during a rejoin) may still arrive
+        this.expectingClose = false;
+        this.listenersAttached = false;
+        // Coming back online skips the rest of the backoff
+        window.addEventListener('online', () => {
+            if (this.reconnect && !this.rejoining) this.reconnectNow();
+        });
+        // "Hey zoom, mute" and friends; pages can register their own commands
+        this.voiceCommands = new VoiceCommands();
+        this.voiceCommands.enabled = loadPreference(VOICE_COMMANDS_PREFERENCE_KEY) === 'on';
+        this.registerVoiceCommands();
     }
 
     /**
@@ -31,14 +161,18 @@ class ZoomVideoApp {
                 throw new Error('Zoom Video SDK not found');
             }
 
+            const language = this.languagePreference || navigator.language || 'en-US';
+
             this.client = VideoClient.createClient();
-            this.client.init('en-US', 'Global', { patchJsMedia: true });
+            this.client.init(sdkLanguageFor(language), 'Global', { patchJsMedia: true });
             
             // Initialize transcription manager
-            this.transcriptionManager = new TranscriptionManager();
+            this.transcriptionManager = new TranscriptionManager(language);
+            this.transcriptionManager.commands = this.voiceCommands;
             
-            // Initialize audio capture
+            // Initialize audio capture; the lobby level meter and transcription share it
             this.audioCapture = new AudioCapture();
+            this.devices.audioCapture = this.audioCapture;
             
             return true;
         } catch (error) {
@@ -70,15 +204,39 @@ class ZoomVideoApp {
         });
     }
 
+    /**
+     * Register a session on the server
+     * Returns the session record including the session key to share with participants
+     */
+    async createSession(sessionName, sessionKey, settings) {
+        const response = await fetch('/api/sessions', {
+            method: 'POST',
+            headers: this.authHeaders(),
+            body: JSON.stringify({ sessionName, sessionKey: sessionKey || undefined, settings })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Failed to create session');
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
     /**
      * Generate JWT token from server
+     * Optional token fields (expiresIn, geoRegions, cloudRecordingOption, ...) go in `options`
      */
-    async generateToken(sessionName, role, sessionKey, userIdentity) {
+    async generateToken(sessionName, role, sessionKey, userIdentity, options = {}) {
         try {
             const response = await fetch('/api/generate-token', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.authHeaders(),
                 body: JSON.stringify({
+                    ...options,
                     sessionName,
                     role: parseInt(role),
                     sessionKey,
@@ -89,15 +247,49 @@ class ZoomVideoApp {
             const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to generate token');
+                const error = new Error(data.error || 'Failed to generate token');
+                // 'waiting_room': ask to be let in with requestAdmission() instead
+                error.code = data.code;
+                throw error;
             }
 
             return data.token;
         } catch (error) {
-            throw new Error(`Token generation failed: ${error.message}`);
+            throw Object.assign(new Error(`Token generation failed: ${error.message}`), { code: error.code });
+        }
+    }
+
+    /**
+     * JSON headers for requests the server authenticates (session, token and refresh requests),
+     * with our identity provider's token when we have one
+     */
+    authHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.authToken) {
+            headers.Authorization = `Bearer ${this.authToken}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Wait in the session's waiting room and return a token once a host lets us in.
+     * Rejects if the host denies us, nobody answers in time, or cancelAdmission() is called.
+     */
+    async requestAdmission(sessionName, sessionKey, userIdentity, options = {}) {
+        this.lobby = new WaitingRoomLobby(sessionName, { authToken: this.authToken });
+        this.lobby.onStatus = (status) => this.onWaitingRoomStatus(status);
+        try {
+            const data = await this.lobby.join({ sessionKey, userIdentity, options });
+            return data.token;
+        } finally {
+            this.lobby = null;
         }
     }
 
+    cancelAdmission() {
+        this.lobby?.cancel();
+    }
+
     /**
      * Join a video session
      */
@@ -107,12 +299,40 @@ class ZoomVideoApp {
                 await this.initSDK();
             }
 
+            this.setConnectionState('connecting');
             await this.client.join(sessionName, token, userName);
             this.isJoined = true;
-            this.currentSession = { sessionName, userName, role };
+            this.currentSession = { sessionName, userName, role, joinedAt: new Date().toISOString() };
+
+            // Keep the token fresh for as long as we stay in the session
+            this.token = token;
+            this.scheduleTokenRefresh();
+
+            this.transcriptionManager.currentUserId = this.client.getCurrentUserInfo()?.userId;
+
+            // Share segments with everyone in the session and show theirs
+            this.liveTranscript = new LiveTranscriptChannel(
+                sessionName,
+                () => this.token,
+                (segment) => this.transcriptionManager.receiveSegment(segment),
+                (settings) => this.applySessionSettings(settings)
+            );
+            this.transcriptionManager.live = this.liveTranscript;
+            this.liveTranscript.connect();
 
-            // Get media stream
-            this.stream = this.client.getMediaStream();
+            // Transcribe in the session language unless the user picked their own
+            const session = await this.loadSessionSettings(sessionName);
+            this.currentSession.startedAt = session?.createdAt || null;
+
+            // Stream final transcript segments to the server
+            this.transcriptUploader = new TranscriptUploader(sessionName, () => this.token, session?.createdAt);
+            this.transcriptionManager.uploader = this.transcriptUploader;
+            await this.transcriptionManager.setProvider(this.createTranscriptionProvider(sessionName));
+
+            this.attachMedia();
+
+            this.speakingAnalytics = new SpeakingAnalytics();
+            this.speakingAnalytics.start();
 
             // Setup event listeners
             this.setupEventListeners();
@@ -123,80 +343,585 @@ class ZoomVideoApp {
             // Start transcription
             await this.transcriptionManager.start(userName);
 
+            this.setConnectionState('connected');
             return true;
         } catch (error) {
             console.error('Join session error:', error);
+            this.setConnectionState('disconnected');
             throw error;
         }
     }
 
     /**
-     * Start video and audio
+     * Hook chat, devices, tiles, screen share and host controls up to the session we are in.
+     * Runs on join and again after a rejoin (our user id changes, so everything starts fresh).
+     */
+    attachMedia() {
+        const { sessionName, userName } = this.currentSession;
+        this.chat.attach(this.client, sessionName, userName);
+
+        // Get media stream
+        this.stream = this.client.getMediaStream();
+        this.devices.attach(this.client, this.stream);
+
+        // One tile per participant
+        this.videoLayout = new VideoLayout(document.getElementById('video-gallery'), { mode: this.layoutMode });
+        this.videoLayout.onLayoutChanged = (state) => this.onLayoutChanged(state);
+        this.videoLayout.attach(this.client, this.stream);
+        this.telemetry.attach(this.client, this.stream, sessionName, () => this.token);
+
+        // A remote share takes the main area and the tiles move to a strip
+        this.screenShare = new ScreenShare({
+            view: document.getElementById('share-view'),
+            video: document.getElementById('share-video'),
+            canvas: document.getElementById('share-canvas')
+        });
+        this.screenShare.onRemoteShareChanged = (share) => {
+            if (this.videoLayout) {
+                this.videoLayout.setSharing(!!share);
+            }
+            this.onRemoteShareChanged(share);
+        };
+        this.screenShare.onLocalShareChanged = (sharing, reason) => this.onScreenShareChanged(sharing, reason);
+        this.screenShare.onPrivilegeChanged = (rules) => this.onSharePrivilegeChanged(rules);
+        this.screenShare.attach(this.client, this.stream);
+
+        this.participants.attach(this.client, this.stream, {
+            lockSession: (locked) => this.lockSession(sessionName, locked),
+            locked: this.sessionLocked
+        });
+
+        // Only host tokens may manage the waiting room
+        if (this.getTokenClaims(this.token)?.role_type === 1) {
+            this.waitingRoom.attach(sessionName, () => this.token);
+        }
+    }
+
+    /**
+     * Undo attachMedia()
+     */
+    async detachMedia() {
+        await this.telemetry.detach();
+        if (this.screenShare) {
+            await this.screenShare.detach();
+            this.screenShare = null;
+        }
+        if (this.videoLayout) {
+            this.videoLayout.detach();
+            this.videoLayout = null;
+        }
+        this.chat.detach();
+        this.devices.detach();
+        this.participants.detach();
+        this.waitingRoom.detach();
+    }
+
+    /**
+     * Fetch the session's shared settings and apply them
+     * Returns the public session info, or null if it could not be loaded
      */
-    async startMedia() {
+    async loadSessionSettings(sessionName) {
         try {
-            // Start video
-            await this.stream.startVideo();
-            console.log('Video started successfully');
+            const response = await fetch(`/api/sessions/${encodeURIComponent(sessionName)}`);
+            const data = await response.json();
 
-            // Start audio
-            await this.stream.startAudio();
-            console.log('Audio started successfully');
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load session settings');
+            }
 
-            // Render own video
-            this.renderOwnVideo();
+            this.sessionLocked = !!data.locked;
+            this.applySessionSettings(data.settings || {});
+            return data;
+        } catch (error) {
+            console.warn('Could not load session settings:', error);
+            return null;
+        }
+    }
 
-            // Start audio capture for transcription
-            await this.audioCapture.start();
-            this.audioCapture.onAudioData((audioData) => {
-                // Audio data is captured, transcription handles it via microphone
+    /**
+     * Session settings changed (on join, or broadcast by the host during the session)
+     */
+    applySessionSettings(settings) {
+        this.sessionSettings = settings;
+        if (settings.language && !this.languagePreference) {
+            this.transcriptionManager.setLanguage(settings.language);
+        }
+        this.onSessionSettingsChanged(settings);
+    }
+
+    /**
+     * Change the host-controlled session settings. Only works with a host token.
+     */
+    async updateSessionSettings(sessionName, changes) {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionName)}/settings`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.token}`
+            },
+            body: JSON.stringify(changes)
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to update session settings');
+        }
+
+        return data;
+    }
+
+    /**
+     * Turn the waiting room on or off. Turning it off lets in everyone still waiting.
+     */
+    async setWaitingRoom(sessionName, enabled) {
+        const session = await this.updateSessionSettings(sessionName, { waitingRoom: !!enabled });
+        this.applySessionSettings(session.settings);
+        return session;
+    }
+
+    /**
+     * Lock or unlock the session on the server: while locked, nobody new can get a token.
+     * Only works with a host token.
+     */
+    async lockSession(sessionName, locked) {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionName)}/lock`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.token}`
+            },
+            body: JSON.stringify({ locked })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to lock session');
+        }
+
+        this.sessionLocked = !!data.locked;
+        return data;
+    }
+
+    /**
+     * Pick the transcription language for this user; null goes back to the session language.
+     * The choice is remembered across reloads and applied immediately if transcription is running.
+     */
+    setTranscriptionLanguage(language) {
+        this.languagePreference = language || null;
+        saveLanguagePreference(this.languagePreference);
+
+        const effective = this.languagePreference || this.sessionSettings?.language || navigator.language || 'en-US';
+        this.transcriptionManager.setLanguage(effective);
+        return effective;
+    }
+
+    /**
+     * Provider for the selected transcription engine. Browsers without speech recognition
+     * (anything but Chromium) use the server engine.
+     */
+    createTranscriptionProvider(sessionName) {
+        const browser = new WebSpeechProvider();
+        if (this.transcriptionEngine !== 'server' && browser.isSupported()) {
+            return browser;
+        }
+
+        return new StreamingSttProvider({
+            sessionName,
+            getToken: () => this.token,
+            audioCapture: this.audioCapture
+        });
+    }
+
+    /**
+     * Choose the transcription engine ('browser' or 'server'). Remembered across reloads;
+     * a running transcription switches immediately.
+     */
+    async setTranscriptionEngine(engine) {
+        this.transcriptionEngine = engine;
+        savePreference(ENGINE_PREFERENCE_KEY, engine === 'server' ? engine : null);
+
+        if (this.currentSession) {
+            await this.transcriptionManager.setProvider(this.createTranscriptionProvider(this.currentSession.sessionName));
+        }
+    }
+
+    /**
+     * Turn voice commands on or off. Remembered across reloads.
+     */
+    setVoiceCommandsEnabled(enabled) {
+        this.voiceCommands.enabled = !!enabled;
+        savePreference(VOICE_COMMANDS_PREFERENCE_KEY, enabled ? 'on' : null);
+    }
+
+    /**
+     * Built-in voice commands. Register a command under the same name to replace one.
+     */
+    registerVoiceCommands() {
+        this.voiceCommands
+            .register('mute', {
+                description: 'Mute microphone',
+                phrases: [/^(?:mute(?: me)?|mute (?:my )?(?:mic|microphone|audio)|turn off (?:my )?(?:mic|microphone|audio))$/],
+                action: () => this.setMuted(true)
+            })
+            .register('unmute', {
+                description: 'Unmute microphone',
+                phrases: [/^(?:unmute(?: me)?|unmute (?:my )?(?:mic|microphone|audio)|turn on (?:my )?(?:mic|microphone|audio))$/],
+                action: () => this.setMuted(false)
+            })
+            .register('stop-video', {
+                description: 'Stop video',
+                phrases: [/^(?:stop|turn off|disable) (?:my )?(?:video|camera)$/, /^(?:video|camera) off$/],
+                action: () => this.setVideo(false)
+            })
+            .register('start-video', {
+                description: 'Start video',
+                phrases: [/^(?:start|turn on|enable) (?:my )?(?:video|camera)$/, /^(?:video|camera) on$/],
+                action: () => this.setVideo(true)
+            })
+            .register('start-transcription', {
+                description: 'Start transcription',
+                phrases: [/^(?:start|resume|turn on) (?:the )?(?:transcription|transcript|captions)$/],
+                action: () => this.startTranscription()
+            })
+            .register('stop-transcription', {
+                description: 'Stop transcription',
+                phrases: [/^(?:stop|pause|turn off) (?:the )?(?:transcription|transcript|captions)$/],
+                action: () => this.stopTranscription()
+            })
+            .register('leave', {
+                description: 'Leave the session',
+                phrases: [/^(?:leave|leave (?:the )?(?:session|meeting|call)|end (?:the )?call|hang up)$/],
+                confirm: true,
+                action: () => this.leaveSession()
+            })
+            .register('share-screen', {
+                description: 'Share your screen',
+                phrases: [/^(?:share|start sharing) (?:my |the )?screen$/, /^screen ?share$/],
+                // The browser only opens the screen picker from a click
+                confirm: 'click',
+                action: () => this.startScreenShare()
+            })
+            .register('stop-share', {
+                description: 'Stop sharing your screen',
+                phrases: [/^(?:stop|end) (?:sharing|screen ?share|sharing (?:my |the )?screen)$/],
+                action: () => this.stopScreenShare()
             });
+    }
 
+    async setMuted(muted) {
+        if (!this.stream) throw new Error('Not in a session');
+
+        if (muted) {
+            await this.stream.muteAudio();
+        } else {
+            await this.stream.unmuteAudio();
+        }
+    }
+
+    async setVideo(on) {
+        if (!this.stream) throw new Error('Not in a session');
+
+        if (on) {
+            await this.stream.startVideo(this.devices.videoOptions());
+        } else {
+            await this.stream.stopVideo();
+        }
+        if (this.videoLayout) {
+            this.videoLayout.sync();
+        }
+    }
+
+    /**
+     * Use another camera, microphone or speaker ('camera', 'microphone', 'speaker'). Remembered
+     * across visits; in a session the switch happens right away.
+     */
+    async selectDevice(kind, deviceId) {
+        await this.devices.select(kind, deviceId);
+    }
+
+    /**
+     * A host asked us to stop our video (see SessionParticipants)
+     */
+    async stopVideoForHost(byName) {
+        try {
+            if (this.stream?.isCapturingVideo()) {
+                await this.setVideo(false);
+                this.onHostNotice(`${byName} turned off your video`);
+            }
         } catch (error) {
-            console.error('Error starting media:', error);
+            console.warn('Could not stop video for the host:', error);
+        }
+    }
+
+    /**
+     * Switch between 'gallery' and 'speaker' view. Remembered across reloads.
+     */
+    setLayoutMode(mode) {
+        this.layoutMode = mode;
+        savePreference(LAYOUT_PREFERENCE_KEY, mode === 'speaker' ? mode : null);
+        if (this.videoLayout) {
+            this.videoLayout.setMode(mode);
+        }
+    }
+
+    /**
+     * Start transcribing, or resume after stopTranscription()
+     */
+    async startTranscription() {
+        if (!this.currentSession) throw new Error('Not in a session');
+
+        if (this.transcriptionManager.isTranscribing) {
+            this.transcriptionManager.resume();
+        } else {
+            await this.transcriptionManager.start(this.currentSession.userName);
+        }
+        this.onTranscriptionStateChanged(true);
+    }
+
+    /**
+     * Stop adding to the transcript. With voice commands on, the recognizer keeps listening
+     * so "start transcription" still works.
+     */
+    stopTranscription() {
+        if (this.voiceCommands.enabled) {
+            this.transcriptionManager.pause();
+        } else {
+            this.transcriptionManager.stop();
+        }
+        this.onTranscriptionStateChanged(false);
+    }
+
+    /**
+     * Share this user's screen. Must run from a user gesture. Fails with a readable message when
+     * the host has locked sharing, someone else is sharing, or the browser denies capture.
+     */
+    async startScreenShare() {
+        if (!this.screenShare) throw new Error('Not in a session');
+        await this.screenShare.start();
+    }
+
+    async stopScreenShare() {
+        if (this.screenShare) {
+            await this.screenShare.stop();
+        }
+    }
+
+    /**
+     * Hosts: only hosts and managers may share while locked
+     */
+    async setShareLocked(locked) {
+        if (!this.screenShare) throw new Error('Not in a session');
+        await this.screenShare.setLocked(locked);
+    }
+
+    /**
+     * Hosts: allow several participants to share at the same time
+     */
+    async setMultipleSharers(allowed) {
+        if (!this.screenShare) throw new Error('Not in a session');
+        await this.screenShare.setMultipleSharers(allowed);
+    }
+
+    /**
+     * Schedule a token refresh shortly before the current token expires
+     */
+    scheduleTokenRefresh(delayMs) {
+        clearTimeout(this.tokenRefreshTimer);
+        if (!this.token) return;
+
+        if (delayMs === undefined) {
+            const expiresAt = this.getTokenExpiry(this.token);
+            if (!expiresAt) return;
+            delayMs = Math.max(expiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0);
+        }
+
+        this.tokenRefreshTimer = setTimeout(() => this.refreshToken(), delayMs);
+    }
+
+    /**
+     * Exchange the current token for a fresh one with the same session, identity and role.
+     * Throws with the HTTP `status` when the server refuses.
+     */
+    async requestFreshToken() {
+        const response = await fetch('/api/refresh-token', {
+            method: 'POST',
+            headers: this.authHeaders(),
+            body: JSON.stringify({ token: this.token })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Failed to refresh token');
+            error.status = response.status;
             throw error;
         }
+        return data;
     }
 
     /**
-     * Render own video
+     * Keep the token fresh: replace it and schedule the next refresh, retrying transient failures
      */
-    renderOwnVideo() {
-        const videoElement = document.getElementById('video-canvas');
-        if (!videoElement) return;
+    async refreshToken() {
+        try {
+            const data = await this.requestFreshToken();
 
-        const currentUser = this.client.getCurrentUserInfo();
-        if (!currentUser) return;
+            this.token = data.token;
+            this.scheduleTokenRefresh();
+            this.onTokenRefreshed(data);
+            return data.token;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
 
-        const renderVideo = () => {
-            try {
-                this.stream.attachVideo(videoElement, currentUser.userId);
-                console.log('Rendered own video');
-            } catch (error) {
-                if (error.errorCode !== 6001 && error.errorCode !== 6112) {
-                    console.warn('Error rendering video:', error);
-                }
+            // Ended sessions and rejected tokens will not recover; anything else is retried
+            if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+                this.onTokenRefreshFailed(error);
+            } else {
+                this.scheduleTokenRefresh(TOKEN_REFRESH_RETRY_MS);
             }
-        };
+            return null;
+        }
+    }
+
+    /**
+     * Load the stored transcript for the current session and merge it into the transcription manager
+     * Returns the stored segments, oldest first
+     */
+    async loadTranscriptHistory() {
+        if (!this.currentSession || !this.token) return [];
+
+        const history = [];
+        let cursor = 0;
+        do {
+            const response = await fetch(
+                `/api/sessions/${encodeURIComponent(this.currentSession.sessionName)}/transcripts?limit=500&cursor=${cursor}`,
+                { headers: { Authorization: `Bearer ${this.token}` } }
+            );
+            const data = await response.json();
 
-        // Wait for video to be active
-        const videoActiveHandler = (payload) => {
-            if (payload.userId === currentUser.userId && 
-                (payload.state === 'Active' || payload.action === 'Start')) {
-                setTimeout(renderVideo, 500);
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load transcript history');
             }
-        };
-        this.client.on('video-active-change', videoActiveHandler);
 
-        // Fallback
-        setTimeout(renderVideo, 1500);
+            history.push(...data.segments.map(segment => ({ ...segment, user: segment.speaker })));
+            cursor = data.nextCursor;
+        } while (cursor);
+
+        this.transcriptionManager.mergeTranscriptions(history);
+        return history;
+    }
+
+    /**
+     * Render the local transcript in one of TranscriptExport.FORMATS (vtt, srt, json, md).
+     * The JSON and Markdown exports include the chat log.
+     * Returns { content, mimeType, filename }
+     */
+    exportTranscript(format, sessionInfo = this.currentSession || this.lastSession) {
+        return TranscriptExport.exportTranscript(this.transcriptionManager.transcriptions, format, {
+            sessionName: sessionInfo?.sessionName,
+            sessionStart: sessionInfo?.startedAt || sessionInfo?.joinedAt,
+            chat: this.chat.messages
+        });
+    }
+
+    /**
+     * Meeting insights (action items, open questions, keywords) for the local transcript
+     * See MeetingInsights.analyzeMeeting for the report shape
+     */
+    getMeetingReport(sessionInfo = this.currentSession || this.lastSession) {
+        const report = MeetingInsights.analyzeMeeting(this.transcriptionManager.transcriptions, {
+            sessionName: sessionInfo?.sessionName,
+            startedAt: sessionInfo?.joinedAt,
+            endedAt: sessionInfo?.leftAt
+        });
+        return { ...report, speaking: this.getSpeakingStats(sessionInfo) };
+    }
+
+    /**
+     * Talk time, turns, interruptions and longest monologue per participant
+     * See SpeakingAnalytics.getStats for the record shape
+     */
+    getSpeakingStats(sessionInfo = this.currentSession || this.lastSession) {
+        if (!this.speakingAnalytics) return null;
+        return this.speakingAnalytics.getStats({ sessionName: sessionInfo?.sessionName });
+    }
+
+    /**
+     * Read the expiry (in ms) from a JWT without verifying it
+     */
+    getTokenExpiry(token) {
+        const claims = this.getTokenClaims(token);
+        return claims?.exp ? claims.exp * 1000 : null;
+    }
+
+    /**
+     * Claims of a Video SDK token (not verified; the server does that)
+     */
+    getTokenClaims(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload));
+        } catch (error) {
+            console.warn('Could not read token:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start camera and microphone. `videoOn` and `muted` default to the join options; a rejoin
+     * passes what the user had before the connection dropped.
+     */
+    async startMedia({ videoOn = !this.devices.preferences.joinVideoOff, muted } = {}) {
+        try {
+            // The SDK opens the camera itself; the lobby's microphone capture carries on
+            this.devices.stopPreview();
+            await this.devices.refresh();
+
+            // Start video with the chosen camera, unless joining with video off
+            if (videoOn) {
+                await this.stream.startVideo(this.devices.videoOptions());
+                console.log('Video started successfully');
+            }
+
+            // Start audio with the chosen microphone and speaker, muted if asked
+            const audioOptions = this.devices.audioOptions();
+            if (muted !== undefined) audioOptions.mute = muted;
+            await this.stream.startAudio(audioOptions);
+            console.log('Audio started successfully');
+
+            // Our tile picks up the video now that it is on
+            this.videoLayout.sync();
+
+            // Start audio capture for transcription, unless the lobby meter already did
+            if (!this.audioCapture.isCapturing) {
+                await this.audioCapture.start({ deviceId: this.devices.current('microphone') });
+            }
+
+            // The local level meter fills the gaps between active-speaker events for our own talk time
+            this.audioCapture.onAudioData = () => {
+                const self = this.client.getCurrentUserInfo();
+                if (self && !self.muted && this.speakingAnalytics) {
+                    this.speakingAnalytics.heard(self.userId, self.displayName);
+                }
+            };
+
+        } catch (error) {
+            console.error('Error starting media:', error);
+            throw error;
+        }
     }
 
     /**
      * Setup event listeners for session events
      */
     setupEventListeners() {
-        const videoElement = document.getElementById('video-canvas');
+        // The client outlives a session, and so do its listeners
+        if (this.listenersAttached) return;
+        this.listenersAttached = true;
+
+        // Video tiles follow participants themselves (see VideoLayout)
 
         // User added
         this.client.on('user-added', (payload) => {
@@ -214,42 +939,17 @@ class ZoomVideoApp {
             this.onUserRemoved(userName);
         });
 
-        // Peer video state change
-        this.client.on('peer-video-state-change', (payload) => {
-            if (payload.action === 'Start' && videoElement) {
-                setTimeout(() => {
-                    try {
-                        this.stream.attachVideo(videoElement, payload.userId);
-                    } catch (err) {
-                        if (err.errorCode !== 6001 && err.errorCode !== 6112) {
-                            console.warn('Error attaching peer video:', err);
-                        }
-                    }
-                }, 500);
-            }
-        });
-
-        // Video active change
-        this.client.on('video-active-change', (payload) => {
-            if (payload.state === 'Active' && videoElement) {
-                setTimeout(() => {
-                    try {
-                        this.stream.attachVideo(videoElement, payload.userId);
-                    } catch (err) {
-                        if (err.errorCode !== 6001 && err.errorCode !== 6112) {
-                            console.warn('Error attaching video on active change:', err);
-                        }
-                    }
-                }, 500);
+        // Active speaker: repeated while someone talks
+        this.client.on('active-speaker', (payload) => {
+            const speakers = Array.isArray(payload) ? payload : [payload];
+            if (this.speakingAnalytics) {
+                this.speakingAnalytics.activeSpeakers(speakers);
             }
+            this.onActiveSpeaker(speakers);
         });
 
-        // Connection change
-        this.client.on('connection-change', (payload) => {
-            if (payload.state === 'Closed') {
-                this.leaveSession();
-            }
-        });
+        // Connection change: Connected, Reconnecting, Fail or Closed
+        this.client.on('connection-change', (payload) => this.handleConnectionChange(payload));
 
         // Error handling
         this.client.on('error', (error) => {
@@ -259,27 +959,255 @@ class ZoomVideoApp {
     }
 
     /**
-     * Leave session
+     * Drive the reconnection state machine from the SDK's connection-change events.
+     * The SDK recovers from short outages itself (Reconnecting, then Connected). When it gives up
+     * (Fail), drops us for another reason (Closed), or takes too long, we rejoin with a fresh token.
      */
-    async leaveSession() {
-        try {
-            if (this.transcriptionManager) {
-                this.transcriptionManager.stop();
-            }
+    handleConnectionChange({ state, reason }) {
+        // Our own leave and join while rejoining report here too
+        if (this.rejoining || this.leaving || !this.currentSession) return;
+        if (state === 'Closed' && this.expectingClose) {
+            this.expectingClose = false;
+            return;
+        }
 
-            if (this.audioCapture) {
-                this.audioCapture.stop();
+        if (state === 'Connected') {
+            if (this.reconnect) {
+                this.finishReconnect();
             }
-
-            if (this.client && this.isJoined) {
+        } else if (state === 'Reconnecting') {
+            if (!this.reconnect) {
+                this.beginReconnect(reason);
+                this.reconnect.sdkTimer = setTimeout(() => this.scheduleRejoin(), SDK_RECONNECT_TIMEOUT_MS);
+            }
+        } else if (state === 'Closed' && HOST_CLOSED_REASONS.includes(reason)) {
+            this.leaveSession(reason);
+        } else if (state === 'Fail' || state === 'Closed') {
+            if (!this.reconnect) {
+                this.beginReconnect(reason);
+            }
+            this.scheduleRejoin();
+        }
+    }
+
+    /**
+     * The connection dropped: remember what to restore and stop transcribing into the void
+     */
+    beginReconnect(reason = null) {
+        const transcriber = this.transcriptionManager;
+        this.expectingClose = false;
+        this.reconnect = {
+            attempt: 0,
+            timer: null,
+            sdkTimer: null,
+            reason,
+            resume: {
+                transcribing: !!transcriber?.isTranscribing && !transcriber.paused,
+                videoOn: !!this.stream?.isCapturingVideo?.(),
+                muted: !!this.client.getCurrentUserInfo()?.muted
+            }
+        };
+        if (this.reconnect.resume.transcribing) {
+            transcriber.pause();
+        }
+        this.setConnectionState('reconnecting', { attempt: 0, reason });
+    }
+
+    /**
+     * Try the next rejoin after an exponential backoff (the first one right away)
+     */
+    scheduleRejoin() {
+        const reconnect = this.reconnect;
+        if (!reconnect || this.rejoining) return;
+
+        clearTimeout(reconnect.sdkTimer);
+        clearTimeout(reconnect.timer);
+        reconnect.attempt += 1;
+        if (reconnect.attempt > RECONNECT_MAX_ATTEMPTS) {
+            this.setConnectionState('failed', { attempt: reconnect.attempt - 1, reason: reconnect.reason, canRetry: true });
+            return;
+        }
+
+        const delayMs = reconnect.attempt === 1 ? 0 : Math.min(RECONNECT_MIN_MS * 2 ** (reconnect.attempt - 2), RECONNECT_MAX_MS);
+        this.setConnectionState('reconnecting', {
+            attempt: reconnect.attempt,
+            reason: reconnect.reason,
+            nextRetryAt: new Date(Date.now() + delayMs).toISOString()
+        });
+        reconnect.timer = setTimeout(() => this.rejoin(), delayMs);
+    }
+
+    /**
+     * Retry now (the banner's Retry button). After giving up, this starts a fresh round of attempts.
+     */
+    reconnectNow() {
+        const reconnect = this.reconnect;
+        if (!reconnect || this.rejoining) return;
+
+        clearTimeout(reconnect.sdkTimer);
+        clearTimeout(reconnect.timer);
+        reconnect.attempt = this.connectionState === 'failed' ? 1 : reconnect.attempt + 1;
+        this.setConnectionState('reconnecting', { attempt: reconnect.attempt, reason: reconnect.reason });
+        this.rejoin();
+    }
+
+    /**
+     * Leave what is left of the session and join again with a fresh token, then put tiles,
+     * media and transcription back the way they were
+     */
+    async rejoin() {
+        const reconnect = this.reconnect;
+        if (!reconnect || this.rejoining) return;
+
+        const { sessionName, userName } = this.currentSession;
+        this.rejoining = true;
+        let retry = false;
+        try {
+            // The old token may have expired during the outage; the server allows a grace period
+            let data;
+            try {
+                data = await this.requestFreshToken();
+            } catch (error) {
+                // The session ended or our token was rejected: no point retrying
+                if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+                    clearTimeout(reconnect.timer);
+                    this.setConnectionState('failed', { attempt: reconnect.attempt, reason: error.message, canRetry: false });
+                    return;
+                }
+                throw error;
+            }
+            // The user may have left while we waited
+            if (this.reconnect !== reconnect) return;
+            this.token = data.token;
+            this.scheduleTokenRefresh();
+            this.onTokenRefreshed(data);
+
+            await this.detachMedia();
+            this.expectingClose = true;
+            try {
                 await this.client.leave();
+            } catch (error) {
+                // Already disconnected
+            }
+            this.isJoined = false;
+
+            await this.client.join(sessionName, this.token, userName);
+            this.isJoined = true;
+            if (this.reconnect !== reconnect) {
+                // The user left while we were joining
+                await this.client.leave().catch(() => {});
+                this.isJoined = false;
+                return;
+            }
+
+            this.attachMedia();
+            this.transcriptionManager.currentUserId = this.client.getCurrentUserInfo()?.userId;
+            await this.startMedia({ videoOn: reconnect.resume.videoOn, muted: reconnect.resume.muted });
+            await this.finishReconnect();
+        } catch (error) {
+            console.warn(`Rejoin attempt ${reconnect.attempt} failed:`, error);
+            retry = true;
+        } finally {
+            this.rejoining = false;
+        }
+        if (retry) {
+            this.scheduleRejoin();
+        }
+    }
+
+    /**
+     * Back in the session: resume transcription where it left off
+     */
+    async finishReconnect() {
+        const reconnect = this.reconnect;
+        if (!reconnect) return;
+
+        this.stopReconnecting();
+        this.videoLayout?.sync();
+        if (reconnect.resume.transcribing) {
+            try {
+                if (this.transcriptionManager.isTranscribing) {
+                    this.transcriptionManager.resume();
+                } else {
+                    await this.transcriptionManager.start(this.currentSession.userName);
+                }
+            } catch (error) {
+                console.warn('Could not resume transcription:', error);
+            }
+        }
+        this.setConnectionState('connected', { attempt: reconnect.attempt, reconnected: true });
+    }
+
+    stopReconnecting() {
+        if (!this.reconnect) return;
+        clearTimeout(this.reconnect.timer);
+        clearTimeout(this.reconnect.sdkTimer);
+        this.reconnect = null;
+    }
+
+    /**
+     * Record the connection state and tell the page. `details` carries attempt, nextRetryAt,
+     * reason and canRetry where they apply.
+     */
+    setConnectionState(state, details = {}) {
+        this.connectionState = state;
+        this.onConnectionStateChanged({ state, ...details });
+    }
+
+    /**
+     * Leave session. `reason` is set when the SDK closed the session for us.
+     */
+    async leaveSession(reason = null) {
+        this.leaving = true;
+        try {
+            this.voiceCommands.cancel();
+            this.stopReconnecting();
+
+            await this.detachMedia();
+
+            if (this.transcriptionManager) {
+                this.transcriptionManager.stop();
+            }
+
+            if (this.liveTranscript) {
+                this.liveTranscript.close();
+                this.liveTranscript = null;
+                this.transcriptionManager.live = null;
+            }
+
+            // Send whatever is still queued while the token is valid
+            if (this.transcriptUploader) {
+                await this.transcriptUploader.stop();
+                this.transcriptUploader = null;
+                this.transcriptionManager.uploader = null;
+            }
+
+            if (this.audioCapture) {
+                this.audioCapture.stop();
+            }
+
+            clearTimeout(this.tokenRefreshTimer);
+            this.token = null;
+
+            if (this.client && this.isJoined) {
+                // Fails when the connection is already gone, which is fine
+                await this.client.leave().catch(error => console.warn('Could not leave cleanly:', error));
                 this.isJoined = false;
             }
 
+            if (this.speakingAnalytics) {
+                this.speakingAnalytics.stop();
+            }
+
+            // Kept so the transcript can still be exported after leaving
+            this.lastSession = this.currentSession && { ...this.currentSession, leftAt: new Date().toISOString() };
             this.currentSession = null;
-            this.onSessionLeft();
+            this.setConnectionState('disconnected');
+            this.onSessionLeft(reason);
         } catch (error) {
             console.error('Error leaving session:', error);
+        } finally {
+            this.leaving = false;
         }
     }
 
@@ -298,65 +1226,510 @@ class ZoomVideoApp {
         console.error('Session error:', error);
     }
 
-    onSessionLeft() {
-        console.log('Session left');
+    onActiveSpeaker(speakers) {
+        // Override in UI
+    }
+
+    onSessionLeft(reason) {
+        console.log('Session left', reason || '');
+    }
+
+    onConnectionStateChanged(change) {
+        // Override in UI; change is { state, attempt, nextRetryAt, reason, canRetry, reconnected }
+        console.log('Connection:', change.state, change);
+    }
+
+    onTokenRefreshed(tokenInfo) {
+        console.log(`Session token refreshed, expires at ${tokenInfo.expiresAt}`);
+    }
+
+    onTokenRefreshFailed(error) {
+        console.error('Session token could not be refreshed:', error);
+    }
+
+    onSessionSettingsChanged(settings) {
+        console.log('Session settings:', settings);
+    }
+
+    onTranscriptionStateChanged(transcribing) {
+        // Override in UI
+    }
+
+    onLayoutChanged(state) {
+        // Override in UI; state is { mode, sharing, page, pageCount, pageSize, participants }
+    }
+
+    onNetworkQualityChanged(quality) {
+        // Override in UI; our own { uplink, downlink }, SDK levels 0-5 (0-1 bad, 2 normal, 3-5 good)
+    }
+
+    onMediaStatsChanged(current) {
+        // Override in UI; current is { quality, audio: { send, receive }, video: { send, receive } }
+    }
+
+    onHostNotice(message) {
+        // Override in UI: a host acted on us (muted us, changed our role or name, ...)
+        console.log(message);
+    }
+
+    onUnmuteRequested() {
+        // Override in UI: show a prompt whose click calls setMuted(false)
+    }
+
+    onWaitingRoomStatus(status) {
+        // Override in UI: we are waiting to be let in; status is { status, position, expiresAt, reason }
+    }
+
+    onWaitingRoomArrival(entry) {
+        // Override in UI (hosts): { id, userIdentity, requestedAt } started waiting
+    }
+
+    onScreenShareChanged(sharing, reason) {
+        // Override in UI; reason is set when the SDK stopped our share ('PrivilegeChange', 'StopScreenCapture')
+    }
+
+    onRemoteShareChanged(share) {
+        // Override in UI; share is { userId, userName }, or null when nobody else is sharing
+    }
+
+    onSharePrivilegeChanged(rules) {
+        // Override in UI; rules is { locked, multipleSharers, isHost, canShare }
+    }
+}
+
+/**
+ * Transcription Manager using Web Speech API
+ */
+class TranscriptionManager {
+    constructor(language = 'en-US', provider = null) {
+        // Speech engine (see WebSpeechProvider); chosen by ZoomVideoApp, browser recognition by default
+        this.provider = provider;
+        this.providerReady = false;
+        // Language being recognized, and the one asked for (they differ after a fallback)
+        this.language = language;
+        this.requestedLanguage = language;
+        this.triedLanguages = new Set([language]);
+        this.isTranscribing = false;
+        this.users = new Map();
+        this.transcriptions = [];
+        this.currentTranscript = '';
+        this.speechDetection = new SpeechDetection();
+        // The utterance being recognized: interim and final results share its id
+        this.segmentStartedAt = null;
+        this.currentSegmentId = null;
+        this.interimRev = 0;
+        // Ids of final segments, and the latest interim revision seen per remote utterance
+        this.finalIds = new Set();
+        this.remoteInterims = new Map();
+        // Identifies this tab so our own segments echoed back by the server are ignored
+        this.clientId = createSegmentId();
+        // Set by ZoomVideoApp while in a session
+        this.uploader = null;
+        this.live = null;
+        this.currentUserId = null;
+        // VoiceCommands (set by ZoomVideoApp): utterances addressed to it are not transcribed
+        this.commands = null;
+        // While paused the recognizer keeps running for voice commands but nothing is transcribed
+        this.paused = false;
+    }
+
+    /**
+     * Set up the provider, defaulting to the browser's speech recognition
+     */
+    init() {
+        this.useProvider(this.provider || new WebSpeechProvider());
+    }
+
+    useProvider(provider) {
+        if (!provider.isSupported()) {
+            throw new Error(`${provider.name} transcription is not supported in this browser`);
+        }
+
+        this.provider = provider;
+        this.provider.onResult = (result) => this.handleResult(result);
+        this.provider.onError = (code) => this.handleProviderError(code);
+        this.providerReady = true;
+    }
+
+    /**
+     * Swap the transcription engine. A running transcription continues on the new provider;
+     * the old one is stopped first so its pending utterance is still delivered.
+     */
+    async setProvider(provider) {
+        const running = this.shouldContinue;
+        if (running && this.provider) {
+            this.provider.stop();
+        }
+
+        this.useProvider(provider);
+
+        if (running) {
+            await this.provider.start(this.language);
+        }
+    }
+
+    /**
+     * A result from the provider. Interim text is the whole utterance so far.
+     */
+    handleResult({ text, final, confidence = null }) {
+        if (!text || !text.trim()) return;
+
+        if (!this.segmentStartedAt) {
+            this.segmentStartedAt = new Date().toISOString();
+            this.currentSegmentId = createSegmentId();
+            this.interimRev = 0;
+        }
+
+        // Commands and anything said while paused stay out of the transcript
+        if (final && this.commands && this.commands.handle(text.trim())) {
+            this.discardSegment();
+            return;
+        }
+        if (this.paused || (!final && this.commands && this.commands.isAddressed(text))) {
+            if (final) this.discardSegment();
+            return;
+        }
+
+        if (final) {
+            this.handleFinalTranscript(text.trim(), confidence);
+        } else {
+            this.handleInterimTranscript(text);
+        }
+    }
+
+    /**
+     * Drop the utterance in progress, removing any interim text already shown for it
+     */
+    discardSegment() {
+        const id = this.currentSegmentId;
+        const shown = this.interimRev > 0;
+        this.segmentStartedAt = null;
+        this.currentSegmentId = null;
+        this.interimRev = 0;
+        if (shown) {
+            this.onInterimDiscarded(id);
+        }
+    }
+
+    handleProviderError(code) {
+        if (code === 'language-not-supported' && this.fallBackLanguage()) {
+            // The provider restarts in the fallback language
+            return;
+        }
+        this.onTranscriptionError(code);
+    }
+
+    /**
+     * Switch the recognition language. A running provider delivers the pending utterance
+     * as a final result and continues in the new language.
+     */
+    setLanguage(language) {
+        if (!language || language === this.requestedLanguage) return;
+
+        this.requestedLanguage = language;
+        this.triedLanguages = new Set([language]);
+        this.applyLanguage(language);
+    }
+
+    applyLanguage(language) {
+        this.language = language;
+        this.onLanguageChanged(language);
+        if (this.provider) {
+            this.provider.setLanguage(language);
+        }
+    }
+
+    /**
+     * Try the next candidate after the recognizer rejected a locale.
+     * Returns false when every candidate has been tried.
+     */
+    fallBackLanguage() {
+        const next = languageFallbacks(this.requestedLanguage).find(language => !this.triedLanguages.has(language));
+        if (!next) return false;
+
+        console.warn(`Speech recognition does not support ${this.language}, falling back to ${next}`);
+        this.triedLanguages.add(next);
+        this.onLanguageFallback(this.requestedLanguage, next);
+        this.applyLanguage(next);
+        return true;
+    }
+
+    /**
+     * Start transcription
+     */
+    async start(userName) {
+        try {
+            if (!this.providerReady) {
+                this.init();
+            }
+
+            this.shouldContinue = true;
+            this.paused = false;
+            this.currentUser = userName;
+            await this.provider.start(this.language);
+            this.isTranscribing = true;
+            
+            console.log('Transcription started for:', userName);
+        } catch (error) {
+            console.error('Error starting transcription:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop transcription
+     */
+    stop() {
+        this.shouldContinue = false;
+        this.paused = false;
+        if (this.provider && this.isTranscribing) {
+            this.provider.stop();
+        }
+        this.isTranscribing = false;
+        console.log('Transcription stopped');
+    }
+
+    pause() {
+        this.paused = true;
+        console.log('Transcription paused');
+    }
+
+    resume() {
+        this.paused = false;
+        console.log('Transcription resumed');
+    }
+
+    /**
+     * Handle final transcript
+     */
+    handleFinalTranscript(transcript, confidence = null) {
+        if (!transcript.trim()) return;
+
+        const timestamp = new Date().toISOString();
+        const transcription = {
+            id: this.currentSegmentId || createSegmentId(),
+            user: this.currentUser || 'Unknown',
+            speakerId: this.currentUserId ?? null,
+            text: transcript,
+            startedAt: this.segmentStartedAt || timestamp,
+            timestamp: timestamp,
+            confidence: confidence,
+            language: this.language
+        };
+        this.segmentStartedAt = null;
+        this.currentSegmentId = null;
+
+        this.transcriptions.push(transcription);
+        this.finalIds.add(transcription.id);
+
+        if (this.uploader) {
+            this.uploader.enqueue(transcription);
+        }
+
+        if (this.live) {
+            this.live.publish({ ...transcription, final: true, clientId: this.clientId });
+        }
+        
+        // Log to console
+        console.log(`[TRANSCRIPTION] ${transcription.user}: ${transcript}`);
+        
+        // Detect speech patterns
+        const speechInfo = this.speechDetection.analyze(transcript);
+        if (speechInfo.hasSpeech) {
+            console.log(`[SPEECH DETECTION] Detected: ${speechInfo.type}`, speechInfo);
+        }
+
+        // Update UI
+        this.onTranscript(transcription);
+    }
+
+    /**
+     * Handle interim transcript
+     */
+    handleInterimTranscript(transcript) {
+        this.currentTranscript = transcript;
+        this.interimRev++;
+
+        const segment = {
+            id: this.currentSegmentId,
+            user: this.currentUser || 'Unknown',
+            speakerId: this.currentUserId ?? null,
+            text: transcript,
+            startedAt: this.segmentStartedAt,
+            language: this.language,
+            rev: this.interimRev
+        };
+
+        this.onInterimTranscript(transcript, segment);
+
+        if (this.live) {
+            this.live.publishInterim({ ...segment, final: false, clientId: this.clientId });
+        }
+    }
+
+    /**
+     * Handle a segment broadcast by another participant.
+     * Finals are merged in time order and deduplicated by id; interim updates older than the
+     * latest revision, or for utterances that are already final, are dropped.
+     */
+    receiveSegment(segment) {
+        if (segment.clientId === this.clientId) return;
+
+        const user = this.users.get(Number(segment.speakerId)) || this.users.get(segment.speakerId) || segment.speaker || 'Unknown';
+
+        if (segment.final) {
+            this.remoteInterims.delete(segment.id);
+            const [added] = this.mergeTranscriptions([{
+                id: segment.id,
+                user: user,
+                speakerId: segment.speakerId,
+                text: segment.text,
+                startedAt: segment.startedAt,
+                timestamp: segment.timestamp,
+                confidence: segment.confidence,
+                language: segment.language
+            }]);
+            if (added) {
+                this.onTranscript(added);
+            }
+            return;
+        }
+
+        if (this.finalIds.has(segment.id)) return;
+        const lastRev = this.remoteInterims.get(segment.id);
+        if (lastRev !== undefined && segment.rev <= lastRev) return;
+
+        this.remoteInterims.set(segment.id, segment.rev);
+        this.onInterimTranscript(segment.text, { ...segment, user });
+    }
+
+    /**
+     * Merge stored segments into the local transcript, skipping ones already present
+     */
+    mergeTranscriptions(segments) {
+        const added = segments.filter(segment => !this.finalIds.has(segment.id));
+        added.forEach(segment => this.finalIds.add(segment.id));
+        this.transcriptions = [...this.transcriptions, ...added]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        return added;
+    }
+
+    /**
+     * Add user to transcription tracking
+     */
+    addUser(userId, userName) {
+        this.users.set(userId, userName);
+        console.log(`Added user to transcription: ${userName} (${userId})`);
+    }
+
+    /**
+     * Remove user from transcription tracking
+     */
+    removeUser(userId) {
+        const userName = this.users.get(userId);
+        this.users.delete(userId);
+        if (userName) {
+            console.log(`Removed user from transcription: ${userName} (${userId})`);
+        }
+    }
+
+    /**
+     * Event callbacks
+     */
+    onTranscript(transcription) {
+        // Override in UI
+    }
+
+    onInterimTranscript(transcript, segment) {
+        // Override in UI; segment.id ties interim updates to the final transcription
+    }
+
+    onInterimDiscarded(segmentId) {
+        // Override in UI; the interim text for segmentId will not become final
+    }
+
+    onLanguageChanged(language) {
+        // Override in UI
+    }
+
+    onLanguageFallback(requested, fallback) {
+        // Override in UI
+    }
+
+    onTranscriptionError(error) {
+        console.error('Transcription error:', error);
     }
 }
 
 /**
- * Transcription Manager using Web Speech API
+ * Transcription providers
+ * TranscriptionManager drives one provider at a time. A provider implements:
+ *   name                   label used in messages
+ *   isSupported()          whether it can run in this browser
+ *   start(language)        begin recognizing (may be async)
+ *   stop()                 stop; the pending utterance is still delivered as final
+ *   setLanguage(language)  switch locale, restarting if running
+ * and reports through callbacks the manager assigns:
+ *   onResult({ text, final, confidence })   interim text is the whole utterance so far
+ *   onError(code)          e.g. 'language-not-supported', 'network', 'not-allowed'
  */
-class TranscriptionManager {
+
+/**
+ * Browser speech recognition (Web Speech API). Chromium only; transcribes the local microphone.
+ */
+class WebSpeechProvider {
     constructor() {
+        this.name = 'Browser';
         this.recognition = null;
-        this.isTranscribing = false;
-        this.users = new Map();
-        this.transcriptions = [];
-        this.currentTranscript = '';
-        this.speechDetection = new SpeechDetection();
+        this.language = 'en-US';
+        this.shouldContinue = false;
+        this.isRunning = false;
+        this.onResult = () => {};
+        this.onError = () => {};
+    }
+
+    isSupported() {
+        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
     }
 
-    /**
-     * Initialize speech recognition
-     */
     init() {
         const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        
-        if (!SpeechRecognition) {
-            throw new Error('Speech Recognition API not supported in this browser');
-        }
 
         this.recognition = new SpeechRecognition();
         this.recognition.continuous = true;
         this.recognition.interimResults = true;
-        this.recognition.lang = 'en-US';
+        this.recognition.lang = this.language;
         this.recognition.maxAlternatives = 1;
 
-        // Event handlers
         this.recognition.onstart = () => {
             console.log('Transcription started');
-            this.isTranscribing = true;
+            this.isRunning = true;
         };
 
         this.recognition.onresult = (event) => {
             let interimTranscript = '';
             let finalTranscript = '';
+            const confidences = [];
 
             for (let i = event.resultIndex; i < event.results.length; i++) {
                 const transcript = event.results[i][0].transcript;
                 if (event.results[i].isFinal) {
                     finalTranscript += transcript + ' ';
+                    confidences.push(event.results[i][0].confidence);
                 } else {
                     interimTranscript += transcript;
                 }
             }
 
             if (finalTranscript) {
-                this.handleFinalTranscript(finalTranscript.trim());
+                // Some browsers report 0 when they have no confidence estimate
+                const known = confidences.filter(value => value > 0);
+                const confidence = known.length ? known.reduce((a, b) => a + b) / known.length : null;
+                this.onResult({ text: finalTranscript, final: true, confidence });
             }
 
             if (interimTranscript) {
-                this.handleInterimTranscript(interimTranscript);
+                this.onResult({ text: interimTranscript, final: false });
             }
         };
 
@@ -366,11 +1739,11 @@ class TranscriptionManager {
                 // Not an error, just no speech detected
                 return;
             }
-            this.onTranscriptionError(event.error);
+            this.onError(event.error);
         };
 
         this.recognition.onend = () => {
-            this.isTranscribing = false;
+            this.isRunning = false;
             // Restart if it was intentionally running
             if (this.shouldContinue) {
                 setTimeout(() => {
@@ -384,175 +1757,513 @@ class TranscriptionManager {
         };
     }
 
-    /**
-     * Start transcription
-     */
-    async start(userName) {
-        try {
-            if (!this.recognition) {
-                this.init();
-            }
-
-            this.shouldContinue = true;
-            this.currentUser = userName;
-            this.recognition.start();
-            
-            console.log('Transcription started for:', userName);
-        } catch (error) {
-            console.error('Error starting transcription:', error);
-            throw error;
+    start(language) {
+        if (!this.recognition) {
+            this.init();
         }
+        this.setLanguage(language);
+        this.shouldContinue = true;
+        this.recognition.start();
     }
 
-    /**
-     * Stop transcription
-     */
     stop() {
         this.shouldContinue = false;
-        if (this.recognition && this.isTranscribing) {
+        if (this.recognition && this.isRunning) {
             this.recognition.stop();
         }
-        this.isTranscribing = false;
-        console.log('Transcription stopped');
     }
 
-    /**
-     * Handle final transcript
-     */
-    handleFinalTranscript(transcript) {
-        if (!transcript.trim()) return;
+    setLanguage(language) {
+        this.language = language;
+        if (!this.recognition) return;
 
-        const timestamp = new Date().toISOString();
-        const transcription = {
-            id: Date.now(),
-            user: this.currentUser || 'Unknown',
-            text: transcript,
-            timestamp: timestamp,
-            confidence: 1.0
-        };
+        this.recognition.lang = language;
+        if (this.isRunning) {
+            // stop() flushes the pending utterance; onend restarts in the new language
+            this.recognition.stop();
+        }
+    }
+}
 
-        this.transcriptions.push(transcription);
-        
-        // Log to console
-        console.log(`[TRANSCRIPTION] ${transcription.user}: ${transcript}`);
-        
-        // Detect speech patterns
-        const speechInfo = this.speechDetection.analyze(transcript);
-        if (speechInfo.hasSpeech) {
-            console.log(`[SPEECH DETECTION] Detected: ${speechInfo.type}`, speechInfo);
+/**
+ * Server-side recognition: streams 16 kHz PCM from AudioCapture over a WebSocket to
+ * /api/sessions/:name/audio, where the server's speech-to-text adapter transcribes it.
+ * Works in any browser with Web Audio, whatever engine the server is configured with.
+ */
+class StreamingSttProvider {
+    constructor({ sessionName, getToken, audioCapture, sampleRate = STT_SAMPLE_RATE }) {
+        this.name = 'Server';
+        this.sessionName = sessionName;
+        this.getToken = getToken;
+        this.audioCapture = audioCapture;
+        this.sampleRate = sampleRate;
+        this.language = 'en-US';
+        this.socket = null;
+        this.running = false;
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.stopPcm = null;
+        this.onResult = () => {};
+        this.onError = () => {};
+    }
+
+    isSupported() {
+        return 'WebSocket' in window && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    async start(language) {
+        this.language = language;
+        this.running = true;
+        this.failures = 0;
+
+        if (!this.audioCapture.isCapturing) {
+            await this.audioCapture.start();
         }
+        this.stopPcm = this.audioCapture.onPcm(this.sampleRate, (chunk) => this.send(chunk));
+        this.connect();
+    }
 
-        // Update UI
-        this.onTranscript(transcription);
+    connect() {
+        const params = new URLSearchParams({
+            token: this.getToken() || '',
+            language: this.language,
+            sampleRate: String(this.sampleRate)
+        });
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(
+            `${protocol}//${location.host}/api/sessions/${encodeURIComponent(this.sessionName)}/audio?${params}`
+        );
+        socket.binaryType = 'arraybuffer';
+
+        socket.onopen = () => {
+            this.failures = 0;
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                const message = JSON.parse(event.data);
+                if (message.type === 'result') {
+                    this.onResult(message);
+                } else if (message.type === 'error') {
+                    console.error('Server transcription error:', message.error);
+                }
+            } catch (error) {
+                console.warn('Ignoring malformed transcription message:', error);
+            }
+        };
+
+        // Results of a socket that was flushed (stop or language change) still arrive above
+        socket.onclose = (event) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (!this.running || event.code === 1000) return;
+
+            // Rejected upgrades and dropped connections both end here; give up after a few tries
+            this.failures++;
+            if (this.failures > STT_MAX_RECONNECTS) {
+                this.stop();
+                this.onError('network');
+                return;
+            }
+            this.reconnectTimer = setTimeout(() => this.connect(), STT_RECONNECT_MS * this.failures);
+        };
+
+        this.socket = socket;
     }
 
     /**
-     * Handle interim transcript
+     * Audio captured while the socket is (re)connecting is dropped
      */
-    handleInterimTranscript(transcript) {
-        this.currentTranscript = transcript;
-        this.onInterimTranscript(transcript);
+    send(chunk) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(chunk);
+        }
     }
 
     /**
-     * Add user to transcription tracking
+     * Ask the server to flush the pending utterance; it closes the socket afterwards
      */
-    addUser(userId, userName) {
-        this.users.set(userId, userName);
-        console.log(`Added user to transcription: ${userName} (${userId})`);
+    flush() {
+        const socket = this.socket;
+        this.socket = null;
+        if (!socket) return;
+
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'stop' }));
+        } else {
+            socket.close();
+        }
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.stopPcm) {
+            this.stopPcm();
+            this.stopPcm = null;
+        }
+        this.flush();
+    }
+
+    setLanguage(language) {
+        if (language === this.language) return;
+        this.language = language;
+        if (this.running) {
+            this.flush();
+            this.connect();
+        }
+    }
+}
+
+/**
+ * Transcript Uploader
+ * Batches final segments and posts them to the server, retrying with backoff while offline.
+ * Pending segments are kept in localStorage so a page reload does not lose them. The queue
+ * belongs to one run of the session (its createdAt), so it is not sent to a later session
+ * created under the same name.
+ */
+class TranscriptUploader {
+    constructor(sessionName, getToken, sessionStart = null) {
+        this.sessionName = sessionName;
+        this.getToken = getToken;
+        this.storageKey = sessionStart
+            ? `transcript-queue:${sessionName}:${sessionStart}`
+            : `transcript-queue:${sessionName}`;
+        this.queue = this.loadQueue();
+        this.flushTimer = null;
+        this.isFlushing = false;
+        this.retryDelay = TRANSCRIPT_RETRY_MIN_MS;
+
+        this.handleOnline = () => this.flush();
+        window.addEventListener('online', this.handleOnline);
+
+        if (this.queue.length) {
+            this.scheduleFlush(0);
+        }
     }
 
     /**
-     * Remove user from transcription tracking
+     * Queue a final segment; full batches are sent right away
      */
-    removeUser(userId) {
-        const userName = this.users.get(userId);
-        this.users.delete(userId);
-        if (userName) {
-            console.log(`Removed user from transcription: ${userName} (${userId})`);
+    enqueue(segment) {
+        this.queue.push(segment);
+        this.saveQueue();
+        this.scheduleFlush(this.queue.length >= TRANSCRIPT_BATCH_SIZE ? 0 : TRANSCRIPT_FLUSH_DELAY_MS);
+    }
+
+    scheduleFlush(delayMs) {
+        if (this.flushTimer && delayMs > 0) return;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), delayMs);
+    }
+
+    /**
+     * Send the next batch. Segments leave the queue only once the server has accepted them.
+     * Resolves to true when a batch was delivered.
+     */
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const token = this.getToken();
+        // Offline: the 'online' event triggers the next attempt
+        if (this.isFlushing || !this.queue.length || !token || !navigator.onLine) return false;
+
+        this.isFlushing = true;
+        const batch = this.queue.slice(0, TRANSCRIPT_BATCH_SIZE);
+
+        try {
+            const response = await fetch(`/api/sessions/${encodeURIComponent(this.sessionName)}/transcripts`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ segments: batch })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                const error = new Error(data.error || 'Failed to upload transcript');
+                error.status = response.status;
+                throw error;
+            }
+
+            const accepted = new Set(data.accepted);
+            this.queue = this.queue.filter(segment => !accepted.has(segment.id));
+            this.saveQueue();
+            this.retryDelay = TRANSCRIPT_RETRY_MIN_MS;
+
+            if (this.queue.length) {
+                this.scheduleFlush(0);
+            }
+            return true;
+        } catch (error) {
+            if (error.status === 400) {
+                // The server will never take this batch; drop it rather than block the queue
+                console.warn('Dropping rejected transcript batch:', error);
+                const rejected = new Set(batch.map(segment => segment.id));
+                this.queue = this.queue.filter(segment => !rejected.has(segment.id));
+                this.saveQueue();
+            } else {
+                console.warn(`Transcript upload failed, retrying in ${this.retryDelay / 1000}s:`, error);
+                this.scheduleFlush(this.retryDelay);
+                this.retryDelay = Math.min(this.retryDelay * 2, TRANSCRIPT_RETRY_MAX_MS);
+            }
+            return false;
+        } finally {
+            this.isFlushing = false;
         }
     }
 
     /**
-     * Event callbacks
+     * Flush what is left and stop listening for connectivity changes
      */
-    onTranscript(transcription) {
-        // Override in UI
+    async stop() {
+        while (this.queue.length && await this.flush()) {
+            // Keep sending until the queue is empty or a batch fails
+        }
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        window.removeEventListener('online', this.handleOnline);
     }
 
-    onInterimTranscript(transcript) {
-        // Override in UI
+    loadQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
     }
 
-    onTranscriptionError(error) {
-        console.error('Transcription error:', error);
+    saveQueue() {
+        try {
+            if (this.queue.length) {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not persist transcript queue:', error);
+        }
     }
 }
 
 /**
- * Speech Detection and Analysis
+ * Live Transcript Channel
+ * Publishes this participant's interim and final segments to the session and receives
+ * everyone else's over Server-Sent Events.
  */
-class SpeechDetection {
-    constructor() {
-        this.questionPatterns = [
-            /\b(what|when|where|who|why|how|can|could|would|should|is|are|do|does|did)\b/i,
-            /\?/,
-            /\b(please|tell me|explain|describe)\b/i
-        ];
-        
-        this.commandPatterns = [
-            /\b(start|stop|begin|end|pause|resume|next|previous)\b/i,
-            /\b(show|hide|display|open|close)\b/i
-        ];
-        
-        this.emotionPatterns = {
-            positive: [/\b(great|good|excellent|wonderful|amazing|fantastic|love|like)\b/i],
-            negative: [/\b(bad|terrible|awful|hate|dislike|worst|horrible)\b/i],
-            question: [/\?/],
-            exclamation: [/!/]
+class LiveTranscriptChannel {
+    constructor(sessionName, getToken, onSegment, onSettings = () => {}) {
+        this.sessionName = sessionName;
+        this.getToken = getToken;
+        this.onSegment = onSegment;
+        this.onSettings = onSettings;
+        this.source = null;
+        this.lastEventId = null;
+        this.reconnectTimer = null;
+        this.pendingInterim = null;
+        this.interimTimer = null;
+        this.closed = false;
+    }
+
+    get url() {
+        return `/api/sessions/${encodeURIComponent(this.sessionName)}/live`;
+    }
+
+    connect() {
+        const token = this.getToken();
+        if (this.closed || !token) return;
+
+        const params = new URLSearchParams({ token });
+        if (this.lastEventId) {
+            params.set('lastEventId', this.lastEventId);
+        }
+
+        this.source = new EventSource(`${this.url}?${params}`);
+
+        this.source.addEventListener('segment', (event) => {
+            this.lastEventId = event.lastEventId;
+            try {
+                this.onSegment(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed live segment:', error);
+            }
+        });
+
+        this.source.addEventListener('settings', (event) => {
+            try {
+                this.onSettings(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed session settings:', error);
+            }
+        });
+
+        this.source.onerror = () => {
+            // EventSource retries on its own unless the server refused the stream
+            // (e.g. the token expired); reconnect with the latest token in that case
+            if (this.source.readyState === EventSource.CLOSED) {
+                this.source = null;
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = setTimeout(() => this.connect(), LIVE_RECONNECT_MS);
+            }
         };
     }
 
     /**
-     * Analyze speech for patterns
+     * Send a segment right away. Live updates are best effort; the uploader persists finals.
      */
-    analyze(text) {
-        const result = {
-            hasSpeech: text.trim().length > 0,
-            type: 'statement',
-            isQuestion: false,
-            isCommand: false,
-            emotion: 'neutral',
-            keywords: [],
-            wordCount: text.split(/\s+/).length
-        };
+    async publish(segment) {
+        const token = this.getToken();
+        if (this.closed || !token) return;
+
+        if (segment.final) {
+            // A final supersedes any interim still waiting to go out
+            this.pendingInterim = null;
+        }
 
-        // Check for questions
-        if (this.questionPatterns.some(pattern => pattern.test(text))) {
-            result.isQuestion = true;
-            result.type = 'question';
+        try {
+            await fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify(segment)
+            });
+        } catch (error) {
+            console.warn('Could not publish live segment:', error);
         }
+    }
 
-        // Check for commands
-        if (this.commandPatterns.some(pattern => pattern.test(text))) {
-            result.isCommand = true;
-            result.type = 'command';
+    /**
+     * Send interim updates at most once per LIVE_INTERIM_THROTTLE_MS, always ending with the latest
+     */
+    publishInterim(segment) {
+        if (this.interimTimer) {
+            this.pendingInterim = segment;
+            return;
         }
 
-        // Detect emotion
-        for (const [emotion, patterns] of Object.entries(this.emotionPatterns)) {
-            if (patterns.some(pattern => pattern.test(text))) {
-                result.emotion = emotion;
-                break;
+        this.publish(segment);
+        this.interimTimer = setTimeout(() => {
+            this.interimTimer = null;
+            if (this.pendingInterim) {
+                const next = this.pendingInterim;
+                this.pendingInterim = null;
+                this.publishInterim(next);
             }
+        }, LIVE_INTERIM_THROTTLE_MS);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.interimTimer);
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+/**
+ * Map a locale to the closest UI language the Video SDK supports
+ */
+function sdkLanguageFor(locale) {
+    if (SDK_LANGUAGES.includes(locale)) return locale;
+
+    const base = String(locale).split('-')[0].toLowerCase();
+    const prefix = base === 'ja' ? 'jp' : base;
+    return SDK_LANGUAGES.find(language => language.startsWith(`${prefix}-`)) || 'en-US';
+}
+
+/**
+ * Locales to try, in order, when the recognizer rejects `locale`:
+ * another region of the same language, then the browser's language, then US English
+ */
+function languageFallbacks(locale) {
+    const base = String(locale).split('-')[0].toLowerCase();
+    const sameLanguage = TRANSCRIPTION_LANGUAGES
+        .map(language => language.code)
+        .filter(code => code !== locale && code.toLowerCase().startsWith(`${base}-`));
+    return [...new Set([...sameLanguage, navigator.language, 'en-US'])].filter(Boolean);
+}
+
+function loadLanguagePreference() {
+    return loadPreference(LANGUAGE_PREFERENCE_KEY);
+}
+
+function saveLanguagePreference(language) {
+    savePreference(LANGUAGE_PREFERENCE_KEY, language);
+}
+
+function loadPreference(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+function savePreference(key, value) {
+    try {
+        if (value) {
+            localStorage.setItem(key, value);
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
+
+function audioConstraints(deviceId) {
+    const constraints = {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true
+    };
+    if (deviceId) {
+        // Not `exact`: a microphone that is gone falls back to another one
+        constraints.deviceId = deviceId;
+    }
+    return constraints;
+}
+
+/**
+ * Downsample Float32 audio to `targetRate` and convert it to 16-bit little-endian PCM
+ */
+function toPcm16(input, inputRate, targetRate) {
+    const ratio = inputRate / targetRate;
+    const length = Math.floor(input.length / ratio);
+    const output = new DataView(new ArrayBuffer(length * 2));
+
+    for (let i = 0; i < length; i++) {
+        // Average the source samples that fall into this output sample
+        const start = Math.floor(i * ratio);
+        const end = Math.min(Math.max(Math.floor((i + 1) * ratio), start + 1), input.length);
+        let sum = 0;
+        for (let j = start; j < end; j++) {
+            sum += input[j];
         }
+        const sample = Math.max(-1, Math.min(1, sum / Math.max(end - start, 1)));
+        output.setInt16(i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
 
-        // Extract keywords (simple approach)
-        const words = text.toLowerCase().split(/\s+/);
-        result.keywords = words.filter(word => word.length > 4);
+    return output.buffer;
+}
 
-        return result;
+/**
+ * Unique id for a transcript segment, stable across upload retries
+ */
+function createSegmentId() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
     }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 }
 
 /**
@@ -565,26 +2276,27 @@ class AudioCapture {
         this.analyser = null;
         this.dataArray = null;
         this.isCapturing = false;
+        this.source = null;
+        // Microphone to capture (null for the default one)
+        this.deviceId = null;
+        // PCM taps for server-side transcription: { sampleRate, callback }
+        this.pcmListeners = new Set();
+        this.processor = null;
     }
 
     /**
-     * Start audio capture
+     * Start audio capture from `deviceId` (by default the last one chosen, else the default microphone)
      */
-    async start() {
+    async start({ deviceId = this.deviceId } = {}) {
         try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                } 
-            });
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(deviceId) });
+            this.deviceId = deviceId;
 
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 2048;
-            source.connect(this.analyser);
+            this.source.connect(this.analyser);
 
             this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
             this.isCapturing = true;
@@ -599,6 +2311,31 @@ class AudioCapture {
         }
     }
 
+    /**
+     * Capture from another microphone without interrupting the analyser or PCM listeners
+     */
+    async setDevice(deviceId) {
+        if (!this.isCapturing) {
+            this.deviceId = deviceId;
+            return;
+        }
+        if (deviceId === this.deviceId) return;
+
+        const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(deviceId) });
+        const source = this.audioContext.createMediaStreamSource(mediaStream);
+        source.connect(this.analyser);
+        if (this.processor) {
+            source.connect(this.processor);
+        }
+
+        this.source.disconnect();
+        this.mediaStream.getTracks().forEach(track => track.stop());
+        this.source = source;
+        this.mediaStream = mediaStream;
+        this.deviceId = deviceId;
+        console.log('Audio capture switched microphone');
+    }
+
     /**
      * Monitor audio levels for speech detection
      */
@@ -610,6 +2347,8 @@ class AudioCapture {
         // Calculate average volume
         const average = this.dataArray.reduce((a, b) => a + b) / this.dataArray.length;
         
+        this.onLevel(average);
+
         // Detect if speech is happening (threshold can be adjusted)
         const isSpeaking = average > 30;
         
@@ -620,11 +2359,55 @@ class AudioCapture {
         requestAnimationFrame(() => this.monitorAudioLevels());
     }
 
+    /**
+     * Receive the microphone as 16-bit mono PCM at `sampleRate`, in ArrayBuffer chunks.
+     * Returns a function that removes the listener.
+     */
+    onPcm(sampleRate, callback) {
+        const listener = { sampleRate, callback };
+        this.pcmListeners.add(listener);
+        this.startPcm();
+
+        return () => {
+            this.pcmListeners.delete(listener);
+            if (this.pcmListeners.size === 0) {
+                this.stopPcm();
+            }
+        };
+    }
+
+    startPcm() {
+        if (this.processor || !this.audioContext) return;
+
+        // ScriptProcessorNode keeps this file self-contained (an AudioWorklet needs its own module)
+        this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+        this.processor.onaudioprocess = (event) => {
+            const input = event.inputBuffer.getChannelData(0);
+            for (const { sampleRate, callback } of this.pcmListeners) {
+                callback(toPcm16(input, this.audioContext.sampleRate, sampleRate));
+            }
+        };
+
+        // The processor only runs while connected to the destination; its output stays silent
+        this.source.connect(this.processor);
+        this.processor.connect(this.audioContext.destination);
+    }
+
+    stopPcm() {
+        if (!this.processor) return;
+        this.processor.disconnect();
+        this.source.disconnect(this.processor);
+        this.processor.onaudioprocess = null;
+        this.processor = null;
+    }
+
     /**
      * Stop audio capture
      */
     stop() {
         this.isCapturing = false;
+        this.stopPcm();
+        this.pcmListeners.clear();
         
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
@@ -640,16 +2423,44 @@ class AudioCapture {
     }
 
     /**
-     * Event callback
+     * Event callbacks
      */
     onAudioData(level) {
         // Override in UI for visualization
     }
+
+    onLevel(level) {
+        // Every animation frame, 0-255; override for a level meter
+    }
+}
+
+/**
+ * The identity provider's token: taken from #access_token=<token> (e.g. where a login redirects
+ * to), then kept for this tab. It is removed from the address bar so it is not bookmarked or shared.
+ */
+function loadAuthToken() {
+    try {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const token = params.get('access_token');
+        if (token) {
+            sessionStorage.setItem(AUTH_TOKEN_KEY, token);
+            params.delete('access_token');
+            const hash = params.toString();
+            history.replaceState(null, '', location.pathname + location.search + (hash ? `#${hash}` : ''));
+        }
+        return sessionStorage.getItem(AUTH_TOKEN_KEY);
+    } catch (error) {
+        return null;
+    }
 }
 
 // Export for use in HTML
 window.ZoomVideoApp = ZoomVideoApp;
 window.TranscriptionManager = TranscriptionManager;
-window.SpeechDetection = SpeechDetection;
+window.TranscriptUploader = TranscriptUploader;
+window.LiveTranscriptChannel = LiveTranscriptChannel;
+window.WebSpeechProvider = WebSpeechProvider;
+window.StreamingSttProvider = StreamingSttProvider;
+window.TRANSCRIPTION_LANGUAGES = TRANSCRIPTION_LANGUAGES;
 window.AudioCapture = AudioCapture;
 
@@ -0,0 +1,392 @@
+/**
+ * Session Chat
+ * SessionChat wraps the Video SDK chat client: messages to everyone or to one participant,
+ * unread counts, and a history kept in localStorage so it survives a reload of the page.
+ * ChatPanel renders it (always with textContent: message text comes from other participants).
+ * Browser only (window.SessionChat, window.ChatPanel); used by ZoomVideoApp and by create-session.html.
+ */
+(function (root) {
+    // SDK ChatPrivilege values
+    const PRIVILEGE_ALL = 1;
+    const PRIVILEGE_NO_ONE = 4;
+    const PRIVILEGE_EVERYONE_PUBLICLY = 5;
+
+    const MAX_MESSAGE_LENGTH = 1000;
+    const MAX_STORED_MESSAGES = 500;
+    // Stored history older than this belongs to an earlier session with the same name
+    const HISTORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+    class SessionChat {
+        constructor({ storage = root.localStorage } = {}) {
+            this.storage = storage;
+            this.client = null;
+            this.chatClient = null;
+            this.storageKey = null;
+            this.selfId = null;
+            // { id, senderId, sender, receiverId, receiver, private, text, timestamp, outgoing, read }
+            this.messages = [];
+            this.ids = new Set();
+            this.privilege = PRIVILEGE_ALL;
+            this.handlers = {};
+        }
+
+        /**
+         * Start chatting in the joined session. History stored for this session and user is restored.
+         */
+        attach(client, sessionName, userName) {
+            this.client = client;
+            this.chatClient = client.getChatClient();
+            this.selfId = client.getCurrentUserInfo()?.userId ?? null;
+            this.storageKey = `chat-history:${sessionName}:${userName}`;
+
+            this.messages = [];
+            this.ids = new Set();
+            this.loadHistory().forEach(message => this.addMessage({ ...message, read: true }, { notify: false }));
+            (this.chatClient.getHistory?.() || []).forEach(message => this.receive(message, { notify: false }));
+
+            this.handlers = {
+                'chat-on-message': (payload) => this.receive(payload),
+                'chat-privilege-change': (payload) => this.setPrivilege(payload.chatPrivilege),
+                'user-added': () => this.onParticipantsChanged(this.recipients()),
+                'user-removed': () => this.onParticipantsChanged(this.recipients()),
+                'user-updated': () => this.onParticipantsChanged(this.recipients())
+            };
+            Object.entries(this.handlers).forEach(([event, handler]) => client.on(event, handler));
+
+            this.setPrivilege(this.chatClient.getPrivilege?.() ?? PRIVILEGE_ALL);
+            this.onParticipantsChanged(this.recipients());
+            this.onHistoryLoaded(this.messages);
+        }
+
+        /**
+         * Stop listening. Messages stay available (for export) until the next attach.
+         */
+        detach() {
+            if (this.client) {
+                Object.entries(this.handlers).forEach(([event, handler]) => this.client.off(event, handler));
+            }
+            this.handlers = {};
+            this.client = null;
+            this.chatClient = null;
+        }
+
+        get canSend() {
+            return !!this.chatClient && this.privilege !== PRIVILEGE_NO_ONE;
+        }
+
+        get canSendPrivately() {
+            return this.canSend && this.privilege !== PRIVILEGE_EVERYONE_PUBLICLY;
+        }
+
+        /**
+         * Participants a private message can go to
+         */
+        recipients() {
+            if (!this.client) return [];
+            return this.client.getAllUser()
+                .filter(user => user.userId !== this.selfId)
+                .map(user => ({ userId: user.userId, displayName: user.displayName || String(user.userId) }));
+        }
+
+        /**
+         * Send to everyone, or privately when `userId` is given
+         */
+        async send(text, userId = null) {
+            const message = String(text || '').trim();
+            if (!message) {
+                throw new Error('Message is empty');
+            }
+            if (message.length > MAX_MESSAGE_LENGTH) {
+                throw new Error(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+            }
+            if (!this.canSend) {
+                throw new Error('Chat is disabled in this session');
+            }
+            if (userId && !this.canSendPrivately) {
+                throw new Error('Private messages are disabled in this session');
+            }
+
+            let result;
+            try {
+                result = userId
+                    ? await this.chatClient.send(message, userId)
+                    : await this.chatClient.sendToAll(message);
+            } catch (error) {
+                result = error;
+            }
+            if (!result || result instanceof Error || result.type) {
+                throw new Error(result?.reason || result?.message || 'Message could not be sent');
+            }
+
+            return this.receive(result);
+        }
+
+        /**
+         * Add an SDK ChatMessage. Our own messages may arrive both from send() and as an event.
+         */
+        receive(payload, { notify = true } = {}) {
+            if (!payload || typeof payload.message !== 'string') return null;
+
+            const receiverId = payload.receiver?.userId || null;
+            const outgoing = payload.sender?.userId === this.selfId;
+            return this.addMessage({
+                id: payload.id || `${payload.sender?.userId}-${payload.timestamp}`,
+                senderId: payload.sender?.userId ?? null,
+                sender: payload.sender?.name || 'Unknown',
+                receiverId,
+                receiver: receiverId ? payload.receiver.name || String(receiverId) : null,
+                private: !!receiverId,
+                text: payload.message,
+                timestamp: new Date(payload.timestamp || Date.now()).toISOString(),
+                outgoing,
+                read: outgoing
+            }, { notify });
+        }
+
+        addMessage(message, { notify = true } = {}) {
+            if (this.ids.has(message.id)) return null;
+
+            this.ids.add(message.id);
+            this.messages.push(message);
+            this.messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            this.saveHistory();
+
+            if (notify) {
+                this.onMessage(message);
+                if (!message.read) this.onUnreadChanged(this.unread());
+            }
+            return message;
+        }
+
+        /**
+         * Unread counts: { total, private }
+         */
+        unread() {
+            const unread = this.messages.filter(message => !message.read);
+            return { total: unread.length, private: unread.filter(message => message.private).length };
+        }
+
+        markRead() {
+            if (!this.messages.some(message => !message.read)) return;
+            this.messages.forEach(message => { message.read = true; });
+            this.onUnreadChanged(this.unread());
+        }
+
+        setPrivilege(privilege) {
+            this.privilege = privilege;
+            this.onPrivilegeChanged({ canSend: this.canSend, canSendPrivately: this.canSendPrivately });
+        }
+
+        loadHistory() {
+            if (!this.storage || !this.storageKey) return [];
+            try {
+                const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+                return (JSON.parse(this.storage.getItem(this.storageKey)) || [])
+                    .filter(message => Date.parse(message.timestamp) >= cutoff);
+            } catch (error) {
+                console.warn('Could not load chat history:', error);
+                return [];
+            }
+        }
+
+        saveHistory() {
+            if (!this.storage || !this.storageKey) return;
+            try {
+                const stored = this.messages.slice(-MAX_STORED_MESSAGES).map(({ read, ...message }) => message);
+                this.storage.setItem(this.storageKey, JSON.stringify(stored));
+            } catch (error) {
+                console.warn('Could not save chat history:', error);
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI; ChatPanel sets them)
+         */
+        onMessage(message) {}
+
+        onHistoryLoaded(messages) {}
+
+        onUnreadChanged(unread) {}
+
+        onPrivilegeChanged(privileges) {}
+
+        onParticipantsChanged(recipients) {}
+    }
+
+    /**
+     * Chat panel: a collapsible log with a recipient picker and an input.
+     * Messages count as read while the panel is open and the page is visible.
+     */
+    class ChatPanel {
+        constructor(container, chat, { collapsed = true } = {}) {
+            this.container = container;
+            this.chat = chat;
+            this.collapsed = collapsed;
+            this.build();
+
+            chat.onMessage = (message) => {
+                this.appendMessage(message);
+                if (this.isVisible()) chat.markRead();
+            };
+            chat.onHistoryLoaded = (messages) => {
+                this.log.replaceChildren(...messages.map(message => this.renderMessage(message)));
+                this.scrollToEnd();
+                this.showUnread(chat.unread());
+            };
+            chat.onUnreadChanged = (unread) => this.showUnread(unread);
+            chat.onPrivilegeChanged = (privileges) => this.showPrivileges(privileges);
+            chat.onParticipantsChanged = (recipients) => this.showRecipients(recipients);
+
+            document.addEventListener('visibilitychange', () => {
+                if (this.isVisible()) chat.markRead();
+            });
+        }
+
+        build() {
+            const element = (tag, className, text) => {
+                const node = document.createElement(tag);
+                if (className) node.className = className;
+                if (text !== undefined) node.textContent = text;
+                return node;
+            };
+
+            this.toggle = element('button', 'chat-toggle', '💬 Chat ');
+            this.toggle.type = 'button';
+            this.badge = element('span', 'chat-badge');
+            this.badge.hidden = true;
+            this.toggle.appendChild(this.badge);
+            this.toggle.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+            this.body = element('div', 'chat-body');
+            this.log = element('div', 'chat-log');
+            this.log.setAttribute('role', 'log');
+            this.log.setAttribute('aria-live', 'polite');
+
+            this.form = element('form', 'chat-form');
+            this.recipient = element('select', 'chat-recipient');
+            this.recipient.setAttribute('aria-label', 'Send to');
+            this.recipient.add(new Option('Everyone', ''));
+            this.input = element('input', 'chat-input');
+            this.input.type = 'text';
+            this.input.maxLength = MAX_MESSAGE_LENGTH;
+            this.input.placeholder = 'Type a message…';
+            this.input.setAttribute('aria-label', 'Message');
+            this.sendButton = element('button', 'btn chat-send', 'Send');
+            this.sendButton.type = 'submit';
+            this.form.append(this.recipient, this.input, this.sendButton);
+            this.form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submit();
+            });
+
+            this.notice = element('div', 'chat-notice');
+            this.body.append(this.log, this.form, this.notice);
+            this.container.replaceChildren(this.toggle, this.body);
+            this.setCollapsed(this.collapsed);
+        }
+
+        async submit() {
+            const text = this.input.value;
+            if (!text.trim()) return;
+
+            try {
+                this.sendButton.disabled = true;
+                await this.chat.send(text, this.recipient.value ? Number(this.recipient.value) : null);
+                this.input.value = '';
+                this.notice.textContent = '';
+            } catch (error) {
+                this.notice.textContent = `⚠️ ${error.message}`;
+            } finally {
+                this.sendButton.disabled = !this.chat.canSend;
+                this.input.focus();
+            }
+        }
+
+        setCollapsed(collapsed) {
+            this.collapsed = collapsed;
+            this.body.hidden = collapsed;
+            this.toggle.setAttribute('aria-expanded', String(!collapsed));
+            if (this.isVisible()) {
+                this.chat.markRead();
+                this.scrollToEnd();
+            }
+        }
+
+        isVisible() {
+            return !this.collapsed && document.visibilityState === 'visible';
+        }
+
+        renderMessage(message) {
+            const item = document.createElement('div');
+            item.className = 'chat-message';
+            item.classList.toggle('outgoing', message.outgoing);
+            item.classList.toggle('private', message.private);
+
+            const header = document.createElement('div');
+            header.className = 'chat-message-header';
+            const from = message.outgoing ? 'You' : message.sender;
+            const to = message.private ? (message.outgoing ? message.receiver : 'you') : 'Everyone';
+            header.textContent = `${from} → ${to}${message.private ? ' (privately)' : ''} · ${new Date(message.timestamp).toLocaleTimeString()}`;
+
+            const text = document.createElement('div');
+            text.className = 'chat-message-text';
+            text.textContent = message.text;
+
+            item.append(header, text);
+            return item;
+        }
+
+        appendMessage(message) {
+            const stickToBottom = this.log.scrollHeight - this.log.scrollTop - this.log.clientHeight < 40;
+            const item = this.renderMessage(message);
+
+            // Messages are kept in time order; one from a slow sender may belong further up
+            const index = this.chat.messages.indexOf(message);
+            const next = this.log.children[index];
+            this.log.insertBefore(item, next || null);
+
+            if (stickToBottom || message.outgoing) {
+                this.scrollToEnd();
+            }
+        }
+
+        scrollToEnd() {
+            this.log.scrollTop = this.log.scrollHeight;
+        }
+
+        showUnread(unread) {
+            this.badge.hidden = unread.total === 0;
+            this.badge.textContent = String(unread.total);
+            this.badge.classList.toggle('private', unread.private > 0);
+            this.badge.title = unread.private ? `${unread.private} private` : '';
+        }
+
+        showPrivileges({ canSend, canSendPrivately }) {
+            this.input.disabled = !canSend;
+            this.sendButton.disabled = !canSend;
+            this.recipient.disabled = !canSendPrivately;
+            if (!canSendPrivately) this.recipient.value = '';
+
+            if (!canSend) {
+                this.notice.textContent = 'The host has turned off chat';
+            } else if (!canSendPrivately) {
+                this.notice.textContent = 'The host only allows messages to everyone';
+            } else {
+                this.notice.textContent = '';
+            }
+        }
+
+        showRecipients(recipients) {
+            const selected = this.recipient.value;
+            this.recipient.replaceChildren(
+                new Option('Everyone', ''),
+                ...recipients.map(user => new Option(user.displayName, String(user.userId)))
+            );
+            // Keep the selection while that participant is still here
+            this.recipient.value = recipients.some(user => String(user.userId) === selected) ? selected : '';
+        }
+    }
+
+    root.SessionChat = SessionChat;
+    root.ChatPanel = ChatPanel;
+})(window);
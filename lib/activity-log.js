@@ -0,0 +1,90 @@
+const DEFAULT_SIZE = 500;
+
+/**
+ * Activity Log
+ * Recent token issuance and refused requests, for the admin dashboard. Both are ring buffers in
+ * memory: the newest `size` entries of each are kept and a restart clears them. Nothing secret is
+ * recorded (no tokens, session keys or request bodies).
+ */
+class ActivityLog {
+  constructor({ size = DEFAULT_SIZE } = {}) {
+    this.size = size;
+    this.tokens = [];
+    this.failures = [];
+  }
+
+  /**
+   * A Video SDK token was signed. `source` says how it was asked for: generate-token,
+   * waiting-room, invite or refresh.
+   */
+  recordToken(req, source, { sessionName, roleType, userIdentity, expiresAt }) {
+    push(this.tokens, {
+      at: new Date().toISOString(),
+      source,
+      sessionName,
+      role: roleType,
+      userIdentity,
+      requestedBy: req.identity && !req.identity.anonymous ? `${req.identity.via}:${req.identity.id}` : null,
+      ip: req.ip,
+      expiresAt
+    }, this.size);
+  }
+
+  /**
+   * Express middleware: record the 4xx answers of an endpoint (bad input, wrong keys, rate limits)
+   */
+  watch(endpoint) {
+    return (req, res, next) => {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400 && res.statusCode < 500) {
+          push(this.failures, {
+            at: new Date().toISOString(),
+            endpoint,
+            status: res.statusCode,
+            error: body?.error || null,
+            errors: Array.isArray(body?.errors) ? body.errors : undefined,
+            sessionName: nameOf(req.params?.name ?? req.body?.sessionName),
+            userIdentity: nameOf(req.body?.userIdentity),
+            ip: req.ip
+          }, this.size);
+        }
+        return json(body);
+      };
+      next();
+    };
+  }
+
+  /**
+   * Newest first, optionally for one session
+   */
+  recentTokens({ sessionName = null, limit = 100 } = {}) {
+    return newest(this.tokens, entry => !sessionName || entry.sessionName === sessionName, limit);
+  }
+
+  recentFailures({ sessionName = null, limit = 100 } = {}) {
+    return newest(this.failures, entry => !sessionName || entry.sessionName === sessionName, limit);
+  }
+}
+
+function push(buffer, entry, size) {
+  buffer.push(entry);
+  if (buffer.length > size) {
+    buffer.shift();
+  }
+}
+
+function newest(buffer, filter, limit) {
+  const result = [];
+  for (let i = buffer.length - 1; i >= 0 && result.length < limit; i--) {
+    if (filter(buffer[i])) result.push(buffer[i]);
+  }
+  return result;
+}
+
+// Names from request bodies are untrusted; keep them short and only when they are strings
+function nameOf(value) {
+  return typeof value === 'string' && value ? value.slice(0, 200) : null;
+}
+
+module.exports = { ActivityLog };
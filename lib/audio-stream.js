@@ -0,0 +1,118 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { ApiError } = require('./errors');
+const { isLanguageTag } = require('./session-registry');
+
+const AUDIO_PATH = /^\/api\/sessions\/([^/]+)\/audio$/;
+const DEFAULT_SAMPLE_RATE = 16000;
+
+/**
+ * Audio streaming for server-side transcription
+ * Browsers open a WebSocket to /api/sessions/:name/audio?token=...&language=en-US&sampleRate=16000
+ * and send binary messages of 16-bit little-endian mono PCM. Each connection gets its own
+ * adapter stream; recognition results come back as JSON text messages:
+ *   { "type": "result", "text": "...", "final": true, "confidence": 0.9 }
+ *   { "type": "error", "error": "..." }
+ * The client sends { "type": "stop" } to flush the pending utterance before closing.
+ *
+ * `authorize(sessionName, token)` verifies the caller and returns the participant, or throws an ApiError.
+ */
+function attachAudioStreams(server, { adapter, authorize, maxPayload = 256 * 1024 }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = AUDIO_PATH.exec(url.pathname);
+    if (!match) {
+      return rejectUpgrade(socket, new ApiError(404, 'Not found'));
+    }
+
+    try {
+      if (!adapter) {
+        throw new ApiError(503, 'Server-side transcription is not configured (set STT_ADAPTER)');
+      }
+
+      const sessionName = decodeURIComponent(match[1]);
+      const participant = await authorize(sessionName, url.searchParams.get('token'));
+      const sampleRate = parseInt(url.searchParams.get('sampleRate')) || DEFAULT_SAMPLE_RATE;
+      if (sampleRate < 8000 || sampleRate > 48000) {
+        throw new ApiError(400, 'sampleRate must be between 8000 and 48000');
+      }
+      const language = url.searchParams.get('language');
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        handleConnection(ws, adapter.createStream({
+          sessionName,
+          userIdentity: participant.userIdentity,
+          language: isLanguageTag(language) ? language : 'en-US',
+          sampleRate
+        }));
+      });
+    } catch (error) {
+      rejectUpgrade(socket, error);
+    }
+  });
+
+  return wss;
+}
+
+function handleConnection(ws, stream) {
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  stream.on('result', (result) => send({ type: 'result', ...result }));
+  stream.on('error', (error) => {
+    console.error('Speech-to-text stream error:', error);
+    send({ type: 'error', error: error.message });
+    ws.close(1011, 'Transcription failed');
+  });
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      stream.write(data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return send({ type: 'error', error: 'Control messages must be JSON' });
+    }
+
+    if (message.type === 'stop') {
+      stream.end();
+      ws.close(1000);
+    }
+  });
+
+  ws.on('close', () => stream.end());
+}
+
+/**
+ * Answer a refused upgrade with a plain HTTP response, in the same JSON shape as the REST API
+ */
+function rejectUpgrade(socket, error) {
+  const status = error instanceof ApiError ? error.status : 500;
+  if (status === 500) {
+    console.error('Audio stream upgrade failed:', error);
+  }
+
+  const body = JSON.stringify(error instanceof ApiError
+    ? { error: error.message, ...error.details }
+    : { error: 'Failed to open audio stream' });
+
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+}
+
+module.exports = { attachAudioStreams };
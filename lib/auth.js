@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { ApiError, sendError } = require('./errors');
+const { safeEqual } = require('./session-registry');
+const { verifySessionToken } = require('./token');
+
+const HMAC_MAX_SKEW_SECONDS = 300;
+
+/**
+ * Authentication
+ * Each strategy looks at a request and either returns an identity, returns null when the
+ * request carries none of its credentials, or throws a 401 when its credentials are wrong.
+ * An identity is { id, via, roles }.
+ */
+
+/**
+ * Static API keys: X-API-Key header
+ * AUTH_API_KEYS="key1:identity1,key2:identity2"
+ */
+function apiKeyStrategy(spec) {
+  const keys = parseList(spec).map(([key, id]) => ({ key, id: id || 'api-key' }));
+
+  return {
+    name: 'api-key',
+    authenticate(req) {
+      const provided = req.get('X-API-Key');
+      if (!provided) return null;
+
+      const match = keys.find(entry => safeEqual(entry.key, provided));
+      if (!match) {
+        throw unauthenticated('Invalid API key');
+      }
+      return { id: match.id, via: 'api-key', roles: [] };
+    }
+  };
+}
+
+/**
+ * HMAC-signed requests from a trusted backend
+ * AUTH_HMAC_SECRETS="clientId:secret,..."
+ * Headers: X-Client-Id, X-Timestamp (unix seconds), X-Signature: sha256=<hex of HMAC over
+ * "<timestamp>.<METHOD>.<path>.<raw body>">
+ */
+function hmacStrategy(spec) {
+  const secrets = new Map(parseList(spec));
+
+  return {
+    name: 'hmac',
+    authenticate(req) {
+      const signature = req.get('X-Signature');
+      if (!signature) return null;
+
+      const clientId = req.get('X-Client-Id');
+      const timestamp = parseInt(req.get('X-Timestamp'));
+      const secret = secrets.get(clientId);
+      if (!secret) {
+        throw unauthenticated('Unknown HMAC client');
+      }
+      if (isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > HMAC_MAX_SKEW_SECONDS) {
+        throw unauthenticated('Request timestamp is missing or outside the allowed window');
+      }
+
+      const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+      const expected = 'sha256=' + crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${req.method}.${req.originalUrl}.${body}`)
+        .digest('hex');
+
+      if (!safeEqual(expected, signature)) {
+        throw unauthenticated('Invalid request signature');
+      }
+      return { id: clientId, via: 'hmac', roles: [] };
+    }
+  };
+}
+
+/**
+ * Bearer JWT issued by our own identity provider
+ * AUTH_JWT_SECRET (HS256) or AUTH_JWT_PUBLIC_KEY_FILE (RS256/ES256), plus optional
+ * AUTH_JWT_ISSUER, AUTH_JWT_AUDIENCE and AUTH_JWT_ROLES_CLAIM (default "roles")
+ */
+function bearerJwtStrategy(env) {
+  const key = env.AUTH_JWT_PUBLIC_KEY_FILE
+    ? fs.readFileSync(env.AUTH_JWT_PUBLIC_KEY_FILE, 'utf8')
+    : env.AUTH_JWT_SECRET;
+  const algorithms = env.AUTH_JWT_PUBLIC_KEY_FILE ? ['RS256', 'ES256'] : ['HS256'];
+  const rolesClaim = env.AUTH_JWT_ROLES_CLAIM || 'roles';
+
+  return {
+    name: 'jwt',
+    authenticate(req) {
+      const header = req.get('Authorization') || '';
+      const match = header.match(/^Bearer\s+(.+)$/i);
+      if (!match) return null;
+
+      let claims;
+      try {
+        claims = jwt.verify(match[1], key, {
+          algorithms,
+          issuer: env.AUTH_JWT_ISSUER || undefined,
+          audience: env.AUTH_JWT_AUDIENCE || undefined
+        });
+      } catch (error) {
+        throw unauthenticated(`Invalid bearer token: ${error.message}`);
+      }
+
+      if (!claims.sub) {
+        throw unauthenticated('Bearer token has no subject');
+      }
+
+      const roles = claims[rolesClaim];
+      return {
+        id: claims.sub,
+        via: 'jwt',
+        roles: Array.isArray(roles) ? roles : (roles ? [roles] : [])
+      };
+    }
+  };
+}
+
+/**
+ * Build the authenticator from environment variables.
+ * With no strategies configured authentication is disabled and every caller is treated as a
+ * trusted anonymous user, which keeps local development working.
+ */
+function createAuthenticator(env = process.env) {
+  const strategies = [];
+  if (env.AUTH_API_KEYS) strategies.push(apiKeyStrategy(env.AUTH_API_KEYS));
+  if (env.AUTH_HMAC_SECRETS) strategies.push(hmacStrategy(env.AUTH_HMAC_SECRETS));
+  if (env.AUTH_JWT_SECRET || env.AUTH_JWT_PUBLIC_KEY_FILE) strategies.push(bearerJwtStrategy(env));
+
+  return {
+    enabled: strategies.length > 0,
+    allowAnonymous: env.AUTH_ALLOW_ANONYMOUS === 'true',
+    strategies,
+
+    authenticate(req) {
+      for (const strategy of strategies) {
+        const identity = strategy.authenticate(req);
+        if (identity) return identity;
+      }
+
+      if (!this.enabled) {
+        return { id: 'anonymous', via: 'none', roles: [], anonymous: true, trusted: true };
+      }
+      if (this.allowAnonymous) {
+        return { id: 'anonymous', via: 'none', roles: [], anonymous: true, trusted: false };
+      }
+      throw unauthenticated('Authentication required');
+    }
+  };
+}
+
+/**
+ * Host policy
+ * Decides who may request role 1 for which session. Rules come from AUTH_POLICY_FILE:
+ *   { "hosts": [ { "identity": "alice", "sessions": ["team-*"] }, { "role": "admin", "sessions": ["*"] } ] }
+ * Without a policy file any authenticated caller may host any session.
+ * Anonymous callers may only host when authentication is disabled altogether.
+ */
+function createHostPolicy(env = process.env) {
+  const rules = env.AUTH_POLICY_FILE
+    ? JSON.parse(fs.readFileSync(env.AUTH_POLICY_FILE, 'utf8')).hosts || []
+    : null;
+
+  return {
+    canHost(identity, sessionName) {
+      if (identity.anonymous) {
+        return identity.trusted;
+      }
+      if (!rules) {
+        return true;
+      }
+
+      return rules.some(rule => {
+        const matchesWho = (rule.identity && rule.identity === identity.id) ||
+          (rule.role && identity.roles.includes(rule.role));
+        const patterns = rule.sessions || ['*'];
+        return matchesWho && patterns.some(pattern => globMatch(pattern, sessionName));
+      });
+    }
+  };
+}
+
+/**
+ * Admin access for the dashboard and its endpoints
+ * ADMIN_TOKEN is a shared secret sent as `Authorization: Bearer <token>`. Callers authenticated
+ * through the AUTH_* strategies are admins when their roles include "admin" or their identity is
+ * listed in ADMIN_IDENTITIES ("id1,id2"). With none of this configured, admin endpoints stay closed.
+ */
+function createAdminPolicy(authenticator, env = process.env) {
+  const adminToken = env.ADMIN_TOKEN || null;
+  const identities = (env.ADMIN_IDENTITIES || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  return {
+    enabled: !!adminToken || authenticator.enabled,
+
+    authenticate(req) {
+      const header = req.get('Authorization') || '';
+      const match = header.match(/^Bearer\s+(.+)$/i);
+      if (adminToken && match && safeEqual(adminToken, match[1])) {
+        return { id: 'admin-token', via: 'admin-token', roles: ['admin'] };
+      }
+
+      if (!authenticator.enabled) {
+        if (!adminToken) {
+          throw new ApiError(503, 'Admin access is not configured. Set ADMIN_TOKEN.', { code: 'admin_disabled' });
+        }
+        throw unauthenticated(match ? 'Invalid admin token' : 'Admin token required');
+      }
+
+      const identity = authenticator.authenticate(req);
+      if (identity.anonymous) {
+        throw unauthenticated('Admin authentication required');
+      }
+      if (!identity.roles.includes('admin') && !identities.includes(identity.id)) {
+        throw forbidden(`"${identity.id}" is not an admin`);
+      }
+      return identity;
+    }
+  };
+}
+
+/**
+ * Express middleware: attach req.identity for admins, or answer 401/403
+ */
+function requireAdmin(adminPolicy) {
+  return (req, res, next) => {
+    try {
+      req.identity = adminPolicy.authenticate(req);
+      next();
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      sendError(res, error, 'Authentication failed');
+    }
+  };
+}
+
+/**
+ * Express middleware for server configuration: admins (as for requireAdmin), or requests made
+ * on this machine without credentials. A local request counts only when it comes from a loopback
+ * address, names a loopback host, and is not sent by a page from another origin (any site the
+ * local user visits could otherwise post to localhost). Behind a reverse proxy on the same
+ * machine, set TRUST_PROXY so the proxy's requests are not taken as local.
+ */
+function requireLocalOrAdmin(adminPolicy) {
+  const admin = requireAdmin(adminPolicy);
+
+  return (req, res, next) => {
+    if (req.get('Authorization') || !isLocalRequest(req)) {
+      if (!req.get('Authorization') && !adminPolicy.enabled) {
+        return sendError(res, forbidden('Only allowed from this machine, or with ADMIN_TOKEN'), 'Authentication failed');
+      }
+      return admin(req, res, next);
+    }
+    req.identity = { id: 'localhost', via: 'local', roles: ['admin'] };
+    next();
+  };
+}
+
+function isLocalRequest(req) {
+  const origin = req.get('Origin');
+  if (origin) {
+    try {
+      if (new URL(origin).host !== req.get('host')) return false;
+    } catch (error) {
+      return false;
+    }
+  }
+  return isLoopbackAddress(req.ip) && isLoopbackHost(req.hostname);
+}
+
+function isLoopbackAddress(address) {
+  return /^(?:::ffff:)?127\./.test(address || '') || address === '::1';
+}
+
+function isLoopbackHost(hostname) {
+  return ['localhost', '127.0.0.1', '[::1]', '::1'].includes(hostname);
+}
+
+/**
+ * Express middleware: attach req.identity or answer 401
+ */
+function requireAuth(authenticator) {
+  return (req, res, next) => {
+    try {
+      req.identity = authenticator.authenticate(req);
+      next();
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      sendError(res, error, 'Authentication failed');
+    }
+  };
+}
+
+/**
+ * Session tokens
+ * Endpoints for one session (/api/sessions/:name/...) take a Video SDK token for it as proof of
+ * membership. The token must come from the session running under that name now: a session that
+ * was ended and created again gets a fresh key and start time, so tokens from the earlier one
+ * (and their transcripts, queues and streams) do not carry over.
+ */
+function createSessionAuth(sessionRegistry) {
+  /**
+   * Verify a Video SDK token for one session and return the participant it identifies
+   */
+  async function authenticateParticipant(token, sessionName, graceSeconds = 0) {
+    if (!token) {
+      throw unauthenticated('A session token is required');
+    }
+
+    const claims = verifySessionToken(token, graceSeconds);
+    if (claims.tpc !== sessionName) {
+      throw forbidden(`Token is not valid for session "${sessionName}"`);
+    }
+
+    const session = await sessionRegistry.get(sessionName);
+    if (!session) {
+      throw new ApiError(404, `Session "${sessionName}" not found`);
+    }
+    if (!safeEqual(session.sessionKey, claims.session_key) || claims.iat < Math.floor(Date.parse(session.createdAt) / 1000)) {
+      throw forbidden(`Token is from an earlier session named "${sessionName}"`);
+    }
+
+    return {
+      sessionName: claims.tpc,
+      userIdentity: claims.user_identity,
+      roleType: claims.role_type,
+      sessionKey: claims.session_key
+    };
+  }
+
+  /**
+   * Express middleware: the caller presents a token as `Authorization: Bearer <token>`; its
+   * identity and role are attached as req.participant.
+   * With `allowQueryToken` the token may also come as ?token= (EventSource cannot set headers).
+   * Endpoints outside /api/sessions/:name pass `sessionName(req)` to say where the name is.
+   */
+  function requireSessionToken({ graceSeconds = 0, allowQueryToken = false, sessionName = req => req.params.name } = {}) {
+    return async (req, res, next) => {
+      try {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        const token = match ? match[1] : (allowQueryToken ? req.query.token : null);
+        req.participant = await authenticateParticipant(token, sessionName(req), graceSeconds);
+        next();
+      } catch (error) {
+        if (error instanceof ApiError && error.status === 401) {
+          res.set('WWW-Authenticate', 'Bearer');
+        }
+        sendError(res, error, 'Authentication failed');
+      }
+    };
+  }
+
+  /**
+   * Express middleware for host actions on /api/sessions/:name: as requireSessionToken, for a
+   * host's token. The session key every participant has is not enough. With `adminPolicy`,
+   * admins may act too, with their own credentials on the same header (attached as req.identity).
+   */
+  function requireSessionHost({ graceSeconds = 0, allowQueryToken = false, adminPolicy = null } = {}) {
+    const admin = adminPolicy ? requireAdmin(adminPolicy) : null;
+
+    return async (req, res, next) => {
+      const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+      try {
+        const token = match ? match[1] : (allowQueryToken ? req.query.token : null);
+        const participant = await authenticateParticipant(token, req.params.name, graceSeconds);
+        if (participant.roleType !== 1) {
+          throw forbidden('Only the host can do this');
+        }
+        req.participant = participant;
+        next();
+      } catch (error) {
+        // Not a session token at all: it may be an admin's
+        if (admin && adminPolicy.enabled && match && error.status === 401) {
+          return admin(req, res, next);
+        }
+        if (error instanceof ApiError && error.status === 401) {
+          res.set('WWW-Authenticate', 'Bearer');
+        }
+        sendError(res, error, 'Authentication failed');
+      }
+    };
+  }
+
+  return { authenticateParticipant, requireSessionToken, requireSessionHost };
+}
+
+function unauthenticated(message) {
+  return new ApiError(401, message, { code: 'unauthenticated' });
+}
+
+function forbidden(message) {
+  return new ApiError(403, message, { code: 'forbidden' });
+}
+
+function parseList(spec) {
+  return spec.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const index = item.indexOf(':');
+      return index === -1 ? [item, null] : [item.slice(0, index), item.slice(index + 1)];
+    });
+}
+
+function globMatch(pattern, value) {
+  const regex = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+  return regex.test(value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  createAuthenticator,
+  createHostPolicy,
+  createAdminPolicy,
+  requireAuth,
+  requireAdmin,
+  requireLocalOrAdmin,
+  createSessionAuth,
+  forbidden
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+
+const SDK_VARIABLES = ['ZOOM_VIDEO_SDK_KEY', 'ZOOM_VIDEO_SDK_SECRET'];
+// Same rules as setup-credentials.html; they also keep values safe to write unquoted
+const CREDENTIAL_PATTERN = /^[A-Za-z0-9_-]{20,200}$/;
+const ASSIGNMENT_PATTERN = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_]*)\s*=/;
+
+/**
+ * Whether the Video SDK key and secret are set. Without them the server runs in setup mode.
+ */
+function sdkConfigured(env = process.env) {
+  return SDK_VARIABLES.every(name => !!env[name]);
+}
+
+/**
+ * Check { sdkKey, sdkSecret } from a request and return them as environment variables
+ */
+function parseSdkCredentials(body) {
+  const sdkKey = typeof body?.sdkKey === 'string' ? body.sdkKey.trim() : '';
+  const sdkSecret = typeof body?.sdkSecret === 'string' ? body.sdkSecret.trim() : '';
+  if (!sdkKey || !sdkSecret) {
+    throw new ApiError(400, 'Both SDK Key and SDK Secret are required');
+  }
+  if (!CREDENTIAL_PATTERN.test(sdkKey) || !CREDENTIAL_PATTERN.test(sdkSecret)) {
+    throw new ApiError(400, 'SDK Key and Secret must be 20-200 letters, numbers, hyphens or underscores');
+  }
+  return { ZOOM_VIDEO_SDK_KEY: sdkKey, ZOOM_VIDEO_SDK_SECRET: sdkSecret };
+}
+
+/**
+ * .env file writer
+ * Sets variables in place and keeps every other line (comments, other settings, their order).
+ * The new content goes to a temporary file next to the old one, readable by the owner only, and
+ * is renamed over it, so a crash never leaves a half-written file. Updates run one at a time.
+ */
+class EnvFile {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.queue = Promise.resolve();
+  }
+
+  update(values) {
+    const run = this.queue.then(() => this.write(values));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(values) {
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const temp = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.promises.open(temp, 'wx', 0o600);
+    try {
+      await handle.writeFile(setVariables(content, values));
+      await handle.sync();
+      await handle.close();
+      await fs.promises.rename(temp, this.file);
+    } catch (error) {
+      await handle.close().catch(() => {});
+      await fs.promises.unlink(temp).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+// Replace the first assignment of each variable, drop later ones and append the missing
+function setVariables(content, values) {
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content ? content.split(/\r?\n/) : [];
+  if (lines.length && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const written = new Set();
+  const result = [];
+  for (const line of lines) {
+    const [, prefix, name] = line.match(ASSIGNMENT_PATTERN) || [];
+    if (!name || !(name in values)) {
+      result.push(line);
+    } else if (!written.has(name)) {
+      result.push(`${prefix}${name}=${values[name]}`);
+      written.add(name);
+    }
+  }
+  for (const [name, value] of Object.entries(values)) {
+    if (!written.has(name)) result.push(`${name}=${value}`);
+  }
+
+  return result.join(newline) + newline;
+}
+
+module.exports = { EnvFile, sdkConfigured, parseSdkCredentials };
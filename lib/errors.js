@@ -0,0 +1,33 @@
+/**
+ * API error carrying an HTTP status code
+ * Thrown by server-side modules and turned into JSON responses by sendError()
+ */
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error as a JSON response
+ * ApiErrors keep their status; anything else is reported as a 500 with the given fallback message
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.details || {})
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+module.exports = { ApiError, sendError };
@@ -0,0 +1,114 @@
+/**
+ * Event Stream Hub
+ * Server-Sent Events fan-out. Clients subscribe to a named channel; anything published on
+ * that channel is written to every open stream. Events with `replay: true` are kept in a
+ * short per-channel buffer so a client reconnecting with Last-Event-ID catches up.
+ */
+class EventStreamHub {
+  constructor({ heartbeatMs = 25 * 1000, replaySize = 200 } = {}) {
+    this.channels = new Map();
+    this.replaySize = replaySize;
+
+    // Comment lines keep proxies from closing idle streams
+    this.heartbeat = setInterval(() => {
+      for (const channel of this.channels.values()) {
+        for (const client of channel.clients) {
+          client.res.write(': ping\n\n');
+        }
+      }
+    }, heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, { clients: new Set(), nextId: 1, buffer: [] });
+    }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Open an SSE stream on `res`. `meta` is kept with the client (e.g. who is listening).
+   */
+  subscribe(name, req, res, meta = {}) {
+    const channel = this.getChannel(name);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Catch up on events missed since the last one this client saw
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (!isNaN(lastEventId)) {
+      for (const event of channel.buffer) {
+        if (event.id > lastEventId) {
+          res.write(event.frame);
+        }
+      }
+    }
+
+    const client = { res, meta };
+    channel.clients.add(client);
+
+    req.on('close', () => {
+      channel.clients.delete(client);
+      if (channel.clients.size === 0 && channel.buffer.length === 0) {
+        this.channels.delete(name);
+      }
+    });
+
+    return client;
+  }
+
+  /**
+   * Send an event to every subscriber of a channel. A channel nobody has subscribed to is not
+   * created, so publishing leaves nothing behind; the result is then null instead of the event id.
+   */
+  publish(name, type, data, { replay = false } = {}) {
+    const channel = this.channels.get(name);
+    if (!channel) return null;
+
+    const id = channel.nextId++;
+    const frame = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    if (replay) {
+      channel.buffer.push({ id, frame });
+      if (channel.buffer.length > this.replaySize) {
+        channel.buffer.shift();
+      }
+    }
+
+    for (const client of channel.clients) {
+      client.res.write(frame);
+    }
+    return id;
+  }
+
+  /**
+   * Subscribers currently connected to a channel
+   */
+  listeners(name) {
+    const channel = this.channels.get(name);
+    return channel ? Array.from(channel.clients).map(client => client.meta) : [];
+  }
+
+  /**
+   * Drop a channel, ending every open stream on it
+   */
+  close(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+
+    for (const client of channel.clients) {
+      client.res.end();
+    }
+    this.channels.delete(name);
+  }
+}
+
+module.exports = { EventStreamHub };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('./errors');
+const { assertUnlocked } = require('./session-registry');
+
+const INVITE_ISSUER = 'zoom-videosdk-express:invite';
+const DEFAULT_INVITE_TTL_SECONDS = 60 * 60 * 24; // 1 day
+const MAX_INVITE_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+/**
+ * Invite Service
+ * Issues signed invite codes for a session. The code itself carries the session, role and
+ * expiry; the matching record on the session tracks usage and revocation.
+ */
+class InviteService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Issue an invite for an active session
+   */
+  async create(sessionName, { role = 0, expiresIn = DEFAULT_INVITE_TTL_SECONDS, maxUses = null, displayName = null } = {}) {
+    const roleType = parseInt(role);
+    if (roleType !== 0 && roleType !== 1) {
+      throw new ApiError(400, 'Invalid role. Must be 0 (participant) or 1 (host)');
+    }
+
+    const ttl = parseInt(expiresIn);
+    if (isNaN(ttl) || ttl <= 0 || ttl > MAX_INVITE_TTL_SECONDS) {
+      throw new ApiError(400, `expiresIn must be between 1 and ${MAX_INVITE_TTL_SECONDS} seconds`);
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new ApiError(400, 'maxUses must be a positive integer');
+    }
+
+    if (displayName !== null && (typeof displayName !== 'string' || !displayName.trim() || displayName.length > 100)) {
+      throw new ApiError(400, 'displayName must be a non-empty string of 100 characters or less');
+    }
+
+    const session = await this.getActiveSession(sessionName);
+
+    const now = Date.now();
+    const invite = {
+      id: crypto.randomBytes(9).toString('base64url'),
+      role: roleType,
+      displayName: displayName ? displayName.trim() : null,
+      maxUses: maxUses,
+      uses: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+      revokedAt: null
+    };
+
+    await this.store.set({
+      ...session,
+      invites: [...(session.invites || []), invite]
+    });
+
+    const code = jwt.sign({
+      tpc: sessionName,
+      role_type: invite.role,
+      name: invite.displayName || undefined
+    }, inviteSecret(), {
+      algorithm: 'HS256',
+      issuer: INVITE_ISSUER,
+      jwtid: invite.id,
+      expiresIn: ttl
+    });
+
+    return { code, sessionName, ...invite };
+  }
+
+  /**
+   * Check an invite code without using it up
+   */
+  async inspect(code) {
+    const claims = verifyInviteCode(code);
+    const session = await this.getActiveSession(claims.tpc);
+    const invite = (session.invites || []).find(item => item.id === claims.jti);
+
+    if (!invite) {
+      throw new ApiError(404, 'Invite not found');
+    }
+    if (invite.revokedAt) {
+      throw new ApiError(410, 'Invite has been revoked');
+    }
+    if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+      throw new ApiError(410, 'Invite has reached its usage limit');
+    }
+
+    return { session, invite };
+  }
+
+  /**
+   * Check that an invite can be used by this person. Returns the session and the identity/role
+   * the token must be issued for, without using the invite up.
+   */
+  async prepare(code, userIdentity) {
+    const { session, invite } = await this.inspect(code);
+    assertUnlocked(session);
+
+    const identity = invite.displayName || (typeof userIdentity === 'string' ? userIdentity.trim() : '');
+    if (!identity) {
+      throw new ApiError(400, 'userIdentity is required for this invite');
+    }
+    if (identity.length > 100) {
+      throw new ApiError(400, 'userIdentity must be 100 characters or less');
+    }
+
+    return { session, invite, userIdentity: identity };
+  }
+
+  /**
+   * Use an invite once. Returns the same as prepare().
+   */
+  async redeem(code, userIdentity) {
+    const { session, invite, userIdentity: identity } = await this.prepare(code, userIdentity);
+
+    await this.store.set({
+      ...session,
+      invites: session.invites.map(item => item.id === invite.id ? { ...item, uses: item.uses + 1 } : item)
+    });
+
+    return { session, invite, userIdentity: identity };
+  }
+
+  /**
+   * Revoke one invite, or with no id every invite still outstanding (not revoked, expired or
+   * used up). Codes already handed out stop working; tokens already issued are not affected.
+   */
+  async revoke(sessionName, id = null) {
+    const session = await this.store.get(sessionName);
+    if (!session) {
+      throw new ApiError(404, `Session "${sessionName}" not found`);
+    }
+
+    const invites = session.invites || [];
+    if (id !== null && !invites.some(invite => invite.id === id)) {
+      throw new ApiError(404, 'Invite not found');
+    }
+
+    const now = new Date().toISOString();
+    const revoked = [];
+    const updated = invites.map(invite => {
+      const selected = id !== null ? invite.id === id : isOutstanding(invite, now);
+      if (!selected || invite.revokedAt) return invite;
+      revoked.push(invite.id);
+      return { ...invite, revokedAt: now };
+    });
+
+    if (revoked.length) {
+      await this.store.set({ ...session, invites: updated });
+    }
+    return revoked;
+  }
+
+  async getActiveSession(sessionName) {
+    const session = await this.store.get(sessionName);
+    if (!session) {
+      throw new ApiError(404, `Session "${sessionName}" not found`);
+    }
+    if (session.status !== 'active') {
+      throw new ApiError(410, `Session "${sessionName}" has ended`);
+    }
+    return session;
+  }
+}
+
+/**
+ * Invite details that are safe to show to whoever holds the code
+ */
+function toPublicInvite(session, invite) {
+  return {
+    sessionName: session.sessionName,
+    role: invite.role,
+    displayName: invite.displayName,
+    expiresAt: invite.expiresAt,
+    usesRemaining: invite.maxUses === null ? null : invite.maxUses - invite.uses
+  };
+}
+
+/**
+ * Whether an invite could still be redeemed (ignoring whether its session is still active)
+ */
+function isOutstanding(invite, now = new Date().toISOString()) {
+  return !invite.revokedAt && invite.expiresAt > now && (invite.maxUses === null || invite.uses < invite.maxUses);
+}
+
+function verifyInviteCode(code) {
+  if (!code || typeof code !== 'string') {
+    throw new ApiError(400, 'Invite code is required');
+  }
+
+  try {
+    return jwt.verify(code, inviteSecret(), {
+      algorithms: ['HS256'],
+      issuer: INVITE_ISSUER
+    });
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new ApiError(410, 'Invite has expired');
+    }
+    throw new ApiError(400, 'Invalid invite code');
+  }
+}
+
+// Invites are signed with INVITE_SECRET, falling back to the SDK secret
+function inviteSecret() {
+  return process.env.INVITE_SECRET || process.env.ZOOM_VIDEO_SDK_SECRET;
+}
+
+module.exports = { InviteService, toPublicInvite, isOutstanding };
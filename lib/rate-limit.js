@@ -0,0 +1,151 @@
+const { ApiError, sendError } = require('./errors');
+
+/**
+ * Rate limit stores
+ * A store keeps a sliding-window log of hits per key. Every store implements the same async
+ * interface so a shared backend (e.g. Redis) can replace the in-memory one:
+ *   consume(key, windowMs, max) -> { allowed, count, resetMs }
+ *     Records a hit unless `max` hits already fall inside the window. `resetMs` is how long
+ *     until the oldest hit in the window expires.
+ *   hold(key, member, untilMs, max) -> { allowed, count, resetMs }
+ *     Holds a slot for `member` until the `untilMs` timestamp, unless `max` other members already
+ *     hold one. Holding again only extends the member's slot. `resetMs` is how long until the
+ *     first slot frees up.
+ */
+class MemoryRateLimitStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.windows = new Map();
+    this.holds = new Map();
+
+    // Drop keys whose hits have all expired
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async consume(key, windowMs, max) {
+    const now = Date.now();
+    const log = (this.hits.get(key) || []).filter(time => time > now - windowMs);
+
+    const allowed = log.length < max;
+    if (allowed) {
+      log.push(now);
+    }
+
+    this.hits.set(key, log);
+    this.windows.set(key, windowMs);
+
+    return {
+      allowed,
+      count: log.length,
+      resetMs: log.length ? log[0] + windowMs - now : windowMs
+    };
+  }
+
+  async hold(key, member, untilMs, max) {
+    const now = Date.now();
+    const slots = new Map([...(this.holds.get(key) || [])].filter(([, until]) => until > now));
+
+    const allowed = slots.has(member) || slots.size < max;
+    if (allowed) {
+      slots.set(member, Math.max(slots.get(member) || 0, untilMs));
+    }
+
+    this.holds.set(key, slots);
+
+    return {
+      allowed,
+      count: slots.size,
+      resetMs: slots.size ? Math.min(...slots.values()) - now : 0
+    };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, log] of this.hits) {
+      const windowMs = this.windows.get(key);
+      if (!log.length || log[log.length - 1] <= now - windowMs) {
+        this.hits.delete(key);
+        this.windows.delete(key);
+      }
+    }
+    for (const [key, slots] of this.holds) {
+      for (const [member, until] of slots) {
+        if (until <= now) slots.delete(member);
+      }
+      if (!slots.size) this.holds.delete(key);
+    }
+  }
+}
+
+/**
+ * Parse a "max/windowSeconds" spec such as "30/60"
+ */
+function parseLimit(spec, fallback) {
+  const [max, windowSeconds] = String(spec || fallback).split('/').map(Number);
+  if (!Number.isInteger(max) || max < 1 || !(windowSeconds > 0)) {
+    throw new Error(`Invalid rate limit "${spec}". Use "<max>/<windowSeconds>", e.g. "30/60".`);
+  }
+  return { max, windowMs: windowSeconds * 1000 };
+}
+
+/**
+ * Express middleware limiting requests per key in a sliding window.
+ * Sets the IETF RateLimit-* headers on every response and Retry-After when limited.
+ */
+function rateLimit({ store, name, max, windowMs, keyGenerator = req => req.ip }) {
+  return async (req, res, next) => {
+    try {
+      const result = await store.consume(`${name}:${keyGenerator(req)}`, windowMs, max);
+      const resetSeconds = Math.ceil(result.resetMs / 1000);
+      const remaining = Math.max(0, max - result.count);
+
+      // When limiters are stacked, the headers describe whichever is closest to its limit
+      const previousRemaining = res.get('RateLimit-Remaining');
+      if (result.allowed && previousRemaining !== undefined && Number(previousRemaining) <= remaining) {
+        return next();
+      }
+
+      res.set({
+        'RateLimit-Policy': `${max};w=${windowMs / 1000}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        throw new ApiError(429, 'Too many requests, please try again later', {
+          code: 'rate_limited',
+          retryAfter: resetSeconds
+        });
+      }
+
+      next();
+    } catch (error) {
+      sendError(res, error, 'Rate limit check failed');
+    }
+  };
+}
+
+/**
+ * Cap on the identities holding a token for a session that has not expired yet.
+ * An identity counts once until its latest token expires, so refreshes and rejoins are free.
+ */
+function createSessionTokenCap({ store, max }) {
+  return {
+    async reserve(res, sessionName, userIdentity, expiresAtMs) {
+      const result = await store.hold(`session-tokens:${sessionName}`, userIdentity, expiresAtMs, max);
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.resetMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        throw new ApiError(429, `Session "${sessionName}" has reached its limit of ${max} active tokens`, {
+          code: 'rate_limited',
+          retryAfter
+        });
+      }
+    }
+  };
+}
+
+module.exports = { MemoryRateLimitStore, rateLimit, parseLimit, createSessionTokenCap };
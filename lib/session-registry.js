@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const SESSION_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// BCP 47 language tag, e.g. "en-US", "pt-BR", "zh-Hant-TW"
+const LANGUAGE_TAG_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+/**
+ * Session Registry
+ * Tracks which sessions exist on this server and hands out their session keys.
+ * Tokens are only issued for sessions that are registered, still active and whose key matches.
+ * A host can lock a running session: nobody new gets a token, while people already in can refresh theirs.
+ */
+class SessionRegistry {
+  constructor(store, { defaultLanguage = 'en-US' } = {}) {
+    this.store = store;
+    this.defaultLanguage = defaultLanguage;
+  }
+
+  /**
+   * Register a new session. The session key is generated unless one is supplied.
+   * `settings.language` is the shared transcription language participants start with;
+   * `settings.waitingRoom` makes participants wait for a host to admit them.
+   */
+  async create({ sessionName, sessionKey, createdBy, settings }) {
+    if (!sessionName || typeof sessionName !== 'string' || !SESSION_NAME_PATTERN.test(sessionName)) {
+      throw new ApiError(400, 'Session Name can only contain letters, numbers, hyphens, and underscores');
+    }
+    if (sessionName.length > 200) {
+      throw new ApiError(400, 'Session Name must be 200 characters or less');
+    }
+    if (sessionKey !== undefined && (typeof sessionKey !== 'string' || !sessionKey.trim() || sessionKey.length > 200)) {
+      throw new ApiError(400, 'Session Key must be a non-empty string of 200 characters or less');
+    }
+    const initialSettings = normalizeSettings({ language: this.defaultLanguage, ...settings });
+
+    const existing = await this.store.get(sessionName);
+    if (existing && existing.status === 'active') {
+      throw new ApiError(409, `Session "${sessionName}" already exists`);
+    }
+
+    const session = {
+      sessionName,
+      sessionKey: sessionKey || generateSessionKey(),
+      status: 'active',
+      createdBy: createdBy || null,
+      settings: initialSettings,
+      locked: false,
+      createdAt: new Date().toISOString(),
+      endedAt: null
+    };
+
+    return this.store.set(session);
+  }
+
+  /**
+   * Change settings of an active session. `sessionKey` comes from the host's token, as for setLocked().
+   */
+  async updateSettings(sessionName, sessionKey, changes) {
+    const session = await this.assertJoinable(sessionName, sessionKey, { allowLocked: true });
+    const settings = normalizeSettings({ ...this.settingsOf(session), ...changes });
+    return this.store.set({ ...session, settings });
+  }
+
+  /**
+   * Lock or unlock an active session. `sessionKey` comes from the host's token, so a host of an
+   * earlier session with the same name gets a 403.
+   */
+  async setLocked(sessionName, sessionKey, locked) {
+    if (typeof locked !== 'boolean') {
+      throw new ApiError(400, 'locked must be true or false');
+    }
+    const session = await this.assertJoinable(sessionName, sessionKey, { allowLocked: true });
+    return this.store.set({ ...session, locked, lockedAt: locked ? new Date().toISOString() : null });
+  }
+
+  /**
+   * Settings of a session, filling in defaults for records created before settings existed
+   */
+  settingsOf(session) {
+    return { language: this.defaultLanguage, waitingRoom: false, ...session.settings };
+  }
+
+  async get(sessionName) {
+    return this.store.get(sessionName);
+  }
+
+  /**
+   * List sessions, optionally filtered by status ('active' or 'ended')
+   */
+  async list(status) {
+    const sessions = await this.store.list();
+    return status ? sessions.filter(session => session.status === status) : sessions;
+  }
+
+  /**
+   * Mark a session as ended. The record is kept so late token requests get a clear answer.
+   */
+  async end(sessionName) {
+    const session = await this.store.get(sessionName);
+    if (!session) {
+      throw new ApiError(404, `Session "${sessionName}" not found`);
+    }
+    if (session.status === 'ended') {
+      return session;
+    }
+
+    return this.store.set({
+      ...session,
+      status: 'ended',
+      endedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Check that a token may be issued for this session and key.
+   * `allowLocked` is for callers already in the session (token refresh, host actions).
+   */
+  async assertJoinable(sessionName, sessionKey, { allowLocked = false } = {}) {
+    const session = await this.store.get(sessionName);
+    if (!session) {
+      throw new ApiError(404, `Session "${sessionName}" not found`);
+    }
+    if (session.status !== 'active') {
+      throw new ApiError(410, `Session "${sessionName}" has ended`);
+    }
+    if (!safeEqual(session.sessionKey, sessionKey)) {
+      throw new ApiError(403, 'Invalid session key');
+    }
+    if (!allowLocked) {
+      assertUnlocked(session);
+    }
+    return session;
+  }
+}
+
+/**
+ * Refuse new participants while the host has the session locked (423 Locked)
+ */
+function assertUnlocked(session) {
+  if (session.locked) {
+    throw new ApiError(423, `Session "${session.sessionName}" is locked by the host`);
+  }
+}
+
+/**
+ * Validate session settings, keeping only known fields
+ */
+function normalizeSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError(400, 'Session settings must be an object');
+  }
+  if (!isLanguageTag(input.language)) {
+    throw new ApiError(400, 'Session language must be a language tag such as "en-US"');
+  }
+  if (input.waitingRoom !== undefined && typeof input.waitingRoom !== 'boolean') {
+    throw new ApiError(400, 'waitingRoom must be true or false');
+  }
+  return { language: input.language, waitingRoom: input.waitingRoom === true };
+}
+
+function isSessionName(value) {
+  return typeof value === 'string' && value.length <= 200 && SESSION_NAME_PATTERN.test(value);
+}
+
+function isLanguageTag(value) {
+  return typeof value === 'string' && value.length <= 35 && LANGUAGE_TAG_PATTERN.test(value);
+}
+
+/**
+ * Strip the session key and invites before returning a record to callers who did not create it
+ */
+function toPublicSession(session) {
+  const { sessionKey, invites, ...rest } = session;
+  return rest;
+}
+
+function generateSessionKey() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { SessionRegistry, toPublicSession, assertUnlocked, safeEqual, isSessionName, isLanguageTag };
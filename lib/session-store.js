@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session stores
+ * A store persists session records keyed by session name. Every store implements the same
+ * async interface so the registry does not care where records live:
+ *   get(name) -> record | null
+ *   list() -> record[]
+ *   set(record) -> record
+ *   delete(name) -> boolean
+ */
+
+/**
+ * In-memory store (default). Records are lost when the server restarts.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(name) {
+    return this.sessions.get(name) || null;
+  }
+
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+
+  async set(record) {
+    this.sessions.set(record.sessionName, record);
+    return record;
+  }
+
+  async delete(name) {
+    return this.sessions.delete(name);
+  }
+}
+
+/**
+ * JSON file store. Keeps records in memory and rewrites the whole file on every change.
+ * Writes go to a temp file first and are renamed into place so a crash never leaves half a file.
+ */
+class FileSessionStore extends MemorySessionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const record of records) {
+        this.sessions.set(record.sessionName, record);
+      }
+    } catch (error) {
+      throw new Error(`Failed to read session store ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async set(record) {
+    await super.set(record);
+    await this.persist();
+    return record;
+  }
+
+  async delete(name) {
+    const deleted = await super.delete(name);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Queue a write of the current records so concurrent changes are flushed in order
+   */
+  persist() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify(Array.from(this.sessions.values()), null, 2));
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+}
+
+/**
+ * Create the store selected by SESSION_STORE ('memory' or 'file')
+ */
+function createSessionStore(env = process.env) {
+  const type = (env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (type === 'memory') {
+    return new MemorySessionStore();
+  }
+  if (type === 'file') {
+    return new FileSessionStore(env.SESSION_STORE_PATH || 'data/sessions.json');
+  }
+
+  throw new Error(`Unknown SESSION_STORE "${env.SESSION_STORE}". Use "memory" or "file".`);
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, createSessionStore };
@@ -0,0 +1,121 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+
+/**
+ * Speech-to-text adapters
+ * Audio streamed by browsers over /api/sessions/:name/audio is handed to an adapter:
+ *   adapter.name -> short label shown in /api/health
+ *   adapter.createStream({ sessionName, userIdentity, language, sampleRate }) -> stream
+ *     stream.write(pcm)  16-bit little-endian mono samples (Buffer)
+ *     stream.end()       flush: the pending utterance is emitted as final
+ *     emits 'result' { text, final, confidence } and 'error' (Error)
+ * Streams are EventEmitters. An adapter for a hosted engine opens its connection in createStream.
+ */
+
+const MOCK_WORDS = [
+  'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel',
+  'india', 'juliett', 'kilo', 'lima', 'mike', 'november', 'oscar', 'papa'
+];
+
+/**
+ * Deterministic adapter for development and tests. It does not recognize speech: it tracks
+ * loudness in 20 ms frames, adds one word from MOCK_WORDS per `wordMs` of voiced audio, and
+ * finalizes an utterance after `silenceMs` of quiet. The same audio always yields the same text.
+ */
+class MockSttAdapter {
+  constructor({ wordMs = 400, silenceMs = 700, threshold = 500 } = {}) {
+    this.name = 'mock';
+    this.options = { wordMs, silenceMs, threshold };
+  }
+
+  createStream({ sampleRate = 16000 } = {}) {
+    return new MockSttStream({ ...this.options, sampleRate });
+  }
+}
+
+class MockSttStream extends EventEmitter {
+  constructor({ sampleRate, wordMs, silenceMs, threshold }) {
+    super();
+    this.frameSamples = Math.round(sampleRate * 0.02);
+    this.wordMs = wordMs;
+    this.silenceMs = silenceMs;
+    this.threshold = threshold;
+    this.remainder = Buffer.alloc(0);
+    this.words = [];
+    this.wordIndex = 0;
+    this.voicedMs = 0;
+    this.silentMs = 0;
+    this.ended = false;
+  }
+
+  write(pcm) {
+    if (this.ended) return;
+
+    let buffer = Buffer.concat([this.remainder, pcm]);
+    const frameBytes = this.frameSamples * 2;
+
+    while (buffer.length >= frameBytes) {
+      this.processFrame(buffer.subarray(0, frameBytes));
+      buffer = buffer.subarray(frameBytes);
+    }
+    this.remainder = Buffer.from(buffer);
+  }
+
+  processFrame(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i += 2) {
+      const sample = frame.readInt16LE(i);
+      sum += sample * sample;
+    }
+    const rms = Math.sqrt(sum / (frame.length / 2));
+
+    if (rms >= this.threshold) {
+      this.silentMs = 0;
+      this.voicedMs += 20;
+      if (this.voicedMs >= (this.words.length + 1) * this.wordMs) {
+        this.words.push(MOCK_WORDS[this.wordIndex++ % MOCK_WORDS.length]);
+        this.emit('result', { text: this.words.join(' '), final: false, confidence: null });
+      }
+    } else if (this.words.length) {
+      this.silentMs += 20;
+      if (this.silentMs >= this.silenceMs) {
+        this.finalize();
+      }
+    }
+  }
+
+  finalize() {
+    if (this.words.length) {
+      this.emit('result', { text: this.words.join(' '), final: true, confidence: 0.9 });
+    }
+    this.words = [];
+    this.voicedMs = 0;
+    this.silentMs = 0;
+  }
+
+  end() {
+    if (this.ended) return;
+    this.finalize();
+    this.ended = true;
+  }
+}
+
+/**
+ * Build the adapter named by STT_ADAPTER:
+ *   unset     -> null (server-side transcription disabled)
+ *   mock      -> MockSttAdapter
+ *   <path>    -> a module exporting createAdapter(env), resolved from the working directory
+ */
+function createSttAdapter(env = process.env) {
+  const spec = env.STT_ADAPTER;
+  if (!spec) return null;
+  if (spec === 'mock') return new MockSttAdapter();
+
+  const factory = require(path.resolve(spec)).createAdapter;
+  if (typeof factory !== 'function') {
+    throw new Error(`STT_ADAPTER module "${spec}" must export createAdapter(env)`);
+  }
+  return factory(env);
+}
+
+module.exports = { MockSttAdapter, createSttAdapter, MOCK_WORDS };
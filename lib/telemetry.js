@@ -0,0 +1,283 @@
+const { parseTime } = require('./transcript-store');
+
+const DEFAULT_RETENTION_SECONDS = 24 * 60 * 60;
+// Bounds on what one session can make us hold
+const MAX_PARTICIPANTS = 200;
+const MAX_NAME_LENGTH = 100;
+
+const MEDIA = ['audio', 'video'];
+const DIRECTIONS = ['send', 'receive'];
+const METRICS = ['bitrate', 'fps', 'packetLoss', 'jitter', 'rtt'];
+
+/**
+ * Media telemetry
+ * Aggregates the network quality and media statistics that participants' browsers sample.
+ * Each client reports the levels the SDK gives it for everyone in the session (0-5, uplink and
+ * downlink) and the statistics of its own audio and video, sent and received. Only running
+ * totals are kept per participant, in memory; sessions are forgotten `retentionSeconds` after
+ * their last sample.
+ */
+class TelemetryAggregator {
+  constructor({ retentionSeconds = DEFAULT_RETENTION_SECONDS, sweepIntervalMs = 60 * 1000 } = {}) {
+    this.retentionMs = retentionSeconds * 1000;
+    this.sessions = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Add normalized samples (see normalizeSample) reported by `reporter` (a user identity)
+   */
+  record(sessionName, reporter, samples) {
+    let session = this.sessions.get(sessionName);
+    if (!session) {
+      session = {
+        sessionName,
+        firstSampleAt: null,
+        lastSampleAt: null,
+        updatedAt: Date.now(),
+        samples: 0,
+        reporters: new Set(),
+        participants: new Map()
+      };
+      this.sessions.set(sessionName, session);
+    }
+
+    session.reporters.add(reporter);
+    let recorded = 0;
+    for (const sample of samples) {
+      let participant = session.participants.get(sample.name);
+      if (!participant) {
+        if (session.participants.size >= MAX_PARTICIPANTS) continue;
+        participant = createParticipant(sample.name);
+        session.participants.set(sample.name, participant);
+      }
+
+      addSample(participant, sample);
+      session.samples++;
+      recorded++;
+      if (!session.firstSampleAt || sample.timestamp < session.firstSampleAt) session.firstSampleAt = sample.timestamp;
+      if (!session.lastSampleAt || sample.timestamp > session.lastSampleAt) session.lastSampleAt = sample.timestamp;
+    }
+    session.updatedAt = Date.now();
+    return recorded;
+  }
+
+  /**
+   * Drop what is known about a session, e.g. when a new session starts under its name
+   */
+  forget(sessionName) {
+    this.sessions.delete(sessionName);
+  }
+
+  /**
+   * Per-participant quality for a session, participants with the weakest network first
+   */
+  summary(sessionName) {
+    const session = this.sessions.get(sessionName);
+    const participants = session ? Array.from(session.participants.values()).map(toParticipantSummary) : [];
+    participants.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+
+    return {
+      sessionName,
+      firstSampleAt: session ? session.firstSampleAt : null,
+      lastSampleAt: session ? session.lastSampleAt : null,
+      samples: session ? session.samples : 0,
+      reporters: session ? session.reporters.size : 0,
+      participants
+    };
+  }
+
+  /**
+   * Forget sessions nobody reported on for the retention period
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [sessionName, session] of this.sessions) {
+      if (session.updatedAt + this.retentionMs <= now) {
+        this.sessions.delete(sessionName);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a sample sent by a client. Samples about the reporter themselves (`self: true`) are
+ * named after the caller's verified token and may carry stream statistics; samples about others
+ * only carry network levels.
+ */
+function normalizeSample(input, reporter) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'sample must be an object' };
+  }
+
+  const self = input.self === true;
+  const name = self ? reporter : input.name;
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be a string of 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const uplink = parseLevel(input.uplink);
+  const downlink = parseLevel(input.downlink);
+  if (uplink === undefined || downlink === undefined) {
+    return { error: 'uplink and downlink must be levels from 0 to 5, or null' };
+  }
+
+  const now = new Date().toISOString();
+  const timestamp = parseTime(input.timestamp);
+  const sample = {
+    name: name.trim(),
+    userId: Number.isInteger(input.userId) ? input.userId : null,
+    self,
+    // Clock skew must not move samples into the future
+    timestamp: timestamp && timestamp < now ? timestamp : now,
+    uplink,
+    downlink
+  };
+
+  if (self) {
+    for (const media of MEDIA) {
+      for (const direction of DIRECTIONS) {
+        const stats = parseStats(input[media]?.[direction]);
+        if (stats) {
+          sample[media] = { ...sample[media], [direction]: stats };
+        }
+      }
+    }
+  }
+
+  return { sample };
+}
+
+function parseLevel(value) {
+  if (value === null || value === undefined) return null;
+  return Number.isInteger(value) && value >= 0 && value <= 5 ? value : undefined;
+}
+
+function parseStats(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const stats = {};
+  for (const metric of METRICS) {
+    const value = input[metric];
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      stats[metric] = value;
+    }
+  }
+  return Object.keys(stats).length ? stats : null;
+}
+
+function createParticipant(name) {
+  const streams = {};
+  for (const media of MEDIA) {
+    streams[media] = {};
+    for (const direction of DIRECTIONS) {
+      streams[media][direction] = Object.fromEntries(METRICS.map(metric => [metric, createStat()]));
+    }
+  }
+
+  return {
+    name,
+    userId: null,
+    samples: 0,
+    // Samples where uplink or downlink was 0 or 1, which the SDK calls bad
+    poorSamples: 0,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    uplink: createStat(),
+    downlink: createStat(),
+    streams
+  };
+}
+
+function addSample(participant, sample) {
+  participant.samples++;
+  if (sample.userId !== null) participant.userId = sample.userId;
+  if (!participant.firstSeenAt || sample.timestamp < participant.firstSeenAt) participant.firstSeenAt = sample.timestamp;
+  if (!participant.lastSeenAt || sample.timestamp > participant.lastSeenAt) participant.lastSeenAt = sample.timestamp;
+
+  addValue(participant.uplink, sample.uplink);
+  addValue(participant.downlink, sample.downlink);
+  if ((sample.uplink !== null && sample.uplink <= 1) || (sample.downlink !== null && sample.downlink <= 1)) {
+    participant.poorSamples++;
+  }
+
+  for (const media of MEDIA) {
+    for (const direction of DIRECTIONS) {
+      const stats = sample[media]?.[direction];
+      if (!stats) continue;
+      METRICS.forEach(metric => addValue(participant.streams[media][direction][metric], stats[metric]));
+    }
+  }
+}
+
+function createStat() {
+  return { count: 0, sum: 0, min: null, max: null, latest: null };
+}
+
+function addValue(stat, value) {
+  if (value === null || value === undefined) return;
+  stat.count++;
+  stat.sum += value;
+  stat.min = stat.min === null ? value : Math.min(stat.min, value);
+  stat.max = stat.max === null ? value : Math.max(stat.max, value);
+  stat.latest = value;
+}
+
+function toStatSummary(stat) {
+  if (!stat.count) return null;
+  return {
+    avg: Math.round(stat.sum / stat.count * 100) / 100,
+    min: stat.min,
+    max: stat.max,
+    latest: stat.latest
+  };
+}
+
+function toParticipantSummary(participant) {
+  const uplink = toStatSummary(participant.uplink);
+  const downlink = toStatSummary(participant.downlink);
+
+  const streams = {};
+  for (const media of MEDIA) {
+    for (const direction of DIRECTIONS) {
+      const metrics = Object.entries(participant.streams[media][direction])
+        .map(([metric, stat]) => [metric, toStatSummary(stat)])
+        .filter(([, summary]) => summary);
+      if (metrics.length) {
+        streams[media] = { ...streams[media], [direction]: Object.fromEntries(metrics) };
+      }
+    }
+  }
+
+  return {
+    name: participant.name,
+    userId: participant.userId,
+    samples: participant.samples,
+    firstSeenAt: participant.firstSeenAt,
+    lastSeenAt: participant.lastSeenAt,
+    rating: rating(uplink, downlink),
+    poorNetworkRatio: participant.samples ? Math.round(participant.poorSamples / participant.samples * 100) / 100 : 0,
+    uplink,
+    downlink,
+    ...streams
+  };
+}
+
+/**
+ * The SDK's words for a level, taken from the weaker of the two average directions
+ */
+function rating(uplink, downlink) {
+  const levels = [uplink, downlink].filter(Boolean).map(stat => stat.avg);
+  if (!levels.length) return 'unknown';
+  const level = Math.min(...levels);
+  if (level < 2) return 'bad';
+  return level < 3 ? 'normal' : 'good';
+}
+
+function rank(participant) {
+  return ['bad', 'normal', 'good', 'unknown'].indexOf(participant.rating);
+}
+
+module.exports = { TelemetryAggregator, normalizeSample };
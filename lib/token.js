@@ -0,0 +1,215 @@
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('./errors');
+
+// Zoom requires exp to be between 30 minutes and 48 hours after iat
+const MIN_TTL_SECONDS = 60 * 30;
+const MAX_TTL_SECONDS = 60 * 60 * 48;
+
+const GEO_REGIONS = ['AU', 'BR', 'CA', 'CN', 'DE', 'HK', 'IN', 'JP', 'MX', 'NL', 'SG', 'US'];
+
+/**
+ * Token defaults and upper bounds from TOKEN_* environment variables
+ */
+function loadTokenConfig(env = process.env) {
+  const maxTtl = clampTtl(parseInt(env.TOKEN_MAX_TTL) || MAX_TTL_SECONDS);
+  const defaultTtl = Math.min(clampTtl(parseInt(env.TOKEN_DEFAULT_TTL) || 60 * 60 * 2), maxTtl); // 2 hours
+  const allowedRegions = env.TOKEN_ALLOWED_REGIONS ? splitRegions(env.TOKEN_ALLOWED_REGIONS) : GEO_REGIONS;
+
+  const unknownRegions = allowedRegions.filter(region => !GEO_REGIONS.includes(region));
+  if (unknownRegions.length) {
+    throw new Error(`Unknown region(s) in TOKEN_ALLOWED_REGIONS: ${unknownRegions.join(', ')}`);
+  }
+
+  return {
+    defaultTtl,
+    maxTtl,
+    allowedRegions,
+    defaults: {
+      geoRegions: env.TOKEN_DEFAULT_GEO_REGIONS ? splitRegions(env.TOKEN_DEFAULT_GEO_REGIONS) : null,
+      cloudRecordingOption: parseFlag(env.TOKEN_DEFAULT_CLOUD_RECORDING_OPTION),
+      cloudRecordingElection: parseFlag(env.TOKEN_DEFAULT_CLOUD_RECORDING_ELECTION),
+      videoWebrtcMode: parseFlag(env.TOKEN_DEFAULT_VIDEO_WEBRTC_MODE),
+      audioWebrtcMode: parseFlag(env.TOKEN_DEFAULT_AUDIO_WEBRTC_MODE)
+    }
+  };
+}
+
+/**
+ * Validate the optional token fields of a request body and merge them with the configured defaults.
+ * Throws a 400 listing every invalid field.
+ */
+function parseTokenOptions(body, config) {
+  const errors = [];
+  const options = { ...config.defaults, expiresIn: config.defaultTtl };
+
+  if (body.expiresIn !== undefined) {
+    const ttl = Number(body.expiresIn);
+    if (!Number.isInteger(ttl) || ttl < MIN_TTL_SECONDS || ttl > config.maxTtl) {
+      errors.push(`expiresIn must be an integer between ${MIN_TTL_SECONDS} and ${config.maxTtl} seconds`);
+    } else {
+      options.expiresIn = ttl;
+    }
+  }
+
+  for (const field of ['cloudRecordingOption', 'cloudRecordingElection', 'videoWebrtcMode', 'audioWebrtcMode']) {
+    if (body[field] === undefined) continue;
+    const value = Number(body[field]);
+    if (value !== 0 && value !== 1) {
+      errors.push(`${field} must be 0 or 1`);
+    } else {
+      options[field] = value;
+    }
+  }
+
+  if (body.geoRegions !== undefined) {
+    const regions = Array.isArray(body.geoRegions) ? body.geoRegions.map(String) : splitRegions(String(body.geoRegions));
+    const disallowed = regions.filter(region => !config.allowedRegions.includes(region.toUpperCase()));
+    if (!regions.length || disallowed.length) {
+      errors.push(`geoRegions must be a non-empty list drawn from: ${config.allowedRegions.join(', ')}`);
+    } else {
+      options.geoRegions = regions.map(region => region.toUpperCase());
+    }
+  }
+
+  if (body.telemetryTrackingId !== undefined) {
+    if (typeof body.telemetryTrackingId !== 'string' || !body.telemetryTrackingId || body.telemetryTrackingId.length > 128) {
+      errors.push('telemetryTrackingId must be a non-empty string of 128 characters or less');
+    } else {
+      options.telemetryTrackingId = body.telemetryTrackingId;
+    }
+  }
+
+  if (body.userKey !== undefined) {
+    if (typeof body.userKey !== 'string' || !body.userKey || body.userKey.length > 36) {
+      errors.push('userKey must be a non-empty string of 36 characters or less');
+    } else {
+      options.userKey = body.userKey;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Invalid token options', { errors });
+  }
+
+  return options;
+}
+
+/**
+ * Sign a Zoom Video SDK JWT
+ * Based on: https://developers.zoom.us/docs/video-sdk/get-credentials/
+ */
+function signSessionToken({ sessionName, roleType, sessionKey, userIdentity, options = {} }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + (options.expiresIn || 60 * 60 * 2);
+
+  const payload = {
+    app_key: process.env.ZOOM_VIDEO_SDK_KEY,
+    tpc: sessionName,
+    role_type: roleType,
+    session_key: sessionKey,
+    user_identity: userIdentity,
+    version: 1,
+    iat: iat,
+    exp: exp
+  };
+
+  // Optional Video SDK claims, only included when set
+  setIfDefined(payload, 'user_key', options.userKey);
+  setIfDefined(payload, 'geo_regions', options.geoRegions ? options.geoRegions.join(',') : undefined);
+  setIfDefined(payload, 'cloud_recording_option', options.cloudRecordingOption);
+  setIfDefined(payload, 'cloud_recording_election', options.cloudRecordingElection);
+  setIfDefined(payload, 'telemetry_tracking_id', options.telemetryTrackingId);
+  setIfDefined(payload, 'video_webrtc_mode', options.videoWebrtcMode);
+  setIfDefined(payload, 'audio_webrtc_mode', options.audioWebrtcMode);
+
+  // Log payload for debugging (without sensitive data)
+  console.log('JWT Payload:', {
+    ...payload,
+    app_key: process.env.ZOOM_VIDEO_SDK_KEY ? `${process.env.ZOOM_VIDEO_SDK_KEY.substring(0, 10)}...` : 'MISSING'
+  });
+
+  const token = jwt.sign(payload, process.env.ZOOM_VIDEO_SDK_SECRET, {
+    algorithm: 'HS256'
+  });
+
+  return {
+    token: token,
+    sessionName: sessionName,
+    role: roleType,
+    userIdentity: userIdentity,
+    expiresIn: exp - iat,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Check a Video SDK token we issued earlier, presented as proof of session membership.
+ * The signature must be ours; the token may have expired up to `graceSeconds` ago.
+ */
+function verifySessionToken(token, graceSeconds = 0) {
+  if (!token || typeof token !== 'string') {
+    throw new ApiError(400, 'token is required');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.ZOOM_VIDEO_SDK_SECRET, {
+      algorithms: ['HS256'],
+      ignoreExpiration: true
+    });
+  } catch (error) {
+    throw new ApiError(401, 'Invalid token', { code: 'unauthenticated' });
+  }
+
+  if (claims.app_key !== process.env.ZOOM_VIDEO_SDK_KEY) {
+    throw new ApiError(401, 'Token was issued for a different SDK key', { code: 'unauthenticated' });
+  }
+  if (Math.floor(Date.now() / 1000) > claims.exp + graceSeconds) {
+    throw new ApiError(401, 'Token has expired', { code: 'unauthenticated' });
+  }
+
+  return claims;
+}
+
+/**
+ * Rebuild token options from the claims of an earlier token so a refresh keeps them
+ */
+function optionsFromClaims(claims, config) {
+  return {
+    expiresIn: Math.min(Math.max(claims.exp - claims.iat, MIN_TTL_SECONDS), config.maxTtl),
+    userKey: claims.user_key,
+    geoRegions: claims.geo_regions ? splitRegions(claims.geo_regions) : null,
+    cloudRecordingOption: claims.cloud_recording_option,
+    cloudRecordingElection: claims.cloud_recording_election,
+    telemetryTrackingId: claims.telemetry_tracking_id,
+    videoWebrtcMode: claims.video_webrtc_mode,
+    audioWebrtcMode: claims.audio_webrtc_mode
+  };
+}
+
+function setIfDefined(target, key, value) {
+  if (value !== undefined && value !== null) {
+    target[key] = value;
+  }
+}
+
+function clampTtl(ttl) {
+  return Math.min(Math.max(ttl, MIN_TTL_SECONDS), MAX_TTL_SECONDS);
+}
+
+function parseFlag(value) {
+  return value === '0' || value === '1' ? Number(value) : null;
+}
+
+function splitRegions(value) {
+  return value.split(',').map(region => region.trim().toUpperCase()).filter(Boolean);
+}
+
+module.exports = {
+  loadTokenConfig,
+  parseTokenOptions,
+  signSessionToken,
+  verifySessionToken,
+  optionsFromClaims,
+  GEO_REGIONS
+};
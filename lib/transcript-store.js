@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isLanguageTag } = require('./session-registry');
+
+/**
+ * Transcript stores
+ * Segments are append-only, filed under a key (see transcriptKey). Every store implements the
+ * same async interface:
+ *   append(key, segments) -> segments that were new (duplicates by id are skipped)
+ *   read(key, { cursor, limit, from, to }) -> { segments, nextCursor }
+ *     `cursor` is the `seq` of the last segment already seen; `from`/`to` filter on timestamp.
+ */
+
+/**
+ * One JSONL file per key under TRANSCRIPT_DIR. Each line is one segment.
+ * Ids and the next sequence number are cached per key after the first read.
+ */
+class JsonlTranscriptStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.index = new Map();
+    this.writeQueues = new Map();
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.jsonl`);
+  }
+
+  async readAll(key) {
+    try {
+      const content = await fs.promises.readFile(this.filePath(key), 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async getIndex(key) {
+    if (!this.index.has(key)) {
+      const segments = await this.readAll(key);
+      this.index.set(key, {
+        ids: new Set(segments.map(segment => segment.id)),
+        nextSeq: segments.length ? segments[segments.length - 1].seq + 1 : 1
+      });
+    }
+    return this.index.get(key);
+  }
+
+  append(key, segments) {
+    // Appends to one file run one after another so sequence numbers stay in file order
+    const previous = this.writeQueues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const index = await this.getIndex(key);
+      const added = [];
+
+      for (const segment of segments) {
+        if (index.ids.has(segment.id)) continue;
+        index.ids.add(segment.id);
+        added.push({ ...segment, seq: index.nextSeq++ });
+      }
+
+      if (added.length) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(
+          this.filePath(key),
+          added.map(segment => JSON.stringify(segment)).join('\n') + '\n'
+        );
+      }
+      return added;
+    });
+
+    this.writeQueues.set(key, next);
+    return next;
+  }
+
+  async read(key, { cursor = 0, limit = 100, from = null, to = null } = {}) {
+    const matching = (await this.readAll(key)).filter(segment =>
+      segment.seq > cursor &&
+      (!from || segment.timestamp >= from) &&
+      (!to || segment.timestamp <= to)
+    );
+
+    const segments = matching.slice(0, limit);
+    const hasMore = matching.length > segments.length;
+
+    return {
+      segments,
+      nextCursor: hasMore ? segments[segments.length - 1].seq : null
+    };
+  }
+}
+
+/**
+ * Validate a segment sent by a client and fill in server-side fields.
+ * The speaker comes from the caller's verified token, never from the body.
+ */
+function normalizeSegment(input, speaker) {
+  if (!input || typeof input.text !== 'string' || !input.text.trim()) {
+    return { error: 'text is required' };
+  }
+  if (input.text.length > 5000) {
+    return { error: 'text must be 5000 characters or less' };
+  }
+
+  const timestamp = parseTime(input.timestamp) || new Date().toISOString();
+  const confidence = input.confidence === null || input.confidence === undefined ? NaN : Number(input.confidence);
+
+  return {
+    segment: {
+      id: typeof input.id === 'string' && /^[\w-]{1,64}$/.test(input.id) ? input.id : crypto.randomUUID(),
+      speaker: speaker,
+      speakerId: input.speakerId !== undefined && input.speakerId !== null ? String(input.speakerId) : null,
+      text: input.text.trim(),
+      language: isLanguageTag(input.language) ? input.language : null,
+      startedAt: parseTime(input.startedAt) || timestamp,
+      timestamp: timestamp,
+      confidence: isNaN(confidence) ? null : Math.min(Math.max(confidence, 0), 1),
+      receivedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Where one run of a session keeps its transcript. A session ended and created again under the
+ * same name starts a new transcript.
+ */
+function transcriptKey(session) {
+  return `${session.sessionName}.${Date.parse(session.createdAt)}`;
+}
+
+function parseTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function createTranscriptStore(env = process.env) {
+  return new JsonlTranscriptStore(env.TRANSCRIPT_DIR || 'data/transcripts');
+}
+
+module.exports = { JsonlTranscriptStore, normalizeSegment, createTranscriptStore, transcriptKey, parseTime };
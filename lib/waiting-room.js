@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const DEFAULT_TIMEOUT_SECONDS = 10 * 60;
+// How long an admitted participant has to collect their token
+const COLLECT_WINDOW_MS = 2 * 60 * 1000;
+// Decided tickets stay readable this long, so a lobby that polls late still learns the outcome
+const DECIDED_TTL_MS = 5 * 60 * 1000;
+// Upper bound for long-poll requests
+const MAX_WAIT_MS = 30 * 1000;
+
+/**
+ * Waiting Room
+ * Holds participants of sessions with a waiting room until a host admits or denies them.
+ * A participant gets a secret ticket to follow their request; hosts see the queue by request id.
+ * Changes are published on the event hub: `queue` on waiting-room:<session> for hosts, and
+ * `status` on lobby:<ticket> for the participant. Requests expire after `timeoutSeconds`.
+ * Tickets are kept in memory, so a restart sends everyone back to ask again.
+ */
+class WaitingRoom {
+  constructor(hub, { timeoutSeconds = DEFAULT_TIMEOUT_SECONDS, sweepIntervalMs = 15 * 1000 } = {}) {
+    this.hub = hub;
+    this.timeoutMs = timeoutSeconds * 1000;
+    this.tickets = new Map();
+    this.waiters = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Queue a participant. `options` are the token options to sign with once admitted;
+   * `requestedBy` names the caller who asked, the only one who may collect the token.
+   * Asking again with the same name replaces the earlier request.
+   */
+  request(sessionName, { userIdentity, options, requestedBy = null }) {
+    for (const entry of this.tickets.values()) {
+      if (entry.sessionName === sessionName && entry.userIdentity === userIdentity && entry.status === 'waiting') {
+        this.decide(entry, 'left');
+      }
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomBytes(9).toString('base64url'),
+      ticket: crypto.randomBytes(18).toString('base64url'),
+      sessionName,
+      userIdentity,
+      options,
+      requestedBy,
+      status: 'waiting',
+      reason: null,
+      decidedBy: null,
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.timeoutMs).toISOString(),
+      decidedAt: null
+    };
+    this.tickets.set(entry.ticket, entry);
+    this.publishQueue(sessionName);
+    return entry;
+  }
+
+  /**
+   * Look up a ticket (participant side)
+   */
+  get(ticket) {
+    const entry = typeof ticket === 'string' && this.tickets.get(ticket);
+    if (!entry) {
+      throw new ApiError(404, 'Waiting room ticket not found or expired');
+    }
+    return entry;
+  }
+
+  /**
+   * Resolve once the ticket is decided, or after `waitMs` (long-poll)
+   */
+  wait(ticket, waitMs) {
+    const entry = this.get(ticket);
+    if (entry.status !== 'waiting' || !(waitMs > 0)) {
+      return Promise.resolve(entry);
+    }
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        const waiters = this.waiters.get(ticket);
+        waiters?.delete(done);
+        if (waiters && waiters.size === 0) this.waiters.delete(ticket);
+        resolve(entry);
+      };
+      const timer = setTimeout(done, Math.min(waitMs, MAX_WAIT_MS));
+      if (!this.waiters.has(ticket)) this.waiters.set(ticket, new Set());
+      this.waiters.get(ticket).add(done);
+    });
+  }
+
+  /**
+   * Participants still waiting for a session, first come first
+   */
+  queue(sessionName) {
+    return Array.from(this.tickets.values())
+      .filter(entry => entry.sessionName === sessionName && entry.status === 'waiting')
+      .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+  }
+
+  /**
+   * 1-based place in the queue, or null once decided
+   */
+  position(entry) {
+    if (entry.status !== 'waiting') return null;
+    return this.queue(entry.sessionName).indexOf(entry) + 1;
+  }
+
+  admit(sessionName, id, decidedBy) {
+    return this.decide(this.find(sessionName, id), 'admitted', { decidedBy });
+  }
+
+  deny(sessionName, id, decidedBy, reason = null) {
+    if (reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+      throw new ApiError(400, 'reason must be a string of 200 characters or less');
+    }
+    return this.decide(this.find(sessionName, id), 'denied', { decidedBy, reason: reason || null });
+  }
+
+  /**
+   * Admit everyone currently waiting
+   */
+  admitAll(sessionName, decidedBy) {
+    return this.queue(sessionName).map(entry => this.decide(entry, 'admitted', { decidedBy }));
+  }
+
+  /**
+   * The participant gave up waiting
+   */
+  leave(ticket) {
+    const entry = this.get(ticket);
+    if (entry.status === 'waiting') {
+      this.decide(entry, 'left');
+    }
+    this.drop(entry);
+    return entry;
+  }
+
+  /**
+   * The request behind an admitted ticket, without handing it out. Only the caller who asked
+   * (`requestedBy` as given to request()) gets it.
+   */
+  admission(ticket, requestedBy = null) {
+    const entry = this.get(ticket);
+    if (entry.requestedBy !== requestedBy) {
+      throw new ApiError(403, 'This waiting room ticket belongs to someone else');
+    }
+    if (entry.status === 'waiting') {
+      throw new ApiError(409, 'You have not been admitted yet');
+    }
+    if (entry.status !== 'admitted') {
+      throw new ApiError(403, entry.status === 'denied' ? 'The host did not let you in' : `Waiting room request ${entry.status}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Hand out the admission once. The caller signs the token; a second collect is refused.
+   */
+  collect(ticket, requestedBy = null) {
+    const entry = this.admission(ticket, requestedBy);
+    this.drop(entry);
+    return entry;
+  }
+
+  /**
+   * The session ended: turn away everyone still waiting, and admissions not collected yet so
+   * they cannot be used in a later session with the same name
+   */
+  closeSession(sessionName) {
+    Array.from(this.tickets.values())
+      .filter(entry => entry.sessionName === sessionName && (entry.status === 'waiting' || entry.status === 'admitted'))
+      .forEach(entry => this.decide(entry, 'closed'));
+    this.hub.close(`waiting-room:${sessionName}`);
+  }
+
+  find(sessionName, id) {
+    const entry = Array.from(this.tickets.values()).find(item => item.sessionName === sessionName && item.id === id);
+    if (!entry) {
+      throw new ApiError(404, 'Waiting room request not found');
+    }
+    if (entry.status !== 'waiting') {
+      throw new ApiError(409, `Request already ${entry.status}`);
+    }
+    return entry;
+  }
+
+  decide(entry, status, { decidedBy = null, reason = null } = {}) {
+    entry.status = status;
+    entry.decidedBy = decidedBy;
+    entry.reason = reason;
+    entry.decidedAt = new Date().toISOString();
+
+    this.hub.publish(`lobby:${entry.ticket}`, 'status', this.toLobbyStatus(entry));
+    this.waiters.get(entry.ticket)?.forEach(done => done());
+    this.publishQueue(entry.sessionName);
+    return entry;
+  }
+
+  publishQueue(sessionName) {
+    const queue = this.queue(sessionName);
+    this.hub.publish(`waiting-room:${sessionName}`, 'queue', { waiting: queue.map(toQueueEntry) });
+
+    // Everyone still waiting moved up a place
+    queue.forEach(entry => this.hub.publish(`lobby:${entry.ticket}`, 'status', this.toLobbyStatus(entry)));
+  }
+
+  /**
+   * Expire requests nobody answered, admissions nobody collected, and old outcomes
+   */
+  sweep() {
+    const now = Date.now();
+    for (const entry of this.tickets.values()) {
+      if (entry.status === 'waiting' && Date.parse(entry.expiresAt) <= now) {
+        this.decide(entry, 'expired');
+      } else if (entry.status === 'admitted' && Date.parse(entry.decidedAt) + COLLECT_WINDOW_MS <= now) {
+        this.drop(entry);
+      } else if (entry.status !== 'waiting' && entry.status !== 'admitted' && Date.parse(entry.decidedAt) + DECIDED_TTL_MS <= now) {
+        this.drop(entry);
+      }
+    }
+  }
+
+  drop(entry) {
+    this.tickets.delete(entry.ticket);
+    this.hub.close(`lobby:${entry.ticket}`);
+  }
+
+  /**
+   * What the waiting participant sees
+   */
+  toLobbyStatus(entry) {
+    return {
+      id: entry.id,
+      sessionName: entry.sessionName,
+      userIdentity: entry.userIdentity,
+      status: entry.status,
+      position: this.position(entry),
+      reason: entry.reason,
+      requestedAt: entry.requestedAt,
+      expiresAt: entry.expiresAt,
+      decidedAt: entry.decidedAt
+    };
+  }
+}
+
+/**
+ * What hosts see in the queue (no ticket, no token options)
+ */
+function toQueueEntry(entry) {
+  return {
+    id: entry.id,
+    userIdentity: entry.userIdentity,
+    requestedAt: entry.requestedAt,
+    expiresAt: entry.expiresAt
+  };
+}
+
+module.exports = { WaitingRoom, toQueueEntry };
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+const { safeEqual, isSessionName } = require('./session-registry');
+
+// Zoom's own limit for how old a signed request may be
+const MAX_SKEW_SECONDS = 300;
+
+const SESSION_EVENTS = ['session.started', 'session.ended', 'session.user_joined', 'session.user_left'];
+// session.recording_started, _stopped, _paused, _resumed, _completed, _deleted, ...
+const RECORDING_EVENT_PATTERN = /^session\.recording_[a-z_]+$/;
+
+/**
+ * Zoom webhooks
+ * Zoom signs every request with the app's secret token: x-zm-signature is "v0=" followed by the
+ * hex HMAC-SHA256 of "v0:<x-zm-request-timestamp>:<raw body>". Requests older than five minutes
+ * are refused, and so is a signature already seen within that window (a captured request sent
+ * again). Signatures are remembered in memory only, which is enough since the window is short.
+ */
+class ZoomWebhookVerifier {
+  constructor(secret, { maxSkewSeconds = MAX_SKEW_SECONDS } = {}) {
+    this.secret = secret;
+    this.maxSkewSeconds = maxSkewSeconds;
+    // Signature -> time (ms) after which the timestamp check refuses it anyway
+    this.seen = new Map();
+  }
+
+  /**
+   * Check the signature headers of a request whose raw body was kept as req.rawBody
+   */
+  verify(req) {
+    const signature = req.get('x-zm-signature');
+    const timestamp = parseInt(req.get('x-zm-request-timestamp'));
+    if (!signature || isNaN(timestamp)) {
+      throw new ApiError(401, 'Missing Zoom signature headers');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > this.maxSkewSeconds) {
+      throw new ApiError(401, 'Webhook timestamp is outside the allowed window');
+    }
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!safeEqual(signZoomWebhook(this.secret, timestamp, body), signature)) {
+      throw new ApiError(401, 'Invalid webhook signature');
+    }
+
+    const now = Date.now();
+    for (const [seen, expiresAt] of this.seen) {
+      if (expiresAt <= now) this.seen.delete(seen);
+    }
+    if (this.seen.has(signature)) {
+      throw new ApiError(409, 'Webhook request already received', { code: 'replayed' });
+    }
+    this.seen.set(signature, (timestamp + this.maxSkewSeconds) * 1000);
+  }
+
+  /**
+   * Answer Zoom's endpoint.url_validation challenge: the plain token back, with its HMAC
+   */
+  validationResponse(plainToken) {
+    if (typeof plainToken !== 'string' || !plainToken) {
+      throw new ApiError(400, 'payload.plainToken is required');
+    }
+    return {
+      plainToken,
+      encryptedToken: crypto.createHmac('sha256', this.secret).update(plainToken).digest('hex')
+    };
+  }
+}
+
+/**
+ * The x-zm-signature value for a request body (also used by the replay script)
+ */
+function signZoomWebhook(secret, timestamp, body) {
+  return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+}
+
+function isLoggedEvent(event) {
+  return SESSION_EVENTS.includes(event) || RECORDING_EVENT_PATTERN.test(event);
+}
+
+/**
+ * Turn a webhook body into a log entry. Returns { entry } for session and recording events of
+ * sessions we could have created, and { ignored } with a reason for anything else.
+ * The id is derived from the content, so Zoom's retries of one event are stored once.
+ * Recording download URLs and tokens are left out.
+ */
+function normalizeZoomEvent(body) {
+  if (!body || typeof body.event !== 'string') {
+    return { ignored: 'no event' };
+  }
+  if (!isLoggedEvent(body.event)) {
+    return { ignored: `${body.event} is not logged` };
+  }
+
+  const object = body.payload?.object || {};
+  if (!isSessionName(object.session_name)) {
+    return { ignored: 'not a session of this server' };
+  }
+
+  const eventTs = Number(body.event_ts);
+  const user = object.user && typeof object.user === 'object' ? object.user : null;
+  const id = crypto.createHash('sha256')
+    .update([body.event, body.event_ts, object.session_id, user?.id ?? ''].join(':'))
+    .digest('base64url')
+    .slice(0, 32);
+
+  return {
+    entry: {
+      id,
+      event: body.event,
+      timestamp: eventTs > 0 ? new Date(eventTs).toISOString() : new Date().toISOString(),
+      sessionName: object.session_name,
+      sessionId: object.session_id ?? null,
+      accountId: body.payload?.account_id ?? null,
+      startTime: object.start_time ?? null,
+      endTime: object.end_time ?? null,
+      user: user && {
+        id: user.id ?? null,
+        name: user.name ?? null,
+        userKey: user.user_key ?? null,
+        participantUuid: user.participant_uuid ?? null,
+        joinTime: user.join_time ?? null,
+        leaveTime: user.leave_time ?? null,
+        leaveReason: user.leave_reason ?? null
+      },
+      recording: RECORDING_EVENT_PATTERN.test(body.event) ? toRecording(object) : null,
+      receivedAt: new Date().toISOString()
+    }
+  };
+}
+
+function toRecording(object) {
+  const files = Array.isArray(object.recording_files) ? object.recording_files : [];
+  return {
+    count: object.recording_count ?? files.length,
+    totalSize: object.total_size ?? null,
+    files: files.map(file => ({
+      id: file.id ?? null,
+      fileType: file.file_type ?? null,
+      fileSize: file.file_size ?? null,
+      recordingType: file.recording_type ?? null,
+      recordingStart: file.recording_start ?? null,
+      recordingEnd: file.recording_end ?? null,
+      status: file.status ?? null
+    }))
+  };
+}
+
+/**
+ * Zoom event log
+ * One JSONL file per session under WEBHOOK_EVENT_DIR: append-only, deduplicated by id, numbered
+ * by `seq`. The logs of the `cacheSize` sessions used last stay in memory, so paging through a
+ * log or summarizing every session for the dashboard does not read the files again each time.
+ */
+class ZoomEventLog {
+  constructor(dir, { cacheSize = 100 } = {}) {
+    this.dir = path.resolve(dir);
+    this.cacheSize = cacheSize;
+    // Session name -> promise of { entries, ids, activity }, least recently used first
+    this.cache = new Map();
+    this.writeQueues = new Map();
+  }
+
+  filePath(sessionName) {
+    return path.join(this.dir, `${sessionName}.jsonl`);
+  }
+
+  load(sessionName) {
+    let log = this.cache.get(sessionName);
+    if (log) {
+      this.cache.delete(sessionName);
+    } else {
+      log = fs.promises.readFile(this.filePath(sessionName), 'utf8')
+        .catch(error => {
+          if (error.code === 'ENOENT') return '';
+          throw error;
+        })
+        .then(content => {
+          const entries = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+          return { entries, ids: new Set(entries.map(entry => entry.id)), activity: null };
+        });
+      log.catch(() => {
+        if (this.cache.get(sessionName) === log) this.cache.delete(sessionName);
+      });
+    }
+
+    this.cache.set(sessionName, log);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return log;
+  }
+
+  /**
+   * Add entries; returns those that were new
+   */
+  append(sessionName, entries) {
+    // Appends to one file run one after another so sequence numbers stay in file order
+    const previous = this.writeQueues.get(sessionName) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const log = await this.load(sessionName);
+      let seq = log.entries.length ? log.entries[log.entries.length - 1].seq : 0;
+      const added = entries
+        .filter((entry, index) => !log.ids.has(entry.id) && entries.findIndex(other => other.id === entry.id) === index)
+        .map(entry => ({ ...entry, seq: ++seq }));
+
+      if (added.length) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(this.filePath(sessionName), added.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        added.forEach(entry => log.ids.add(entry.id));
+        log.entries.push(...added);
+        log.activity = null;
+      }
+      return added;
+    });
+
+    this.writeQueues.set(sessionName, next);
+    return next;
+  }
+
+  /**
+   * A page of a session's events. `cursor` is the `seq` of the last entry already seen,
+   * `from`/`to` filter on timestamp and `events` lists the event names to keep.
+   */
+  async read(sessionName, { cursor = 0, limit = 100, from = null, to = null, events = null } = {}) {
+    const { entries } = await this.settled(sessionName);
+    const matching = entries.filter(entry =>
+      entry.seq > cursor &&
+      (!from || entry.timestamp >= from) &&
+      (!to || entry.timestamp <= to) &&
+      (!events || events.includes(entry.event))
+    );
+    const page = matching.slice(0, limit);
+
+    return {
+      events: page,
+      nextCursor: matching.length > page.length ? page[page.length - 1].seq : null
+    };
+  }
+
+  /**
+   * sessionActivity() of the events since `from`, kept until the log changes
+   */
+  async activity(sessionName, { from = null } = {}) {
+    const log = await this.settled(sessionName);
+    if (!log.activity || log.activity.from !== from) {
+      const entries = from ? log.entries.filter(entry => entry.timestamp >= from) : log.entries;
+      log.activity = { from, result: sessionActivity(entries) };
+    }
+    return log.activity.result;
+  }
+
+  // The log once pending appends are written, so a log dropped from the cache meanwhile is
+  // read back complete
+  async settled(sessionName) {
+    await (this.writeQueues.get(sessionName) || Promise.resolve()).catch(() => {});
+    return this.load(sessionName);
+  }
+}
+
+/**
+ * What a session's log says about it: when Zoom saw it start and end, and who is in it now
+ * (joined and not left since)
+ */
+function sessionActivity(entries) {
+  const present = new Map();
+  let startedAt = null;
+  let endedAt = null;
+
+  // Zoom may deliver out of order; replay the log in event order
+  const ordered = [...entries].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  for (const entry of ordered) {
+    if (entry.event === 'session.started') {
+      startedAt = entry.startTime || entry.timestamp;
+      endedAt = null;
+      present.clear();
+    } else if (entry.event === 'session.ended') {
+      endedAt = entry.endTime || entry.timestamp;
+      present.clear();
+    } else if (entry.event === 'session.user_joined' && entry.user) {
+      present.set(entry.user.id, { name: entry.user.name, joinedAt: entry.user.joinTime || entry.timestamp });
+    } else if (entry.event === 'session.user_left' && entry.user) {
+      present.delete(entry.user.id);
+    }
+  }
+
+  return { startedAt, endedAt, participants: Array.from(present.values()) };
+}
+
+/**
+ * The event log under WEBHOOK_EVENT_DIR (default data/zoom-events)
+ */
+function createZoomEventLog(env = process.env) {
+  return new ZoomEventLog(env.WEBHOOK_EVENT_DIR || 'data/zoom-events');
+}
+
+module.exports = {
+  ZoomWebhookVerifier,
+  ZoomEventLog,
+  signZoomWebhook,
+  normalizeZoomEvent,
+  sessionActivity,
+  createZoomEventLog
+};
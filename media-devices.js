@@ -0,0 +1,293 @@
+/**
+ * Media Devices
+ * DeviceManager lists cameras, microphones and speakers, remembers the user's choices (and whether
+ * to join muted or with video off) in localStorage, runs the pre-join camera preview, and switches
+ * devices mid-session. Devices plugged in or removed show up without a reload: before joining
+ * through the browser's devicechange event, in a session through the SDK's device-change.
+ * The microphone level meter and transcription share one AudioCapture, which follows the chosen mic.
+ * Browser only (window.DeviceManager); used by ZoomVideoApp.
+ */
+(function (root) {
+    const STORAGE_KEY = 'media-devices';
+
+    const KINDS = {
+        camera: { browserKind: 'videoinput', label: 'Camera', list: 'cameras', preference: 'cameraId' },
+        microphone: { browserKind: 'audioinput', label: 'Microphone', list: 'microphones', preference: 'microphoneId' },
+        speaker: { browserKind: 'audiooutput', label: 'Speaker', list: 'speakers', preference: 'speakerId' }
+    };
+
+    const DEFAULT_PREFERENCES = {
+        cameraId: null,
+        microphoneId: null,
+        speakerId: null,
+        joinMuted: false,
+        joinVideoOff: false
+    };
+
+    class DeviceManager {
+        constructor({ storage = root.localStorage, audioCapture = null } = {}) {
+            this.storage = storage;
+            // Shared with transcription: the level meter reads its analyser
+            this.audioCapture = audioCapture;
+            this.preferences = this.loadPreferences();
+            this.devices = { cameras: [], microphones: [], speakers: [] };
+            this.client = null;
+            this.stream = null;
+            this.previewStream = null;
+            this.previewElement = null;
+            this.handlers = {};
+
+            this.onBrowserDeviceChange = () => this.refresh();
+            root.navigator?.mediaDevices?.addEventListener?.('devicechange', this.onBrowserDeviceChange);
+        }
+
+        /**
+         * Switch devices through the SDK from now on. The SDK reports device changes itself while in a session.
+         */
+        attach(client, stream) {
+            this.client = client;
+            this.stream = stream;
+            root.navigator?.mediaDevices?.removeEventListener?.('devicechange', this.onBrowserDeviceChange);
+
+            this.handlers = {
+                'device-change': () => this.refresh()
+            };
+            Object.entries(this.handlers).forEach(([event, handler]) => client.on(event, handler));
+        }
+
+        detach() {
+            if (this.client) {
+                Object.entries(this.handlers).forEach(([event, handler]) => this.client.off(event, handler));
+            }
+            this.handlers = {};
+            this.client = null;
+            this.stream = null;
+            root.navigator?.mediaDevices?.addEventListener?.('devicechange', this.onBrowserDeviceChange);
+        }
+
+        /**
+         * Re-read the device lists. A chosen device that was unplugged falls back to the system default.
+         */
+        async refresh() {
+            if (!root.navigator?.mediaDevices?.enumerateDevices) {
+                return this.devices;
+            }
+
+            const previous = this.devices;
+            const all = await root.navigator.mediaDevices.enumerateDevices();
+            const devices = {};
+            Object.values(KINDS).forEach(({ browserKind, label, list }) => {
+                // Labels are empty until the user allows camera or microphone access
+                devices[list] = all
+                    .filter(device => device.kind === browserKind && device.deviceId)
+                    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `${label} ${index + 1}` }));
+            });
+            this.devices = devices;
+
+            for (const [kind, { list, preference }] of Object.entries(KINDS)) {
+                // The first read only fills the lists; after that, report what changed
+                if (previous[list].length) {
+                    const before = new Set(previous[list].map(device => device.deviceId));
+                    const after = new Set(devices[list].map(device => device.deviceId));
+                    devices[list].filter(device => !before.has(device.deviceId)).forEach(device => this.onDeviceAdded(kind, device));
+                    previous[list]
+                        .filter(device => !after.has(device.deviceId))
+                        .forEach(device => this.onDeviceRemoved(kind, device, device.deviceId === this.preferences[preference]));
+                }
+
+                const chosen = this.preferences[preference];
+                const present = devices[list].some(device => device.deviceId === chosen);
+                const wasPresent = previous[list].some(device => device.deviceId === chosen);
+                let target = null;
+                if (chosen && devices[list].length && !present) {
+                    // Keep the saved choice for when the device comes back; use the default meanwhile
+                    target = devices[list][0].deviceId;
+                } else if (chosen && present && !wasPresent && previous[list].length) {
+                    // The chosen device was plugged back in
+                    target = chosen;
+                }
+                if (target) {
+                    await this.use(kind, target).catch(error => {
+                        console.warn(`Could not switch ${kind}:`, error);
+                    });
+                }
+            }
+
+            this.onDevicesChanged(this.devices);
+            return this.devices;
+        }
+
+        /**
+         * The device in use for `kind`: the saved choice while it is plugged in (or while the
+         * browser has not listed devices yet), else the first one
+         */
+        current(kind) {
+            const { list, preference } = KINDS[kind];
+            const chosen = this.preferences[preference];
+            if (!this.devices[list].length || this.devices[list].some(device => device.deviceId === chosen)) return chosen;
+            return this.devices[list][0]?.deviceId ?? null;
+        }
+
+        /**
+         * Choose a device and remember it. In a session the SDK switches to it right away.
+         */
+        async select(kind, deviceId) {
+            const { preference } = KINDS[kind] || {};
+            if (!preference) {
+                throw new Error(`Unknown device kind "${kind}"`);
+            }
+            this.savePreferences({ [preference]: deviceId || null });
+            await this.use(kind, deviceId);
+        }
+
+        async use(kind, deviceId) {
+            if (kind === 'camera') {
+                // With video off the choice applies the next time it is started
+                if (this.stream && this.stream.isCapturingVideo()) {
+                    await this.stream.switchCamera(deviceId);
+                }
+                if (this.previewElement) {
+                    await this.startPreviewVideo();
+                }
+            } else if (kind === 'microphone') {
+                // No active microphone yet means audio has not started; startAudio() picks up the choice
+                if (this.stream && this.stream.getActiveMicrophone()) {
+                    await this.stream.switchMicrophone(deviceId);
+                }
+                if (this.audioCapture) {
+                    await this.audioCapture.setDevice(deviceId);
+                }
+            } else if (kind === 'speaker') {
+                if (this.stream && this.stream.getActiveSpeaker()) {
+                    await this.stream.switchSpeaker(deviceId);
+                }
+            }
+        }
+
+        /**
+         * Join muted and / or with video off. The preview follows the video choice.
+         */
+        async setJoinOptions({ joinMuted, joinVideoOff }) {
+            const changes = {};
+            if (joinMuted !== undefined) changes.joinMuted = !!joinMuted;
+            if (joinVideoOff !== undefined) changes.joinVideoOff = !!joinVideoOff;
+            this.savePreferences(changes);
+
+            if (joinVideoOff !== undefined && this.previewElement) {
+                await this.startPreviewVideo();
+            }
+        }
+
+        /**
+         * Options for stream.startVideo() and stream.startAudio()
+         */
+        videoOptions() {
+            const cameraId = this.current('camera');
+            return cameraId ? { cameraId } : {};
+        }
+
+        audioOptions() {
+            const options = { mute: this.preferences.joinMuted };
+            const microphoneId = this.current('microphone');
+            const speakerId = this.current('speaker');
+            if (microphoneId) options.microphoneId = microphoneId;
+            if (speakerId) options.speakerId = speakerId;
+            return options;
+        }
+
+        /**
+         * Show the chosen camera in `videoElement` and start the microphone level meter.
+         * Asking for access also reveals the device names.
+         */
+        async startPreview(videoElement) {
+            this.previewElement = videoElement;
+            await this.startPreviewVideo();
+
+            if (this.audioCapture) {
+                const microphoneId = this.current('microphone');
+                if (this.audioCapture.isCapturing) {
+                    await this.audioCapture.setDevice(microphoneId);
+                } else {
+                    await this.audioCapture.start({ deviceId: microphoneId });
+                }
+            }
+
+            await this.refresh();
+        }
+
+        /**
+         * Release the preview camera (the SDK opens its own). The microphone capture is kept
+         * unless `stopAudio` is set, so transcription can carry on with it after joining.
+         */
+        stopPreview({ stopAudio = false } = {}) {
+            this.stopPreviewVideo();
+            this.previewElement = null;
+            if (stopAudio && this.audioCapture?.isCapturing) {
+                this.audioCapture.stop();
+            }
+        }
+
+        /**
+         * (Re)open the preview camera, or leave it dark when joining with video off
+         */
+        async startPreviewVideo() {
+            this.stopPreviewVideo();
+            if (this.preferences.joinVideoOff) return;
+
+            const cameraId = this.current('camera');
+            // Not `exact`: a camera that is gone falls back to another one
+            const stream = await root.navigator.mediaDevices.getUserMedia({
+                video: cameraId ? { deviceId: cameraId } : true
+            });
+            if (!this.previewElement) {
+                // The preview was stopped while the camera was opening
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            this.previewStream = stream;
+            this.previewElement.srcObject = stream;
+        }
+
+        stopPreviewVideo() {
+            if (this.previewStream) {
+                this.previewStream.getTracks().forEach(track => track.stop());
+                this.previewStream = null;
+            }
+            if (this.previewElement) {
+                this.previewElement.srcObject = null;
+            }
+        }
+
+        loadPreferences() {
+            try {
+                const stored = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+                return { ...DEFAULT_PREFERENCES, ...(stored || {}) };
+            } catch (error) {
+                console.warn('Could not load device choices:', error);
+                return { ...DEFAULT_PREFERENCES };
+            }
+        }
+
+        savePreferences(changes) {
+            this.preferences = { ...this.preferences, ...changes };
+            try {
+                this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.preferences));
+            } catch (error) {
+                console.warn('Could not save device choices:', error);
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onDevicesChanged(devices) {
+            // { cameras, microphones, speakers }, each [{ deviceId, label }]
+        }
+
+        onDeviceAdded(kind, device) {}
+
+        onDeviceRemoved(kind, device, wasInUse) {}
+    }
+
+    root.DeviceManager = DeviceManager;
+})(window);
@@ -0,0 +1,217 @@
+/**
+ * Media Telemetry
+ * Follows the SDK's network levels for every participant (0-5 for uplink and downlink, broadcast
+ * while their video is on) and the statistics of our own audio and video: bitrate, fps, packet
+ * loss, jitter and round trip time, sent and received. Every few seconds it takes one sample per
+ * participant and uploads them in batches to POST /api/telemetry, where the server aggregates
+ * them per session (GET /api/sessions/:name/quality).
+ * Browser only (window.MediaTelemetry); used by ZoomVideoApp.
+ */
+(function (root) {
+    const SAMPLE_INTERVAL_MS = 10 * 1000;
+    const UPLOAD_INTERVAL_MS = 30 * 1000;
+    const UPLOAD_BATCH_SIZE = 200;
+    // Samples kept while uploads fail; the oldest go first
+    const MAX_PENDING = 1000;
+
+    const MEDIA = ['audio', 'video'];
+
+    class MediaTelemetry {
+        constructor({ sampleIntervalMs = SAMPLE_INTERVAL_MS, uploadIntervalMs = UPLOAD_INTERVAL_MS } = {}) {
+            this.sampleIntervalMs = sampleIntervalMs;
+            this.uploadIntervalMs = uploadIntervalMs;
+            this.client = null;
+            this.stream = null;
+            this.sessionName = null;
+            this.getToken = null;
+            // { uplink, downlink } by user id
+            this.quality = new Map();
+            // Our own streams: { audio: { send, receive }, video: { send, receive } }
+            this.stats = { audio: {}, video: {} };
+            this.pending = [];
+            this.handlers = {};
+            this.sampleTimer = null;
+            this.uploadTimer = null;
+            this.uploading = false;
+        }
+
+        /**
+         * Start sampling the session we joined. `getToken()` returns our current session token.
+         */
+        attach(client, stream, sessionName, getToken) {
+            if (sessionName !== this.sessionName) {
+                // Samples from an earlier session belong to that one
+                this.pending = [];
+            }
+            this.client = client;
+            this.stream = stream;
+            this.sessionName = sessionName;
+            this.getToken = getToken;
+
+            this.handlers = {
+                'network-quality-change': (payload) => this.setQuality(payload.userId, payload.type, payload.level),
+                'audio-statistic-data-change': (payload) => this.setStats('audio', payload.data),
+                'video-statistic-data-change': (payload) => this.setStats('video', payload.data),
+                'user-removed': (payload) => {
+                    const users = Array.isArray(payload) ? payload : [payload];
+                    users.forEach(user => this.quality.delete(user.userId));
+                }
+            };
+            Object.entries(this.handlers).forEach(([event, handler]) => client.on(event, handler));
+
+            // Statistics events only flow once subscribed, for what we send and what we receive
+            this.subscribe('subscribeAudioStatisticData');
+            this.subscribe('subscribeVideoStatisticData');
+
+            this.sampleTimer = setInterval(() => this.sample(), this.sampleIntervalMs);
+            this.uploadTimer = setInterval(() => this.upload(), this.uploadIntervalMs);
+        }
+
+        /**
+         * Stop sampling and send what is left. Call before leaving.
+         */
+        async detach() {
+            clearInterval(this.sampleTimer);
+            clearInterval(this.uploadTimer);
+            this.sampleTimer = null;
+            this.uploadTimer = null;
+
+            if (this.client) {
+                Object.entries(this.handlers).forEach(([event, handler]) => this.client.off(event, handler));
+                this.sample();
+                this.subscribe('unsubscribeAudioStatisticData');
+                this.subscribe('unsubscribeVideoStatisticData');
+            }
+            this.handlers = {};
+            this.client = null;
+            this.stream = null;
+
+            // keepalive lets the last batch out even when the page is closing
+            await this.upload({ keepalive: true });
+            this.quality.clear();
+            this.stats = { audio: {}, video: {} };
+        }
+
+        subscribe(method) {
+            Promise.resolve()
+                .then(() => this.stream?.[method]?.({ encode: true, decode: true }))
+                .catch(error => console.warn(`Could not ${method}:`, error));
+        }
+
+        setQuality(userId, type, level) {
+            if (type !== 'uplink' && type !== 'downlink') return;
+            const quality = { uplink: null, downlink: null, ...this.quality.get(userId), [type]: level };
+            this.quality.set(userId, quality);
+            this.onQualityChanged(userId, quality);
+        }
+
+        setStats(media, data) {
+            if (!data) return;
+            const direction = data.encoding ? 'send' : 'receive';
+            this.stats[media][direction] = {
+                bitrate: data.bitrate ?? null,
+                fps: media === 'video' ? (data.fps ?? null) : null,
+                packetLoss: data.avg_loss ?? null,
+                jitter: data.jitter ?? null,
+                rtt: data.rtt ?? null,
+                ...(media === 'video' && data.width ? { width: data.width, height: data.height } : {})
+            };
+            this.onStatsChanged(this.current());
+        }
+
+        /**
+         * The latest levels and statistics, e.g. for a stats overlay
+         */
+        current() {
+            return {
+                quality: Object.fromEntries(this.quality),
+                audio: { ...this.stats.audio },
+                video: { ...this.stats.video }
+            };
+        }
+
+        /**
+         * One sample per participant: their network levels, plus our own stream statistics
+         */
+        sample() {
+            if (!this.client) return;
+
+            const selfId = this.client.getCurrentUserInfo()?.userId;
+            const timestamp = new Date().toISOString();
+            this.client.getAllUser().forEach(user => {
+                const quality = this.quality.get(user.userId) || {};
+                const sample = {
+                    timestamp,
+                    userId: user.userId,
+                    name: user.displayName,
+                    self: user.userId === selfId,
+                    uplink: quality.uplink ?? null,
+                    downlink: quality.downlink ?? null
+                };
+
+                if (sample.self) {
+                    MEDIA.forEach(media => {
+                        if (Object.keys(this.stats[media]).length) sample[media] = { ...this.stats[media] };
+                    });
+                } else if (sample.uplink === null && sample.downlink === null) {
+                    // Nothing known about them yet
+                    return;
+                }
+                this.pending.push(sample);
+            });
+
+            if (this.pending.length > MAX_PENDING) {
+                this.pending.splice(0, this.pending.length - MAX_PENDING);
+            }
+        }
+
+        /**
+         * Send pending samples. A failed batch stays queued for the next interval unless the
+         * server refused it for good.
+         */
+        async upload({ keepalive = false } = {}) {
+            const token = this.getToken?.();
+            if (this.uploading || !this.pending.length || !token || !this.sessionName) return;
+
+            this.uploading = true;
+            const batch = this.pending.slice(0, UPLOAD_BATCH_SIZE);
+
+            try {
+                const response = await fetch('/api/telemetry', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Authorization: `Bearer ${token}`
+                    },
+                    body: JSON.stringify({ sessionName: this.sessionName, samples: batch }),
+                    keepalive
+                });
+
+                if (response.ok || (response.status >= 400 && response.status < 500 && response.status !== 429)) {
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        console.warn('Dropping rejected telemetry batch:', data.error || response.status);
+                    }
+                    this.pending.splice(0, batch.length);
+                }
+            } catch (error) {
+                console.warn('Telemetry upload failed, retrying later:', error);
+            } finally {
+                this.uploading = false;
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onQualityChanged(userId, quality) {
+            // { uplink, downlink }: SDK levels 0-5 (0-1 bad, 2 normal, 3-5 good), null when unknown
+        }
+
+        onStatsChanged(current) {
+            // { quality, audio: { send, receive }, video: { send, receive } }
+        }
+    }
+
+    root.MediaTelemetry = MediaTelemetry;
+})(window);
@@ -0,0 +1,337 @@
+/**
+ * Meeting Insights
+ * SpeechDetection classifies single utterances; MeetingAnalyzer looks across the whole
+ * transcript for action items, questions nobody answered and recurring keywords, and builds
+ * the end-of-session report.
+ * Loaded by the browser (window.MeetingInsights, window.SpeechDetection) and by the server (require).
+ *
+ * Segments may come from TranscriptionManager ({ user, ... }) or from the server store
+ * ({ speaker, ... }); both shapes are accepted.
+ */
+(function (root) {
+    /**
+     * Speech Detection and Analysis
+     */
+    class SpeechDetection {
+        constructor() {
+            this.questionPatterns = [
+                /\b(what|when|where|who|why|how|can|could|would|should|is|are|do|does|did)\b/i,
+                /\?/,
+                /\b(please|tell me|explain|describe)\b/i
+            ];
+
+            this.commandPatterns = [
+                /\b(start|stop|begin|end|pause|resume|next|previous)\b/i,
+                /\b(show|hide|display|open|close)\b/i
+            ];
+
+            this.emotionPatterns = {
+                positive: [/\b(great|good|excellent|wonderful|amazing|fantastic|love|like)\b/i],
+                negative: [/\b(bad|terrible|awful|hate|dislike|worst|horrible)\b/i],
+                question: [/\?/],
+                exclamation: [/!/]
+            };
+        }
+
+        /**
+         * Analyze speech for patterns
+         */
+        analyze(text) {
+            const result = {
+                hasSpeech: text.trim().length > 0,
+                type: 'statement',
+                isQuestion: false,
+                isCommand: false,
+                emotion: 'neutral',
+                keywords: [],
+                wordCount: text.split(/\s+/).length
+            };
+
+            // Check for questions
+            if (this.questionPatterns.some(pattern => pattern.test(text))) {
+                result.isQuestion = true;
+                result.type = 'question';
+            }
+
+            // Check for commands
+            if (this.commandPatterns.some(pattern => pattern.test(text))) {
+                result.isCommand = true;
+                result.type = 'command';
+            }
+
+            // Detect emotion
+            for (const [emotion, patterns] of Object.entries(this.emotionPatterns)) {
+                if (patterns.some(pattern => pattern.test(text))) {
+                    result.emotion = emotion;
+                    break;
+                }
+            }
+
+            // Extract keywords (simple approach)
+            const words = text.toLowerCase().split(/\s+/);
+            result.keywords = words.filter(word => word.length > 4);
+
+            return result;
+        }
+    }
+
+    // A reply from someone else within this window answers a question
+    const REPLY_WINDOW_MS = 2 * 60 * 1000;
+    const MAX_KEYWORDS = 10;
+
+    // SpeechDetection flags any sentence containing "is", "do", ... as a question. Recognizers
+    // rarely add "?", so a question must also end in "?" or open with one of these words.
+    const QUESTION_START = /^(what|when|where|who|whom|whose|which|why|how|can|could|would|should|will|shall|is|are|am|was|were|do|does|did|have|has|had|may|might|any|anyone|anybody)\b/i;
+
+    // Commitments and requests. `owner` says who takes the item: the speaker, the group,
+    // or whoever was asked (resolved to the next other speaker).
+    const ACTION_PATTERNS = [
+        { pattern: /\b(?:i'll|i will|i'm going to|i am going to|let me)\s+(.+)/i, owner: 'speaker' },
+        { pattern: /\b(?:we'll|we will|we're going to|we are going to|we need to|we should|we have to)\s+(.+)/i, owner: 'group' },
+        { pattern: /\blet'?s\s+(.+)/i, owner: 'group' },
+        { pattern: /\b(?:can|could|would|will) you(?: please)?\s+(.+)/i, owner: 'addressee' },
+        { pattern: /\b(?:please|make sure to|don't forget to|remember to)\s+(.+)/i, owner: 'addressee' },
+        { pattern: /\b(?:action item|to-?do|follow up on|follow-up)\b[:\s]*(.+)/i, owner: 'speaker' }
+    ];
+
+    const DEADLINE_PATTERN = new RegExp('\\b(?:by|before|until|on|due|no later than)\\s+(' + [
+        'today', 'tonight', 'tomorrow(?: morning| afternoon)?',
+        '(?:next |this )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)',
+        'next (?:week|month|sprint)', 'the end of (?:the )?(?:day|week|month|sprint)', 'end of (?:the )?(?:day|week|month|sprint)',
+        'eod', 'eow', 'noon',
+        '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]* \\d{1,2}(?:st|nd|rd|th)?',
+        '\\d{1,2}(?:st|nd|rd|th)?(?: of [a-z]+)?',
+        '\\d{1,2}(?::\\d{2})? ?(?:am|pm)'
+    ].join('|') + ')\\b', 'i');
+
+    // Dates that read as a deadline without a preposition: "I'll send it tomorrow", "next week"
+    const RELATIVE_DATE_PATTERN = new RegExp('\\b(' + [
+        'today', 'tonight', 'tomorrow(?: morning| afternoon)?',
+        '(?:next |this )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)',
+        '(?:next|this) (?:week|month|sprint)', '(?:the )?end of (?:the )?(?:day|week|month|sprint)',
+        'eod', 'eow'
+    ].join('|') + ')\\b', 'i');
+
+    const STOP_WORDS = new Set((
+        'a about above after again against all also am an and any are aren as at be because been before being ' +
+        'below between both but by can cannot could couldn did didn do does doesn doing don down during each ' +
+        'few for from further get gets getting go goes going gonna got had hadn has hasn have haven having he ' +
+        'her here hers herself him himself his how i if in into is isn it its itself just know let lets like ' +
+        'll maybe me more most much must my myself need no nor not now of off ok okay on once one only or ' +
+        'other our ours ourselves out over own really right said same say says see shall she should so some ' +
+        'something such sure than thank thanks that the their theirs them themselves then there these they ' +
+        'thing things think this those though through to too um uh under until up us very was wasn way we ' +
+        'well were weren what when where which while who whom why will with won would wouldn yeah yes yet ' +
+        'you your yours yourself yourselves'
+    ).split(' '));
+
+    /**
+     * Meeting Analyzer
+     * Feed it final segments in any order; report() sorts them by time.
+     */
+    class MeetingAnalyzer {
+        constructor({ detector = new SpeechDetection(), replyWindowMs = REPLY_WINDOW_MS, maxKeywords = MAX_KEYWORDS } = {}) {
+            this.detector = detector;
+            this.replyWindowMs = replyWindowMs;
+            this.maxKeywords = maxKeywords;
+            this.segments = new Map();
+        }
+
+        add(segment) {
+            const text = String(segment.text || '').trim();
+            const time = Date.parse(segment.timestamp);
+            if (!text || isNaN(time)) return;
+
+            const id = segment.id || `${time}-${this.segments.size}`;
+            if (this.segments.has(id)) return;
+
+            this.segments.set(id, {
+                id,
+                speaker: segment.speaker || segment.user || 'Unknown',
+                text,
+                timestamp: new Date(time).toISOString(),
+                startedAt: segment.startedAt || segment.timestamp,
+                time
+            });
+        }
+
+        addAll(segments) {
+            segments.forEach(segment => this.add(segment));
+            return this;
+        }
+
+        /**
+         * Structured end-of-session report
+         */
+        report({ sessionName = null, startedAt = null, endedAt = null } = {}) {
+            const segments = [...this.segments.values()].sort((a, b) => a.time - b.time);
+            const start = startedAt ? Date.parse(startedAt) : (segments.length ? Date.parse(segments[0].startedAt) : NaN);
+            const end = endedAt ? Date.parse(endedAt) : (segments.length ? segments[segments.length - 1].time : NaN);
+
+            const questions = this.findQuestions(segments);
+            const actionItems = this.findActionItems(segments);
+
+            return {
+                sessionName,
+                generatedAt: new Date().toISOString(),
+                startedAt: isNaN(start) ? null : new Date(start).toISOString(),
+                endedAt: isNaN(end) ? null : new Date(end).toISOString(),
+                durationSeconds: isNaN(start) || isNaN(end) ? 0 : Math.max(Math.round((end - start) / 1000), 0),
+                summary: {
+                    segments: segments.length,
+                    words: segments.reduce((total, segment) => total + countWords(segment.text), 0),
+                    participants: new Set(segments.map(segment => segment.speaker)).size,
+                    questions: questions.length,
+                    openQuestions: questions.filter(question => !question.answered).length,
+                    actionItems: actionItems.length
+                },
+                participants: this.participantStats(segments),
+                actionItems,
+                questions,
+                openQuestions: questions.filter(question => !question.answered),
+                keywords: this.rankKeywords(segments)
+            };
+        }
+
+        isQuestion(text) {
+            if (!this.detector.analyze(text).isQuestion) return false;
+            return /\?\s*$/.test(text) || QUESTION_START.test(text);
+        }
+
+        /**
+         * A question is answered when another participant says something that is not itself
+         * a question within the reply window
+         */
+        findQuestions(segments) {
+            return segments
+                .map((segment, index) => ({ segment, index }))
+                .filter(({ segment }) => this.isQuestion(segment.text))
+                .map(({ segment, index }) => {
+                    const reply = segments.slice(index + 1).find(other =>
+                        other.time - segment.time <= this.replyWindowMs &&
+                        other.speaker !== segment.speaker &&
+                        !this.isQuestion(other.text)
+                    );
+                    return {
+                        id: segment.id,
+                        speaker: segment.speaker,
+                        text: segment.text,
+                        timestamp: segment.timestamp,
+                        answered: !!reply,
+                        answeredBy: reply ? reply.speaker : null
+                    };
+                });
+        }
+
+        findActionItems(segments) {
+            const items = [];
+
+            segments.forEach((segment, index) => {
+                for (const sentence of splitSentences(segment.text)) {
+                    const item = this.matchAction(sentence);
+                    if (!item) continue;
+
+                    let owner = segment.speaker;
+                    if (item.owner === 'group') {
+                        owner = 'Everyone';
+                    } else if (item.owner === 'addressee') {
+                        // Whoever speaks next is taken to be the one asked
+                        const next = segments.slice(index + 1).find(other => other.speaker !== segment.speaker);
+                        owner = next ? next.speaker : null;
+                    }
+
+                    items.push({
+                        id: segment.id,
+                        speaker: segment.speaker,
+                        owner,
+                        text: sentence,
+                        task: item.task,
+                        due: item.due,
+                        timestamp: segment.timestamp
+                    });
+                }
+            });
+
+            return items;
+        }
+
+        matchAction(sentence) {
+            for (const { pattern, owner } of ACTION_PATTERNS) {
+                const match = sentence.match(pattern);
+                if (!match) continue;
+
+                const task = match[1].trim().replace(/[.!?,;]+$/, '');
+                if (countWords(task) < 2) continue;
+
+                const deadline = sentence.match(DEADLINE_PATTERN) || sentence.match(RELATIVE_DATE_PATTERN);
+                return { owner, task, due: deadline ? deadline[1].toLowerCase() : null };
+            }
+            return null;
+        }
+
+        participantStats(segments) {
+            const stats = new Map();
+            for (const segment of segments) {
+                const entry = stats.get(segment.speaker) || { name: segment.speaker, segments: 0, words: 0, questions: 0 };
+                entry.segments++;
+                entry.words += countWords(segment.text);
+                if (this.isQuestion(segment.text)) entry.questions++;
+                stats.set(segment.speaker, entry);
+            }
+            return [...stats.values()].sort((a, b) => b.words - a.words);
+        }
+
+        /**
+         * Words said more than once, most frequent first (ties keep first mention order)
+         */
+        rankKeywords(segments) {
+            const counts = new Map();
+            for (const segment of segments) {
+                for (const word of tokenize(segment.text)) {
+                    if (word.length < 3 || STOP_WORDS.has(word) || /^\d+$/.test(word)) continue;
+                    counts.set(word, (counts.get(word) || 0) + 1);
+                }
+            }
+
+            return [...counts.entries()]
+                .filter(([, count]) => count > 1)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, this.maxKeywords)
+                .map(([word, count]) => ({ word, count }));
+        }
+    }
+
+    function tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+            .map(word => word.replace(/'s$/, '').replace(/'/g, ''));
+    }
+
+    function countWords(text) {
+        return text.split(/\s+/).filter(Boolean).length;
+    }
+
+    function splitSentences(text) {
+        return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    }
+
+    /**
+     * Build a report from a list of segments in one call
+     */
+    function analyzeMeeting(segments, options = {}) {
+        return new MeetingAnalyzer(options).addAll(segments).report(options);
+    }
+
+    const MeetingInsights = {
+        SpeechDetection,
+        MeetingAnalyzer,
+        analyzeMeeting,
+        STOP_WORDS
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeetingInsights;
+    } else {
+        root.MeetingInsights = MeetingInsights;
+        root.SpeechDetection = SpeechDetection;
+    }
+})(typeof window !== 'undefined' ? window : this);
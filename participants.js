@@ -0,0 +1,443 @@
+/**
+ * Participants
+ * SessionParticipants keeps the participant list from client.getAllUser() up to date and gives
+ * hosts and managers their controls: mute, ask to unmute, stop video, rename, remove, make host or
+ * manager, and lock the session. It also tells participants when a host acted on them.
+ * ParticipantsPanel renders the list, with the controls the current user is allowed to use.
+ * Browser only (window.SessionParticipants, window.ParticipantsPanel); used by ZoomVideoApp and
+ * by create-session.html.
+ *
+ * The SDK cannot stop someone else's camera or lock a session, so those go their own way:
+ * "stop video" is a command-channel request that this app honours on the participant's side,
+ * and the lock is kept by the server (PUT /api/sessions/:name/lock), which then refuses new tokens.
+ */
+(function (root) {
+    // Marks our messages on the command channel, which other features may share
+    const COMMAND_TYPE = 'host-controls';
+    const MAX_NAME_LENGTH = 100;
+
+    class SessionParticipants {
+        constructor() {
+            this.client = null;
+            this.stream = null;
+            this.commandClient = null;
+            this.lockSession = null;
+            this.locked = false;
+            // Our own role and name, to notice when a host changes them
+            this.self = null;
+            // A name we gave ourselves, so it is not reported as the host renaming us
+            this.ownRename = null;
+            this.handlers = {};
+        }
+
+        /**
+         * Start following the session's participants. `lockSession(locked)` updates the server's
+         * lock (without it the lock control is not offered); `locked` is its state when we joined.
+         */
+        attach(client, stream, { lockSession = null, locked = false } = {}) {
+            this.client = client;
+            this.stream = stream;
+            this.commandClient = client.getCommandClient?.() || null;
+            this.lockSession = lockSession;
+            this.locked = !!locked;
+            this.self = this.selfSnapshot();
+
+            this.handlers = {
+                'user-added': () => this.changed(),
+                'user-removed': () => this.changed(),
+                'user-updated': () => {
+                    this.checkSelf();
+                    this.changed();
+                },
+                'host-ask-unmute-audio': () => this.onUnmuteRequested(),
+                'current-audio-change': (payload) => {
+                    if (payload.action !== 'muted') return;
+                    if (payload.source === 'passive(mute one)') {
+                        this.onNotice('The host muted your microphone');
+                    } else if (payload.source === 'passive(mute all)') {
+                        this.onNotice('The host muted everyone');
+                    }
+                },
+                'command-channel-message': (payload) => this.receiveCommand(payload)
+            };
+            Object.entries(this.handlers).forEach(([event, handler]) => client.on(event, handler));
+
+            this.changed();
+        }
+
+        detach() {
+            if (this.client) {
+                Object.entries(this.handlers).forEach(([event, handler]) => this.client.off(event, handler));
+            }
+            this.handlers = {};
+            this.client = null;
+            this.stream = null;
+            this.commandClient = null;
+            this.lockSession = null;
+            this.locked = false;
+            this.self = null;
+            this.onParticipantsChanged([]);
+        }
+
+        get isHost() {
+            return !!this.client?.isHost();
+        }
+
+        /**
+         * Hosts and managers can mute, rename and remove others
+         */
+        get canManage() {
+            return !!this.client && (this.client.isHost() || this.client.isManager());
+        }
+
+        get canLock() {
+            return this.canManage && !!this.lockSession;
+        }
+
+        /**
+         * Everyone in the session: us first, then the host, managers, and the rest by name
+         */
+        list() {
+            if (!this.client) return [];
+
+            const selfId = this.client.getCurrentUserInfo()?.userId;
+            const rank = (user) => user.self ? 0 : user.isHost ? 1 : user.isManager ? 2 : 3;
+            return this.client.getAllUser()
+                .map(user => ({
+                    userId: user.userId,
+                    name: user.displayName || String(user.userId),
+                    isHost: !!user.isHost,
+                    isManager: !!user.isManager,
+                    muted: !!user.muted,
+                    // '' when the participant has not joined audio
+                    audio: user.audio || '',
+                    videoOn: !!user.bVideoOn,
+                    self: user.userId === selfId
+                }))
+                .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+        }
+
+        changed() {
+            this.onParticipantsChanged(this.list());
+        }
+
+        async mute(userId) {
+            this.assertCanManage();
+            await this.stream.muteAudio(userId);
+        }
+
+        /**
+         * Hosts cannot unmute anyone directly; the participant is asked and decides
+         */
+        async askToUnmute(userId) {
+            this.assertCanManage();
+            await this.stream.unmuteAudio(userId);
+        }
+
+        async stopVideo(userId) {
+            this.assertCanManage();
+            await this.sendCommand('stop-video', userId);
+        }
+
+        async rename(userId, name) {
+            const newName = String(name || '').trim();
+            if (!newName || newName.length > MAX_NAME_LENGTH) {
+                throw new Error(`Names must be between 1 and ${MAX_NAME_LENGTH} characters`);
+            }
+            const selfId = this.client?.getCurrentUserInfo()?.userId;
+            if (userId !== selfId) {
+                this.assertCanManage();
+            } else {
+                this.ownRename = newName;
+            }
+            await this.client.changeName(newName, userId);
+        }
+
+        async remove(userId) {
+            this.assertCanManage();
+            await this.client.removeUser(userId);
+        }
+
+        /**
+         * Hand the host role to someone else. We become a regular participant.
+         */
+        async makeHost(userId) {
+            this.assertHost();
+            await this.client.makeHost(userId);
+        }
+
+        async makeManager(userId) {
+            this.assertHost();
+            await this.client.makeManager(userId);
+        }
+
+        async revokeManager(userId) {
+            this.assertHost();
+            await this.client.revokeManager(userId);
+        }
+
+        /**
+         * Stop (or allow again) new people joining. Everyone in the session is told.
+         */
+        async setLocked(locked) {
+            if (!this.canLock) {
+                throw new Error('Only the host or a manager can lock the session');
+            }
+            await this.lockSession(locked);
+            this.locked = locked;
+            await this.sendCommand('lock', null, { locked }).catch(error => {
+                console.warn('Could not tell participants about the lock:', error);
+            });
+            this.onLockChanged(locked, null);
+        }
+
+        assertCanManage() {
+            if (!this.canManage) {
+                throw new Error('Only the host or a manager can do this');
+            }
+        }
+
+        assertHost() {
+            if (!this.isHost) {
+                throw new Error('Only the host can do this');
+            }
+        }
+
+        async sendCommand(action, userId, data = {}) {
+            if (!this.commandClient) {
+                throw new Error('The command channel is not available in this session');
+            }
+            const result = await this.commandClient.send(JSON.stringify({ type: COMMAND_TYPE, action, ...data }), userId ?? undefined);
+            if (result && result.type) throw result;
+        }
+
+        receiveCommand({ senderId, senderName, text }) {
+            let command;
+            try {
+                command = JSON.parse(text);
+            } catch (error) {
+                return;
+            }
+            if (!command || command.type !== COMMAND_TYPE) return;
+
+            // Anyone can send on the command channel; only act on hosts and managers
+            const sender = this.client.getUser(Number(senderId));
+            if (!sender || !(sender.isHost || sender.isManager)) {
+                console.warn(`Ignoring host request from ${senderName}, who is not a host or manager`);
+                return;
+            }
+
+            if (command.action === 'stop-video') {
+                this.onVideoStopRequested(senderName);
+            } else if (command.action === 'lock') {
+                this.locked = !!command.locked;
+                this.onLockChanged(this.locked, senderName);
+            }
+        }
+
+        selfSnapshot() {
+            const self = this.client.getCurrentUserInfo() || {};
+            return { isHost: !!self.isHost, isManager: !!self.isManager, name: self.displayName };
+        }
+
+        /**
+         * Tell the user when a host changed their role or name
+         */
+        checkSelf() {
+            if (!this.self) return;
+
+            const before = this.self;
+            const now = this.selfSnapshot();
+            this.self = now;
+
+            if (now.isHost && !before.isHost) {
+                this.onNotice('You are now the host');
+            } else if (before.isHost && !now.isHost) {
+                this.onNotice('You are no longer the host');
+            } else if (now.isManager && !before.isManager) {
+                this.onNotice('The host made you a manager');
+            } else if (before.isManager && !now.isManager) {
+                this.onNotice('The host removed your manager role');
+            }
+
+            if (now.name && before.name && now.name !== before.name) {
+                if (now.name !== this.ownRename) {
+                    this.onNotice(`The host renamed you to "${now.name}"`);
+                }
+                this.ownRename = null;
+            }
+            if (now.isHost !== before.isHost || now.isManager !== before.isManager) {
+                this.onRoleChanged(now);
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI; ParticipantsPanel sets onParticipantsChanged, onRoleChanged
+         * and onLockChanged)
+         */
+        onParticipantsChanged(participants) {}
+
+        onRoleChanged(role) {
+            // { isHost, isManager, name }
+        }
+
+        onLockChanged(locked, byName) {
+            // byName is null when we changed it ourselves
+        }
+
+        onNotice(message) {}
+
+        onUnmuteRequested() {
+            // Show a prompt; only a click on it may call stream.unmuteAudio()
+        }
+
+        onVideoStopRequested(byName) {}
+    }
+
+    class ParticipantsPanel {
+        constructor(container, participants) {
+            this.container = container;
+            this.participants = participants;
+            this.build();
+
+            participants.onParticipantsChanged = (list) => this.render(list);
+            participants.onRoleChanged = () => this.render(participants.list());
+            participants.onLockChanged = (locked, byName) => {
+                this.showLock(locked);
+                if (byName) {
+                    this.notice.textContent = `${byName} ${locked ? 'locked' : 'unlocked'} the session`;
+                }
+            };
+        }
+
+        build() {
+            this.header = document.createElement('div');
+            this.header.className = 'participants-header';
+            this.title = document.createElement('span');
+            this.lockBadge = document.createElement('span');
+            this.lockBadge.className = 'participants-locked';
+            this.lockBadge.textContent = '🔒 Locked';
+            this.lockBadge.hidden = true;
+            this.lockButton = button('🔒 Lock session', () => this.run(() => this.participants.setLocked(!this.participants.locked)));
+            this.header.append(this.title, this.lockBadge, this.lockButton);
+
+            this.list = document.createElement('ul');
+            this.list.className = 'participants-list';
+
+            this.notice = document.createElement('div');
+            this.notice.className = 'participants-notice';
+
+            this.container.replaceChildren(this.header, this.list, this.notice);
+            this.render([]);
+        }
+
+        render(list) {
+            this.title.textContent = `👥 Participants (${list.length})`;
+            this.lockButton.hidden = !this.participants.canLock;
+            this.showLock(this.participants.locked);
+            this.list.replaceChildren(...list.map(participant => this.renderParticipant(participant)));
+        }
+
+        renderParticipant(participant) {
+            const item = document.createElement('li');
+            item.className = 'participant';
+
+            const info = document.createElement('div');
+            info.className = 'participant-info';
+            const name = document.createElement('span');
+            name.className = 'participant-name';
+            name.textContent = participant.self ? `${participant.name} (You)` : participant.name;
+            info.appendChild(name);
+            if (participant.isHost || participant.isManager) {
+                const role = document.createElement('span');
+                role.className = 'participant-role';
+                role.textContent = participant.isHost ? 'Host' : 'Manager';
+                info.appendChild(role);
+            }
+            const status = document.createElement('span');
+            status.className = 'participant-status';
+            const mic = !participant.audio ? '🔈' : participant.muted ? '🔇' : '🎤';
+            status.textContent = `${mic} ${participant.videoOn ? '📷' : '🚫'}`;
+            status.title = `${!participant.audio ? 'No audio' : participant.muted ? 'Muted' : 'Unmuted'}, video ${participant.videoOn ? 'on' : 'off'}`;
+            info.appendChild(status);
+            item.appendChild(info);
+
+            const actions = this.actionsFor(participant);
+            if (actions.length) {
+                const bar = document.createElement('div');
+                bar.className = 'participant-actions';
+                bar.append(...actions);
+                item.appendChild(bar);
+            }
+            return item;
+        }
+
+        actionsFor(participant) {
+            const controls = this.participants;
+            if (participant.self || !controls.canManage) return [];
+
+            const { userId, name } = participant;
+            const actions = [];
+            if (participant.audio && !participant.muted) {
+                actions.push(button('Mute', () => this.run(() => controls.mute(userId))));
+            } else if (participant.audio) {
+                actions.push(button('Ask to unmute', () => this.run(() => controls.askToUnmute(userId), `Asked ${name} to unmute`)));
+            }
+            if (participant.videoOn) {
+                actions.push(button('Stop video', () => this.run(() => controls.stopVideo(userId), `Asked ${name} to stop their video`)));
+            }
+            actions.push(button('Rename', () => {
+                const newName = prompt(`New name for ${name}`, name);
+                if (newName !== null && newName.trim() !== name) {
+                    this.run(() => controls.rename(userId, newName));
+                }
+            }));
+            if (controls.isHost && !participant.isHost) {
+                actions.push(participant.isManager
+                    ? button('Remove manager', () => this.run(() => controls.revokeManager(userId)))
+                    : button('Make manager', () => this.run(() => controls.makeManager(userId))));
+                actions.push(button('Make host', () => {
+                    if (confirm(`Make ${name} the host? You will no longer be the host.`)) {
+                        this.run(() => controls.makeHost(userId));
+                    }
+                }));
+            }
+            if (!participant.isHost) {
+                const remove = button('Remove', () => {
+                    if (confirm(`Remove ${name} from the session?`)) {
+                        this.run(() => controls.remove(userId));
+                    }
+                });
+                remove.classList.add('btn-danger');
+                actions.push(remove);
+            }
+            return actions;
+        }
+
+        async run(action, success = '') {
+            try {
+                await action();
+                this.notice.textContent = success;
+            } catch (error) {
+                this.notice.textContent = `⚠️ ${error.reason || error.message}`;
+            }
+        }
+
+        showLock(locked) {
+            this.lockBadge.hidden = !locked;
+            this.lockButton.textContent = locked ? '🔓 Unlock session' : '🔒 Lock session';
+        }
+    }
+
+    function button(label, onClick) {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = 'btn participant-action';
+        element.textContent = label;
+        element.addEventListener('click', onClick);
+        return element;
+    }
+
+    root.SessionParticipants = SessionParticipants;
+    root.ParticipantsPanel = ParticipantsPanel;
+})(window);
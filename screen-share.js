@@ -0,0 +1,227 @@
+/**
+ * Screen Share
+ * Starts and stops our own screen share, and renders the active remote share into its own
+ * <video-player-container> (the SDK does not allow mixing share and camera views in one container).
+ * Enforces the session's share rules before asking the browser for a screen: the host can lock
+ * sharing to hosts and managers, and unless the host allows several sharers, only one person
+ * shares at a time.
+ * Browser only (window.ScreenShare); used by ZoomVideoApp and by create-session.html.
+ */
+(function (root) {
+    // SDK SharePrivilege values
+    const PRIVILEGE_UNLOCKED = 0;
+    const PRIVILEGE_LOCKED = 1;
+    const PRIVILEGE_MULTIPLE_SHARE = 3;
+
+    // SDK error codes from startShareScreen
+    const SHARE_ERRORS = {
+        6200: 'Screen sharing was blocked. Choose a screen, window or tab when your browser asks, and allow screen capture for this site.',
+        6201: 'Your operating system does not allow this browser to record the screen. Allow screen recording for the browser in your system privacy settings, then try again.',
+        6202: 'This browser cannot share the screen. Use a recent desktop version of Chrome, Edge, Firefox or Safari.',
+        6204: 'Only the host can share the screen in this session.',
+        6208: 'Only the host can share the screen in this session.'
+    };
+
+    class ScreenShare {
+        /**
+         * `view` is the <video-player-container> for remote shares; `video` and `canvas` receive
+         * our own share (the SDK says which one the browser needs)
+         */
+        constructor({ view, video, canvas }) {
+            this.view = view;
+            this.video = video;
+            this.canvas = canvas;
+            this.client = null;
+            this.stream = null;
+            this.sharing = false;
+            // Remote share being shown: { userId, player }
+            this.remote = null;
+            this.handlers = {};
+        }
+
+        attach(client, stream) {
+            this.client = client;
+            this.stream = stream;
+
+            this.handlers = {
+                'active-share-change': (payload) => {
+                    if (payload.state === 'Active') {
+                        this.showRemote(payload.userId);
+                    } else if (this.remote && this.remote.userId === payload.userId) {
+                        this.hideRemote();
+                    }
+                },
+                'share-privilege-change': () => this.onPrivilegeChanged(this.rules()),
+                'passively-stop-share': (reason) => {
+                    this.sharing = false;
+                    this.onLocalShareChanged(false, reason);
+                }
+            };
+            Object.entries(this.handlers).forEach(([event, handler]) => client.on(event, handler));
+
+            // Someone may have been sharing before we joined
+            const active = stream.getActiveShareUserId?.();
+            if (active && active !== client.getCurrentUserInfo()?.userId) {
+                this.showRemote(active);
+            }
+            this.onPrivilegeChanged(this.rules());
+        }
+
+        /**
+         * Stop sharing and stop showing others' shares. Call before leaving.
+         */
+        async detach() {
+            if (this.sharing) {
+                await this.stop().catch(error => console.warn('Could not stop screen share:', error));
+            }
+            await this.hideRemote();
+
+            if (this.client) {
+                Object.entries(this.handlers).forEach(([event, handler]) => this.client.off(event, handler));
+            }
+            this.handlers = {};
+            this.client = null;
+            this.stream = null;
+        }
+
+        /**
+         * The session's share rules as seen by this user
+         */
+        rules() {
+            const privilege = this.stream?.getSharePrivilege?.() ?? PRIVILEGE_UNLOCKED;
+            const isHost = !!(this.client && (this.client.isHost() || this.client.isManager()));
+            return {
+                locked: privilege === PRIVILEGE_LOCKED,
+                multipleSharers: privilege === PRIVILEGE_MULTIPLE_SHARE,
+                isHost,
+                canShare: isHost || privilege !== PRIVILEGE_LOCKED
+            };
+        }
+
+        /**
+         * Share our screen. Must run from a user gesture: browsers only show the screen picker then.
+         */
+        async start() {
+            if (!this.stream) throw new Error('Not in a session');
+            if (this.sharing) return;
+
+            const rules = this.rules();
+            if (!rules.canShare) {
+                throw new Error('The host has locked screen sharing. Only the host can share.');
+            }
+
+            const selfId = this.client.getCurrentUserInfo()?.userId;
+            const other = (this.stream.getShareUserList?.() || []).find(user => user.userId !== selfId);
+            if (other && !rules.multipleSharers) {
+                throw new Error(`${other.displayName || 'Someone'} is already sharing. Only one person can share at a time.`);
+            }
+
+            const target = this.stream.isStartShareScreenWithVideoElement() ? this.video : this.canvas;
+            try {
+                const result = await this.stream.startShareScreen(target);
+                if (result && result.type) throw result;
+            } catch (error) {
+                throw shareError(error);
+            }
+
+            this.sharing = true;
+            this.onLocalShareChanged(true);
+        }
+
+        async stop() {
+            if (!this.sharing || !this.stream) return;
+            await this.stream.stopShareScreen();
+            this.sharing = false;
+            this.onLocalShareChanged(false);
+        }
+
+        /**
+         * Hosts: allow only hosts to share (locked) or everyone
+         */
+        async setLocked(locked) {
+            await this.stream.lockShare(locked);
+            this.onPrivilegeChanged(this.rules());
+        }
+
+        /**
+         * Hosts: let several participants share at once, or one at a time
+         */
+        async setMultipleSharers(allowed) {
+            await this.stream.setSharePrivilege(allowed ? PRIVILEGE_MULTIPLE_SHARE : PRIVILEGE_UNLOCKED);
+            this.onPrivilegeChanged(this.rules());
+        }
+
+        async showRemote(userId) {
+            if (this.remote && this.remote.userId === userId) return;
+            await this.hideRemote();
+
+            const remote = { userId, player: null };
+            this.remote = remote;
+            const name = this.client.getUser?.(userId)?.displayName || 'Someone';
+            this.onRemoteShareChanged({ userId, userName: name });
+
+            try {
+                const player = await this.stream.attachShareView(userId);
+                if (!(player instanceof Element)) throw player;
+                if (this.remote !== remote) {
+                    // The share ended while we were attaching
+                    await this.stream.detachShareView(userId, player);
+                    return;
+                }
+                remote.player = player;
+                this.view.appendChild(player);
+            } catch (error) {
+                console.warn(`Could not show the screen shared by ${userId}:`, error);
+            }
+        }
+
+        async hideRemote() {
+            const remote = this.remote;
+            if (!remote) return;
+
+            this.remote = null;
+            this.onRemoteShareChanged(null);
+            if (remote.player && this.stream) {
+                try {
+                    await this.stream.detachShareView(remote.userId, remote.player);
+                } catch (error) {
+                    console.warn('Could not detach share view:', error);
+                }
+                remote.player.remove();
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onLocalShareChanged(sharing, reason) {
+            // reason is set when the share was stopped for us ('PrivilegeChange', 'StopScreenCapture')
+        }
+
+        onRemoteShareChanged(share) {
+            // share is { userId, userName } while someone else shares, null when nobody does
+        }
+
+        onPrivilegeChanged(rules) {
+            // { locked, multipleSharers, isHost, canShare }
+        }
+    }
+
+    /**
+     * Turn SDK and browser failures into errors with a message the user can act on
+     */
+    function shareError(error) {
+        if (SHARE_ERRORS[error?.errorCode]) {
+            return new Error(SHARE_ERRORS[error.errorCode]);
+        }
+        if (error?.name === 'NotAllowedError') {
+            return new Error(SHARE_ERRORS[6200]);
+        }
+        if (error?.reason === 'required extension') {
+            return new Error(`Install the screen sharing extension first: ${error.extensionUrl}`);
+        }
+        return new Error(`Could not share the screen: ${error?.reason || error?.message || 'unknown error'}`);
+    }
+
+    root.ScreenShare = ScreenShare;
+})(window);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Replay signed sample Zoom webhooks against a running server
+ *
+ *   node scripts/replay-zoom-webhooks.js [url] [--session <name>] [--fixtures <file>] [--fresh]
+ *
+ * Signs every event in the fixture file with ZOOM_WEBHOOK_SECRET_TOKEN (from .env), as Zoom
+ * would, and posts them in order to url (default http://localhost:$PORT/api/webhooks/zoom).
+ * --session rewrites the session name, --fresh moves the events' times to now so they are
+ * stored again instead of being recognized as already logged.
+ * Afterwards it checks that a replayed request and a wrongly signed one are refused.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { signZoomWebhook } = require('../lib/zoom-webhooks');
+
+function parseArgs(argv) {
+  const args = {
+    url: `http://localhost:${process.env.PORT || 3000}/api/webhooks/zoom`,
+    session: null,
+    fixtures: path.join(__dirname, 'fixtures', 'zoom-webhooks.json'),
+    fresh: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--session') args.session = argv[++i];
+    else if (argv[i] === '--fixtures') args.fixtures = argv[++i];
+    else if (argv[i] === '--fresh') args.fresh = true;
+    else args.url = argv[i];
+  }
+  return args;
+}
+
+async function send(url, body, secret, { signature = null, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const raw = JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-zm-request-timestamp': String(timestamp),
+    'x-zm-signature': signature || signZoomWebhook(secret, timestamp, raw)
+  };
+  const response = await fetch(url, { method: 'POST', headers, body: raw });
+  return { status: response.status, data: await response.json().catch(() => null), headers, raw };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
+  if (!secret) {
+    console.error('ZOOM_WEBHOOK_SECRET_TOKEN must be set (in .env or the environment)');
+    process.exit(1);
+  }
+
+  let events = JSON.parse(fs.readFileSync(args.fixtures, 'utf8'));
+  if (args.fresh) {
+    const offset = Date.now() - Math.max(...events.map(event => event.event_ts || 0));
+    events = events.map(event => ({ ...event, event_ts: event.event_ts + offset }));
+  }
+  if (args.session) {
+    events = events.map(event => event.payload?.object
+      ? { ...event, payload: { ...event.payload, object: { ...event.payload.object, session_name: args.session } } }
+      : event);
+  }
+
+  let failures = 0;
+  let first = null;
+  for (const event of events) {
+    const result = await send(args.url, event, secret);
+    first = first || (event.event !== 'endpoint.url_validation' ? result : null);
+
+    let note = JSON.stringify(result.data);
+    if (event.event === 'endpoint.url_validation') {
+      const expected = crypto.createHmac('sha256', secret).update(event.payload.plainToken).digest('hex');
+      note = result.data?.encryptedToken === expected ? 'challenge answered correctly' : `unexpected answer ${note}`;
+      if (result.data?.encryptedToken !== expected) failures++;
+    }
+    if (result.status !== 200) failures++;
+    console.log(`${result.status === 200 ? '✅' : '❌'} ${event.event} → ${result.status} ${note}`);
+  }
+
+  if (first) {
+    // The exact same request again, as an attacker who captured it would send it
+    const replayed = await fetch(args.url, { method: 'POST', headers: first.headers, body: first.raw });
+    console.log(`${replayed.status === 409 ? '✅' : '❌'} replayed request → ${replayed.status} (expected 409)`);
+    if (replayed.status !== 409) failures++;
+  }
+
+  const forged = await send(args.url, events[events.length - 1], secret, { signature: 'v0=' + '0'.repeat(64) });
+  console.log(`${forged.status === 401 ? '✅' : '❌'} wrong signature → ${forged.status} (expected 401)`);
+  if (forged.status !== 401) failures++;
+
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
@@ -3,39 +3,311 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const path = require('path');
+const { ApiError, sendError } = require('./lib/errors');
+const { createSessionStore } = require('./lib/session-store');
+const { SessionRegistry, toPublicSession } = require('./lib/session-registry');
+const { InviteService, toPublicInvite, isOutstanding } = require('./lib/invites');
+const { WaitingRoom, toQueueEntry } = require('./lib/waiting-room');
+const { TelemetryAggregator, normalizeSample } = require('./lib/telemetry');
+const {
+  ZoomWebhookVerifier,
+  normalizeZoomEvent,
+  createZoomEventLog
+} = require('./lib/zoom-webhooks');
+const { ActivityLog } = require('./lib/activity-log');
+const { EnvFile, sdkConfigured, parseSdkCredentials } = require('./lib/credentials');
+const { createTranscriptStore, normalizeSegment, transcriptKey, parseTime } = require('./lib/transcript-store');
+const TranscriptExport = require('./transcript-export');
+const MeetingInsights = require('./meeting-insights');
+const { EventStreamHub } = require('./lib/event-stream');
+const { createSttAdapter } = require('./lib/stt');
+const { attachAudioStreams } = require('./lib/audio-stream');
+const {
+  createAuthenticator,
+  createHostPolicy,
+  createAdminPolicy,
+  requireAuth,
+  requireAdmin,
+  requireLocalOrAdmin,
+  createSessionAuth,
+  forbidden
+} = require('./lib/auth');
+const { MemoryRateLimitStore, rateLimit, parseLimit, createSessionTokenCap } = require('./lib/rate-limit');
+const {
+  loadTokenConfig,
+  parseTokenOptions,
+  signSessionToken,
+  verifySessionToken,
+  optionsFromClaims
+} = require('./lib/token');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Honour X-Forwarded-For when running behind a proxy, so per-IP limits see the real client
+// (TRUST_PROXY=true, a hop count such as 1, or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around for HMAC request signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+// Setup mode: until the SDK credentials are set, pages lead to the setup page
+app.use((req, res, next) => {
+  if (sdkConfigured() || req.method !== 'GET' || !/^\/(?:[\w-]+\.html)?$/.test(req.path) || req.path === '/setup-credentials.html') {
+    return next();
+  }
+  res.redirect(302, '/setup-credentials.html');
+});
 app.use(express.static('public'));
+// Shared with the pages, but they sit next to server.js so the server can require them
+for (const file of ['transcript-export.js', 'meeting-insights.js']) {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
 app.use('/zoom-sdk', express.static('node_modules/@zoom/videosdk/dist'));
 
-// Validate environment variables
-if (!process.env.ZOOM_VIDEO_SDK_KEY || !process.env.ZOOM_VIDEO_SDK_SECRET) {
-  console.error('ERROR: ZOOM_VIDEO_SDK_KEY and ZOOM_VIDEO_SDK_SECRET must be set in .env file');
-  console.error('Please refer to: https://developers.zoom.us/docs/video-sdk/get-credentials/');
-  process.exit(1);
+// Validate environment variables. Without credentials the server starts in setup mode: pages
+// redirect to setup-credentials.html, which saves them through POST /api/credentials.
+if (!sdkConfigured()) {
+  console.warn('⚙️  SETUP MODE: ZOOM_VIDEO_SDK_KEY and ZOOM_VIDEO_SDK_SECRET are not set.');
+  console.warn(`   Enter them at http://localhost:${PORT}/setup-credentials.html or add them to your .env file.`);
+  console.warn('   Please refer to: https://developers.zoom.us/docs/video-sdk/get-credentials/\n');
+} else {
+  warnIfShortCredentials();
 }
 
 // Warn if credentials seem too short
-const keyLength = process.env.ZOOM_VIDEO_SDK_KEY.length;
-const secretLength = process.env.ZOOM_VIDEO_SDK_SECRET.length;
-if (keyLength < 30 || secretLength < 30) {
-  console.warn(`\n⚠️  WARNING: SDK credentials seem short (Key: ${keyLength} chars, Secret: ${secretLength} chars)`);
-  console.warn('   Typical Zoom Video SDK credentials are 40+ characters long.');
-  console.warn('   Please verify you are using Video SDK credentials (not Meeting SDK).');
-  console.warn('   Get credentials at: https://developers.zoom.us/docs/video-sdk/get-credentials/\n');
+function warnIfShortCredentials() {
+  const keyLength = process.env.ZOOM_VIDEO_SDK_KEY.length;
+  const secretLength = process.env.ZOOM_VIDEO_SDK_SECRET.length;
+  if (keyLength < 30 || secretLength < 30) {
+    console.warn(`\n⚠️  WARNING: SDK credentials seem short (Key: ${keyLength} chars, Secret: ${secretLength} chars)`);
+    console.warn('   Typical Zoom Video SDK credentials are 40+ characters long.');
+    console.warn('   Please verify you are using Video SDK credentials (not Meeting SDK).');
+    console.warn('   Get credentials at: https://developers.zoom.us/docs/video-sdk/get-credentials/\n');
+  }
+}
+
+// The .env file dotenv loaded at startup; POST /api/credentials writes the SDK credentials to it
+const envFile = new EnvFile('.env');
+
+/**
+ * Express middleware: answer 503 while in setup mode, for endpoints that sign with the SDK secret
+ */
+function requireSdkCredentials(req, res, next) {
+  if (sdkConfigured()) return next();
+  sendError(res, new ApiError(503, 'SDK credentials are not configured yet. Open /setup-credentials.html.', { code: 'setup_mode' }));
+}
+
+// Session registry (SESSION_STORE=memory|file)
+const sessionStore = createSessionStore();
+const sessionRegistry = new SessionRegistry(sessionStore, {
+  defaultLanguage: process.env.SESSION_DEFAULT_LANGUAGE || 'en-US'
+});
+const inviteService = new InviteService(sessionStore);
+// Session tokens only count for the session currently running under their name
+const { requireSessionToken, requireSessionHost, authenticateParticipant } = createSessionAuth(sessionRegistry);
+
+// Transcript segments, one JSONL file per session (TRANSCRIPT_DIR)
+const transcriptStore = createTranscriptStore();
+
+// Speech-to-text adapter for streamed audio (STT_ADAPTER=mock or a module path; unset disables it)
+const sttAdapter = createSttAdapter();
+if (sttAdapter) {
+  console.log(`🎙️  Server-side transcription enabled (${sttAdapter.name})`);
+}
+
+// Server-Sent Events for live, session-wide updates
+const eventHub = new EventStreamHub();
+
+// Participants of sessions with a waiting room queue here until a host admits them
+const waitingRoom = new WaitingRoom(eventHub, {
+  timeoutSeconds: parseInt(process.env.WAITING_ROOM_TIMEOUT) || undefined
+});
+
+// Network quality and media statistics sampled by participants' browsers
+const telemetry = new TelemetryAggregator({
+  retentionSeconds: parseInt(process.env.TELEMETRY_RETENTION) || undefined
+});
+
+// Zoom webhooks, signed with ZOOM_WEBHOOK_SECRET_TOKEN; session and recording events are logged
+// per session (WEBHOOK_EVENT_DIR)
+const zoomWebhooks = process.env.ZOOM_WEBHOOK_SECRET_TOKEN
+  ? new ZoomWebhookVerifier(process.env.ZOOM_WEBHOOK_SECRET_TOKEN)
+  : null;
+const zoomEventLog = createZoomEventLog();
+
+// Authentication for token minting (see AUTH_* variables in README)
+const authenticator = createAuthenticator();
+const hostPolicy = createHostPolicy();
+if (!authenticator.enabled) {
+  console.warn('⚠️  WARNING: No AUTH_* strategies configured. Anyone who can reach this server can request host tokens.');
+}
+
+// Admin dashboard (admin.html): ADMIN_TOKEN, or AUTH_* identities with the admin role
+const adminPolicy = createAdminPolicy(authenticator);
+// Recent token issuance and refused requests, shown on the dashboard
+const activityLog = new ActivityLog();
+
+// Token defaults and bounds (see TOKEN_* variables in README)
+const tokenConfig = loadTokenConfig();
+
+// Rate limits ("<max>/<windowSeconds>", see RATE_LIMIT_* variables in README)
+const rateLimitStore = new MemoryRateLimitStore();
+const tokenIpLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'token-ip',
+  ...parseLimit(process.env.RATE_LIMIT_TOKEN_IP, '30/60')
+});
+const tokenIdentityLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'token-identity',
+  keyGenerator: req => req.identity.anonymous ? `ip:${req.ip}` : `${req.identity.via}:${req.identity.id}`,
+  ...parseLimit(process.env.RATE_LIMIT_TOKEN_IDENTITY, '20/60')
+});
+const validateIpLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'validate-ip',
+  ...parseLimit(process.env.RATE_LIMIT_VALIDATE_IP, '10/60')
+});
+const sessionTokenCap = createSessionTokenCap({
+  store: rateLimitStore,
+  max: parseInt(process.env.SESSION_MAX_ACTIVE_TOKENS) || 100
+});
+
+/**
+ * Create a session and return its server-generated session key
+ * Creating a session makes the caller its host, so the host policy applies as for role 1 tokens.
+ */
+app.post('/api/sessions', requireAuth(authenticator), async (req, res) => {
+  try {
+    const { sessionName, sessionKey, createdBy, settings } = req.body;
+    if (!hostPolicy.canHost(req.identity, String(sessionName ?? ''))) {
+      throw forbidden(`"${req.identity.id}" is not allowed to host session "${sessionName}"`);
+    }
+
+    const session = await sessionRegistry.create({
+      sessionName,
+      sessionKey,
+      createdBy: req.identity.anonymous ? createdBy : req.identity.id,
+      settings
+    });
+    // Quality figures of an earlier session with this name do not carry over
+    telemetry.forget(sessionName);
+    res.status(201).json(session);
+  } catch (error) {
+    sendError(res, error, 'Failed to create session');
+  }
+});
+
+/**
+ * List sessions (?status=active|ended)
+ */
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const sessions = await sessionRegistry.list(req.query.status);
+    res.json({ sessions: sessions.map(toPublicSession) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list sessions');
+  }
+});
+
+app.get('/api/sessions/:name', async (req, res) => {
+  try {
+    const session = await sessionRegistry.get(req.params.name);
+    if (!session) {
+      return res.status(404).json({ error: `Session "${req.params.name}" not found` });
+    }
+    res.json(toPublicSession({ ...session, settings: sessionRegistry.settingsOf(session) }));
+  } catch (error) {
+    sendError(res, error, 'Failed to get session');
+  }
+});
+
+/**
+ * Change session settings (e.g. the shared transcription language)
+ * Body: { language, waitingRoom }, with the host's session token. Participants on the live
+ * stream receive a `settings` event.
+ */
+app.patch('/api/sessions/:name/settings', requireSessionHost({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    // Unknown fields are dropped by the registry
+    const session = await sessionRegistry.updateSettings(req.params.name, req.participant.sessionKey, req.body);
+    eventHub.publish(`transcript:${req.params.name}`, 'settings', session.settings);
+    if (!session.settings.waitingRoom) {
+      // Turning the waiting room off lets in whoever was still waiting
+      waitingRoom.admitAll(req.params.name, 'host');
+    }
+    res.json(toPublicSession(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to update session settings');
+  }
+});
+
+/**
+ * Lock or unlock a session. While locked, no new tokens are issued for it (including through
+ * invites); participants already in can still refresh theirs.
+ * Body: { locked }, with the host's session token
+ */
+app.put('/api/sessions/:name/lock', requireSessionHost({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    const session = await sessionRegistry.setLocked(req.params.name, req.participant.sessionKey, req.body.locked);
+    res.json(toPublicSession(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to lock session');
+  }
+});
+
+/**
+ * End a session. No further tokens are issued for it.
+ * Needs the host's session token, or admin access.
+ */
+app.delete('/api/sessions/:name', requireSessionHost({ graceSeconds: 300, adminPolicy }), async (req, res) => {
+  try {
+    res.json(toPublicSession(await endSession(req.params.name)));
+  } catch (error) {
+    sendError(res, error, 'Failed to end session');
+  }
+});
+
+/**
+ * End a session: no further tokens, live streams closed, anyone still waiting turned away
+ */
+async function endSession(sessionName) {
+  const session = await sessionRegistry.end(sessionName);
+  eventHub.close(`transcript:${sessionName}`);
+  waitingRoom.closeSession(sessionName);
+  return session;
+}
+
+/**
+ * Sign a Video SDK token, count it against the session's cap and note who got it in the activity log
+ * `commit` uses up whatever the token was issued for (an invite, an admission); it runs only once
+ * the cap has room, so a refused request does not spend it.
+ */
+async function issueToken(req, res, source, params, { commit } = {}) {
+  const issued = signSessionToken(params);
+  await sessionTokenCap.reserve(res, params.sessionName, params.userIdentity, Date.parse(issued.expiresAt));
+  if (commit) {
+    await commit();
+  }
+  activityLog.recordToken(req, source, { ...params, expiresAt: issued.expiresAt });
+  return issued;
 }
 
 /**
  * Generate JWT token for Zoom Video SDK
  * Based on: https://developers.zoom.us/docs/video-sdk/get-credentials/
  */
-app.post('/api/generate-token', (req, res) => {
+app.post('/api/generate-token', requireSdkCredentials, activityLog.watch('generate-token'), tokenIpLimit, requireAuth(authenticator), tokenIdentityLimit, async (req, res) => {
   try {
     const { sessionName, role, sessionKey, userIdentity } = req.body;
 
@@ -56,73 +328,730 @@ app.post('/api/generate-token', (req, res) => {
       });
     }
 
-    // Create JWT payload
-    const iat = Math.floor(Date.now() / 1000);
-    const exp = iat + 60 * 60 * 2; // Token valid for 2 hours
+    if (roleType === 1 && !hostPolicy.canHost(req.identity, sessionName)) {
+      throw forbidden(`"${req.identity.id}" is not allowed to host session "${sessionName}"`);
+    }
 
-    const payload = {
-      app_key: process.env.ZOOM_VIDEO_SDK_KEY,
-      tpc: sessionName,
-      role_type: roleType,
-      session_key: sessionKey,
-      user_identity: userIdentity,
-      version: 1,
-      iat: iat,
-      exp: exp
-    };
+    const options = parseTokenOptions(req.body, tokenConfig);
 
-    // Log payload for debugging (without sensitive data)
-    console.log('JWT Payload:', {
-      app_key: process.env.ZOOM_VIDEO_SDK_KEY ? `${process.env.ZOOM_VIDEO_SDK_KEY.substring(0, 10)}...` : 'MISSING',
-      tpc: sessionName,
-      role_type: roleType,
-      session_key: sessionKey,
-      user_identity: userIdentity,
-      version: 1,
-      iat: iat,
-      exp: exp
+    // Only sign tokens for registered, active sessions with the right key. Hosts can still join
+    // a locked session (e.g. to rejoin after a dropped connection).
+    const session = await sessionRegistry.assertJoinable(sessionName, sessionKey, { allowLocked: roleType === 1 });
+    if (roleType === 0 && sessionRegistry.settingsOf(session).waitingRoom) {
+      throw new ApiError(403, `Session "${sessionName}" has a waiting room. Ask the host to let you in.`, {
+        code: 'waiting_room',
+        waitingRoom: `/api/sessions/${encodeURIComponent(sessionName)}/waiting-room`
+      });
+    }
+    res.json(await issueToken(req, res, 'generate-token', { sessionName, roleType, sessionKey, userIdentity, options }));
+  } catch (error) {
+    sendError(res, error, 'Failed to generate token');
+  }
+});
+
+// Who made a request, so a later step can check the same caller came back
+function identityKey(identity) {
+  return `${identity.via}:${identity.id}`;
+}
+
+/**
+ * Ask to join a session that has a waiting room
+ * Body: the same as /api/generate-token, without `role` (only participants wait).
+ * Returns a ticket to follow the request; the token comes from /api/waiting-room/:ticket/token
+ * once a host admits the participant.
+ */
+app.post('/api/sessions/:name/waiting-room', requireSdkCredentials, activityLog.watch('waiting-room'), tokenIpLimit, requireAuth(authenticator), tokenIdentityLimit, async (req, res) => {
+  try {
+    const { sessionKey, userIdentity } = req.body;
+    if (!sessionKey || !userIdentity || typeof userIdentity !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        required: ['sessionKey', 'userIdentity']
+      });
+    }
+
+    const options = parseTokenOptions(req.body, tokenConfig);
+    const session = await sessionRegistry.assertJoinable(req.params.name, sessionKey);
+    if (!sessionRegistry.settingsOf(session).waitingRoom) {
+      throw new ApiError(409, `Session "${req.params.name}" has no waiting room. Request a token directly.`);
+    }
+
+    const entry = waitingRoom.request(req.params.name, { userIdentity, options, requestedBy: identityKey(req.identity) });
+    res.status(202).json({ ticket: entry.ticket, ...waitingRoom.toLobbyStatus(entry) });
+  } catch (error) {
+    sendError(res, error, 'Failed to join the waiting room');
+  }
+});
+
+/**
+ * Hosts: the participants waiting to be let in
+ */
+app.get('/api/sessions/:name/waiting-room', requireSessionHost({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+    res.json({ waiting: waitingRoom.queue(req.params.name).map(toQueueEntry) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list the waiting room');
+  }
+});
+
+/**
+ * Hosts: live queue. A `queue` event with everyone waiting is sent on connect and on every change.
+ */
+app.get('/api/sessions/:name/waiting-room/events', requireSessionHost({ graceSeconds: 300, allowQueryToken: true }), async (req, res) => {
+  try {
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+  } catch (error) {
+    return sendError(res, error, 'Failed to follow the waiting room');
+  }
+  eventHub.subscribe(`waiting-room:${req.params.name}`, req, res, req.participant);
+  waitingRoom.publishQueue(req.params.name);
+});
+
+/**
+ * Hosts: let everyone waiting in
+ */
+app.post('/api/sessions/:name/waiting-room/admit-all', requireSessionHost({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+    const admitted = waitingRoom.admitAll(req.params.name, req.participant.userIdentity);
+    res.json({ admitted: admitted.map(toQueueEntry) });
+  } catch (error) {
+    sendError(res, error, 'Failed to admit participants');
+  }
+});
+
+/**
+ * Hosts: let one participant in, or turn them away (body: { reason })
+ */
+app.post('/api/sessions/:name/waiting-room/:id/:decision(admit|deny)', requireSessionHost({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+    const { name, id, decision } = req.params;
+    const entry = decision === 'admit'
+      ? waitingRoom.admit(name, id, req.participant.userIdentity)
+      : waitingRoom.deny(name, id, req.participant.userIdentity, req.body.reason ?? null);
+    res.json({ ...toQueueEntry(entry), status: entry.status });
+  } catch (error) {
+    sendError(res, error, 'Failed to decide on the waiting room request');
+  }
+});
+
+/**
+ * Participants: where their request stands. `?wait=<seconds>` holds the request (up to 30 s)
+ * until a host decides, for clients that long-poll instead of using the event stream.
+ */
+app.get('/api/waiting-room/:ticket', async (req, res) => {
+  try {
+    const entry = await waitingRoom.wait(req.params.ticket, (parseInt(req.query.wait) || 0) * 1000);
+    res.json(waitingRoom.toLobbyStatus(entry));
+  } catch (error) {
+    sendError(res, error, 'Failed to read the waiting room request');
+  }
+});
+
+/**
+ * Participants: `status` events as their place in the queue changes and when a host decides
+ */
+app.get('/api/waiting-room/:ticket/events', (req, res) => {
+  let entry;
+  try {
+    entry = waitingRoom.get(req.params.ticket);
+  } catch (error) {
+    return sendError(res, error, 'Failed to follow the waiting room request');
+  }
+  eventHub.subscribe(`lobby:${entry.ticket}`, req, res);
+  eventHub.publish(`lobby:${entry.ticket}`, 'status', waitingRoom.toLobbyStatus(entry));
+});
+
+/**
+ * Participants: exchange an admitted ticket for a Video SDK token (once)
+ * Only the caller who queued the request can: the ticket alone is not enough.
+ */
+app.post('/api/waiting-room/:ticket/token', requireSdkCredentials, activityLog.watch('waiting-room-token'), tokenIpLimit, requireAuth(authenticator), async (req, res) => {
+  try {
+    const entry = waitingRoom.admission(req.params.ticket, identityKey(req.identity));
+    // The host already let this person in, so a lock set since then does not keep them out
+    const session = await sessionRegistry.get(entry.sessionName);
+    if (!session || session.status !== 'active') {
+      throw new ApiError(410, `Session "${entry.sessionName}" has ended`);
+    }
+    res.json(await issueToken(req, res, 'waiting-room', {
+      sessionName: entry.sessionName,
+      roleType: 0,
+      sessionKey: session.sessionKey,
+      userIdentity: entry.userIdentity,
+      options: entry.options
+    }, { commit: () => waitingRoom.collect(req.params.ticket, identityKey(req.identity)) }));
+  } catch (error) {
+    sendError(res, error, 'Failed to issue token');
+  }
+});
+
+/**
+ * Participants: stop waiting
+ */
+app.delete('/api/waiting-room/:ticket', (req, res) => {
+  try {
+    const entry = waitingRoom.leave(req.params.ticket);
+    res.json(waitingRoom.toLobbyStatus(entry));
+  } catch (error) {
+    sendError(res, error, 'Failed to leave the waiting room');
+  }
+});
+
+/**
+ * Store final transcript segments for a session
+ * Body: { segments: [{ id, text, timestamp, startedAt, confidence, speakerId }] }
+ * The speaker is taken from the caller's session token.
+ */
+app.post('/api/sessions/:name/transcripts', requireSessionToken({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    const input = Array.isArray(req.body.segments) ? req.body.segments : [];
+    if (input.length === 0 || input.length > 200) {
+      return res.status(400).json({ error: 'segments must be an array of 1 to 200 items' });
+    }
+
+    const session = await sessionRegistry.get(req.params.name);
+    const segments = [];
+    const errors = [];
+    input.forEach((item, index) => {
+      const result = normalizeSegment(item, req.participant.userIdentity);
+      if (result.error) {
+        errors.push(`segments[${index}]: ${result.error}`);
+      } else {
+        segments.push(result.segment);
+      }
     });
 
-    // Sign the token
-    const token = jwt.sign(payload, process.env.ZOOM_VIDEO_SDK_SECRET, {
-      algorithm: 'HS256'
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid transcript segments', errors });
+    }
+
+    const added = await transcriptStore.append(transcriptKey(session), segments);
+    res.status(201).json({
+      accepted: segments.map(segment => segment.id),
+      stored: added.length
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to store transcript');
+  }
+});
 
-    res.json({
-      token: token,
-      sessionName: sessionName,
-      role: roleType,
-      userIdentity: userIdentity,
-      expiresIn: 7200
+/**
+ * Read a session's transcript history
+ * Query: cursor (seq of the last segment seen), limit (1-500, default 100), from/to (ISO timestamps)
+ */
+app.get('/api/sessions/:name/transcripts', requireSessionToken({ graceSeconds: 60 * 60 * 24 }), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const session = await sessionRegistry.get(req.params.name);
+    const result = await transcriptStore.read(transcriptKey(session), {
+      cursor: parseInt(req.query.cursor) || 0,
+      limit,
+      from: parseTime(req.query.from),
+      to: parseTime(req.query.to)
     });
+    res.json(result);
   } catch (error) {
-    console.error('Error generating token:', error);
-    res.status(500).json({
-      error: 'Failed to generate token',
-      message: error.message
+    sendError(res, error, 'Failed to read transcript');
+  }
+});
+
+/**
+ * Download a session's stored transcript as WebVTT, SRT, JSON or Markdown
+ * e.g. GET /api/sessions/MySession/transcripts.vtt
+ */
+app.get('/api/sessions/:name/transcripts.:format', requireSessionToken({ graceSeconds: 60 * 60 * 24 }), async (req, res) => {
+  try {
+    if (!TranscriptExport.FORMATS.includes(req.params.format)) {
+      return res.status(400).json({
+        error: `Unsupported transcript format "${req.params.format}"`,
+        supported: TranscriptExport.FORMATS
+      });
+    }
+
+    const session = await sessionRegistry.get(req.params.name);
+    const { segments } = await transcriptStore.read(transcriptKey(session), { limit: Infinity });
+    const file = TranscriptExport.exportTranscript(segments, req.params.format, {
+      sessionName: req.params.name,
+      sessionStart: session.createdAt,
+      sessionEnd: session.endedAt
+    });
+
+    res.set('Content-Type', `${file.mimeType}; charset=utf-8`);
+    res.attachment(file.filename);
+    res.send(file.content);
+  } catch (error) {
+    sendError(res, error, 'Failed to export transcript');
+  }
+});
+
+/**
+ * Meeting insights for the stored transcript: action items, open questions, keywords, per-speaker stats
+ * Same token rules as the transcript history, so the report stays readable after the session.
+ */
+app.get('/api/sessions/:name/insights', requireSessionToken({ graceSeconds: 60 * 60 * 24 }), async (req, res) => {
+  try {
+    const session = await sessionRegistry.get(req.params.name);
+    const { segments } = await transcriptStore.read(transcriptKey(session), { limit: Infinity });
+    res.json(MeetingInsights.analyzeMeeting(segments, {
+      sessionName: req.params.name,
+      startedAt: session.createdAt,
+      endedAt: session.endedAt
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to analyze transcript');
+  }
+});
+
+/**
+ * Live transcript stream (Server-Sent Events)
+ * Every participant's interim and final segments arrive as `segment` events.
+ * EventSource cannot send headers, so the session token may be passed as ?token=
+ */
+app.get('/api/sessions/:name/live', requireSessionToken({ graceSeconds: 300, allowQueryToken: true }), async (req, res) => {
+  try {
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+  } catch (error) {
+    return sendError(res, error, 'Failed to follow the live transcript');
+  }
+  eventHub.subscribe(`transcript:${req.params.name}`, req, res, req.participant);
+});
+
+/**
+ * Publish an interim or final segment to everyone in the session
+ * Body: { id, rev, final, text, startedAt, timestamp, confidence, speakerId, clientId }
+ * Interim and final results of one utterance share an id; `rev` orders interim updates.
+ */
+app.post('/api/sessions/:name/live', requireSessionToken({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+    const result = normalizeSegment(req.body, req.participant.userIdentity);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const final = req.body.final === true;
+    const eventId = eventHub.publish(`transcript:${req.params.name}`, 'segment', {
+      ...result.segment,
+      final,
+      rev: parseInt(req.body.rev) || 0,
+      clientId: typeof req.body.clientId === 'string' ? req.body.clientId.slice(0, 64) : null
+    }, { replay: final });
+
+    res.status(202).json({ eventId });
+  } catch (error) {
+    sendError(res, error, 'Failed to publish transcript segment');
+  }
+});
+
+/**
+ * Store a batch of network quality and media statistics samples
+ * Body: { sessionName, samples: [{ timestamp, userId, name, self, uplink, downlink, audio, video }] }
+ * `audio` and `video` ({ send, receive } with bitrate, fps, packetLoss, jitter, rtt) are only
+ * taken from samples about the caller (`self: true`), which are named after the session token.
+ */
+app.post('/api/telemetry', requireSessionToken({ graceSeconds: 300, sessionName: req => String(req.body.sessionName || '') }), async (req, res) => {
+  try {
+    const input = Array.isArray(req.body.samples) ? req.body.samples : [];
+    if (input.length === 0 || input.length > 500) {
+      return res.status(400).json({ error: 'samples must be an array of 1 to 500 items' });
+    }
+
+    const sessionName = req.participant.sessionName;
+    const samples = [];
+    const errors = [];
+    input.forEach((item, index) => {
+      const result = normalizeSample(item, req.participant.userIdentity);
+      if (result.error) {
+        errors.push(`samples[${index}]: ${result.error}`);
+      } else {
+        samples.push(result.sample);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid telemetry samples', errors });
+    }
+
+    res.status(202).json({ recorded: telemetry.record(sessionName, req.participant.userIdentity, samples) });
+  } catch (error) {
+    sendError(res, error, 'Failed to store telemetry');
+  }
+});
+
+/**
+ * Network and media quality per participant, aggregated from everyone's telemetry
+ * Same token rules as the transcript history, so it stays readable after the session.
+ */
+app.get('/api/sessions/:name/quality', requireSessionToken({ graceSeconds: 60 * 60 * 24 }), (req, res) => {
+  try {
+    res.json(telemetry.summary(req.params.name));
+  } catch (error) {
+    sendError(res, error, 'Failed to summarize call quality');
+  }
+});
+
+/**
+ * Zoom webhook receiver
+ * Answers the endpoint.url_validation challenge and logs session and recording events.
+ * Every request must carry a valid x-zm-signature; anything else signed is acknowledged but not
+ * stored, so Zoom does not keep retrying it.
+ */
+app.post('/api/webhooks/zoom', async (req, res) => {
+  try {
+    if (!zoomWebhooks) {
+      throw new ApiError(503, 'Zoom webhooks are not configured. Set ZOOM_WEBHOOK_SECRET_TOKEN.');
+    }
+    zoomWebhooks.verify(req);
+
+    if (req.body.event === 'endpoint.url_validation') {
+      return res.json(zoomWebhooks.validationResponse(req.body.payload?.plainToken));
+    }
+
+    const result = normalizeZoomEvent(req.body);
+    if (!result.entry) {
+      return res.json({ received: true, stored: false, reason: result.ignored });
+    }
+
+    const added = await zoomEventLog.append(result.entry.sessionName, [result.entry]);
+    res.json({ received: true, stored: added.length > 0, id: result.entry.id });
+  } catch (error) {
+    sendError(res, error, 'Failed to handle Zoom webhook');
+  }
+});
+
+/**
+ * A session's events as reported by Zoom's webhooks, since the session was created
+ * Query: cursor (seq of the last event seen), limit (1-500, default 100), from/to (ISO timestamps),
+ * event (comma-separated event names, e.g. session.user_joined,session.user_left)
+ */
+app.get('/api/sessions/:name/zoom-events', requireSessionToken({ graceSeconds: 60 * 60 * 24 }), async (req, res) => {
+  try {
+    const events = typeof req.query.event === 'string' && req.query.event
+      ? req.query.event.split(',').map(name => name.trim()).filter(Boolean)
+      : null;
+    const session = await sessionRegistry.get(req.params.name);
+    const from = parseTime(req.query.from);
+    res.json(await zoomEventLog.read(req.params.name, {
+      cursor: parseInt(req.query.cursor) || 0,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500),
+      from: from && from > session.createdAt ? from : session.createdAt,
+      to: parseTime(req.query.to),
+      events
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to read Zoom events');
+  }
+});
+
+/**
+ * Re-issue a token for the same session, identity and role
+ * The caller presents its current token, which may have expired up to TOKEN_REFRESH_GRACE seconds ago,
+ * and authenticates like for /api/generate-token. Host tokens are only renewed while the host
+ * policy still allows the caller to host.
+ */
+app.post('/api/refresh-token', requireSdkCredentials, activityLog.watch('refresh-token'), tokenIpLimit, requireAuth(authenticator), async (req, res) => {
+  try {
+    const claims = verifySessionToken(req.body.token, parseInt(process.env.TOKEN_REFRESH_GRACE) || 300);
+    if (claims.role_type === 1 && !hostPolicy.canHost(req.identity, claims.tpc)) {
+      throw forbidden(`"${req.identity.id}" is not allowed to host session "${claims.tpc}"`);
+    }
+
+    // The session must still be running with the same key; a lock only keeps new people out
+    await sessionRegistry.assertJoinable(claims.tpc, claims.session_key, { allowLocked: true });
+    res.json(await issueToken(req, res, 'refresh', {
+      sessionName: claims.tpc,
+      roleType: claims.role_type,
+      sessionKey: claims.session_key,
+      userIdentity: claims.user_identity,
+      options: optionsFromClaims(claims, tokenConfig)
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh token');
+  }
+});
+
+/**
+ * Issue an invite code for a session
+ * Only hosts: the caller sends their session token. The session key alone is not enough, since
+ * every participant's token carries it.
+ */
+app.post('/api/sessions/:name/invites', requireSdkCredentials, requireSessionHost({ graceSeconds: 300 }), async (req, res) => {
+  try {
+    const { role, expiresIn, maxUses, displayName } = req.body;
+    await sessionRegistry.assertJoinable(req.params.name, req.participant.sessionKey, { allowLocked: true });
+
+    const invite = await inviteService.create(req.params.name, { role, expiresIn, maxUses, displayName });
+    res.status(201).json({
+      ...invite,
+      url: `/create-session.html?invite=${encodeURIComponent(invite.code)}`
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to create invite');
+  }
+});
+
+/**
+ * Preview an invite (used by the join form to prefill its fields)
+ */
+app.get('/api/invites/:code', async (req, res) => {
+  try {
+    const { session, invite } = await inviteService.inspect(req.params.code);
+    res.json(toPublicInvite(session, invite));
+  } catch (error) {
+    sendError(res, error, 'Failed to read invite');
+  }
+});
+
+/**
+ * Exchange an invite code for a Video SDK token
+ * The redeemer authenticates like for /api/generate-token, and a host invite only works for
+ * callers the host policy lets host the session.
+ */
+app.post('/api/invites/redeem', requireSdkCredentials, activityLog.watch('invite-redeem'), tokenIpLimit, requireAuth(authenticator), tokenIdentityLimit, async (req, res) => {
+  try {
+    const { code, userIdentity } = req.body;
+    const redemption = await inviteService.prepare(code, userIdentity);
+    if (redemption.invite.role === 1 && !hostPolicy.canHost(req.identity, redemption.session.sessionName)) {
+      throw forbidden(`"${req.identity.id}" is not allowed to host session "${redemption.session.sessionName}"`);
+    }
+
+    res.json(await issueToken(req, res, 'invite', {
+      sessionName: redemption.session.sessionName,
+      roleType: redemption.invite.role,
+      sessionKey: redemption.session.sessionKey,
+      userIdentity: redemption.userIdentity,
+      options: parseTokenOptions({}, tokenConfig)
+    }, { commit: () => inviteService.redeem(code, userIdentity) }));
+  } catch (error) {
+    sendError(res, error, 'Failed to redeem invite');
   }
 });
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  const keyLength = process.env.ZOOM_VIDEO_SDK_KEY ? process.env.ZOOM_VIDEO_SDK_KEY.length : 0;
-  const secretLength = process.env.ZOOM_VIDEO_SDK_SECRET ? process.env.ZOOM_VIDEO_SDK_SECRET.length : 0;
-  
+  const credentials = credentialStatus();
+
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    sdkConfigured: !!(process.env.ZOOM_VIDEO_SDK_KEY && process.env.ZOOM_VIDEO_SDK_SECRET),
-    keyLength: keyLength,
-    secretLength: secretLength,
-    credentialsWarning: (keyLength < 30 || secretLength < 30) ? 'Credentials seem short. Typical Video SDK keys are 40+ characters.' : null
+    sdkConfigured: credentials.sdkConfigured,
+    setupMode: !credentials.sdkConfigured,
+    sttAdapter: sttAdapter ? sttAdapter.name : null,
+    keyLength: credentials.keyLength,
+    secretLength: credentials.secretLength,
+    credentialsWarning: credentials.warnings.find(warning => warning.code.startsWith('sdk_'))?.message || null
+  });
+});
+
+/**
+ * SDK credential lengths, and warnings about credentials and secrets for health and the admin dashboard
+ */
+function credentialStatus() {
+  const keyLength = process.env.ZOOM_VIDEO_SDK_KEY ? process.env.ZOOM_VIDEO_SDK_KEY.length : 0;
+  const secretLength = process.env.ZOOM_VIDEO_SDK_SECRET ? process.env.ZOOM_VIDEO_SDK_SECRET.length : 0;
+  const warnings = [];
+
+  if (!keyLength || !secretLength) {
+    warnings.push({ code: 'sdk_missing', message: 'ZOOM_VIDEO_SDK_KEY and ZOOM_VIDEO_SDK_SECRET must be set.' });
+  } else if (keyLength < 30 || secretLength < 30) {
+    warnings.push({ code: 'sdk_short', message: 'Credentials seem short. Typical Video SDK keys are 40+ characters.' });
+  }
+  if (!authenticator.enabled) {
+    warnings.push({ code: 'auth_disabled', message: 'No AUTH_* strategies configured. Anyone who can reach this server can request host tokens.' });
+  }
+  if (!process.env.INVITE_SECRET) {
+    warnings.push({ code: 'invite_secret_shared', message: 'INVITE_SECRET is not set, so invites are signed with the SDK secret.' });
+  }
+  if (process.env.ADMIN_TOKEN && process.env.ADMIN_TOKEN.length < 24) {
+    warnings.push({ code: 'admin_token_short', message: 'ADMIN_TOKEN is shorter than 24 characters.' });
+  }
+
+  return {
+    sdkConfigured: !!(keyLength && secretLength),
+    keyLength,
+    secretLength,
+    warnings
+  };
+}
+
+/**
+ * Admin dashboard endpoints (admin.html). All of them need admin access (ADMIN_TOKEN, or an
+ * AUTH_* identity with the admin role or listed in ADMIN_IDENTITIES).
+ */
+const SERVER_STARTED_AT = new Date().toISOString();
+
+/**
+ * Server status: credential warnings, configured features and counts
+ */
+app.get('/api/admin/overview', requireAdmin(adminPolicy), async (req, res) => {
+  try {
+    const sessions = await sessionRegistry.list();
+    const { warnings, ...credentials } = credentialStatus();
+
+    res.json({
+      startedAt: SERVER_STARTED_AT,
+      uptimeSeconds: Math.round(process.uptime()),
+      credentials,
+      credentialWarnings: warnings,
+      features: {
+        auth: authenticator.strategies.map(strategy => strategy.name),
+        sttAdapter: sttAdapter ? sttAdapter.name : null,
+        zoomWebhooks: !!zoomWebhooks
+      },
+      sessions: {
+        active: sessions.filter(session => session.status === 'active').length,
+        ended: sessions.filter(session => session.status === 'ended').length
+      },
+      tokensIssued: activityLog.tokens.length,
+      failures: activityLog.failures.length
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load overview');
+  }
+});
+
+/**
+ * Sessions (?status=active|ended), newest first, with participants, duration and invites.
+ * Participants combine who holds a live stream open, who Zoom's webhooks say is in the session,
+ * and who got tokens recently.
+ */
+app.get('/api/admin/sessions', requireAdmin(adminPolicy), async (req, res) => {
+  try {
+    const sessions = (await sessionRegistry.list(req.query.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ sessions: await Promise.all(sessions.map(toAdminSession)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list sessions');
+  }
+});
+
+async function toAdminSession(session) {
+  const sessionName = session.sessionName;
+  const zoom = zoomWebhooks
+    ? await zoomEventLog.activity(sessionName, { from: session.createdAt })
+    : null;
+
+  const participants = new Map();
+  const participant = (name) => {
+    if (!participants.has(name)) {
+      participants.set(name, { userIdentity: name, role: null, connected: false, inSession: zoom ? false : null, joinedAt: null, lastTokenAt: null, tokens: 0 });
+    }
+    return participants.get(name);
+  };
+  // Oldest first, so the newest token sets the role
+  activityLog.recentTokens({ sessionName, limit: Infinity }).reverse().forEach(entry => {
+    const item = participant(entry.userIdentity);
+    item.role = entry.role;
+    item.lastTokenAt = entry.at;
+    item.tokens++;
+  });
+  eventHub.listeners(`transcript:${sessionName}`).forEach(listener => {
+    const item = participant(listener.userIdentity);
+    item.role = listener.roleType;
+    item.connected = true;
+  });
+  zoom?.participants.forEach(present => {
+    const item = participant(present.name);
+    item.inSession = true;
+    item.joinedAt = present.joinedAt;
+  });
+
+  const now = new Date().toISOString();
+  const invites = session.invites || [];
+  const endedAt = session.endedAt || zoom?.endedAt || null;
+
+  return {
+    ...toPublicSession({ ...session, settings: sessionRegistry.settingsOf(session) }),
+    durationSeconds: Math.round(((endedAt ? Date.parse(endedAt) : Date.now()) - Date.parse(session.createdAt)) / 1000),
+    zoom: zoom && { startedAt: zoom.startedAt, endedAt: zoom.endedAt },
+    participants: Array.from(participants.values()),
+    waiting: waitingRoom.queue(sessionName).length,
+    invites: invites.map(invite => ({ ...invite, outstanding: isOutstanding(invite, now) }))
+  };
+}
+
+/**
+ * Recent token issuance, newest first (?session=, ?limit= up to 500)
+ */
+app.get('/api/admin/tokens', requireAdmin(adminPolicy), (req, res) => {
+  res.json({
+    tokens: activityLog.recentTokens({
+      sessionName: req.query.session || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500)
+    })
+  });
+});
+
+/**
+ * Recently refused token and validation requests, newest first (?session=, ?limit= up to 500)
+ */
+app.get('/api/admin/failures', requireAdmin(adminPolicy), (req, res) => {
+  res.json({
+    failures: activityLog.recentFailures({
+      sessionName: req.query.session || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500)
+    })
   });
 });
 
+app.post('/api/admin/sessions/:name/end', requireAdmin(adminPolicy), async (req, res) => {
+  try {
+    const session = await endSession(req.params.name);
+    console.log(`🛑 Session "${req.params.name}" ended by admin ${req.identity.id}`);
+    res.json(await toAdminSession(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to end session');
+  }
+});
+
+/**
+ * Revoke a session's outstanding invites, or one invite with body { id }
+ */
+app.post('/api/admin/sessions/:name/invites/revoke', requireAdmin(adminPolicy), async (req, res) => {
+  try {
+    const id = req.body.id === undefined || req.body.id === null ? null : String(req.body.id);
+    const revoked = await inviteService.revoke(req.params.name, id);
+    res.json({ revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke invites');
+  }
+});
+
+/**
+ * Save SDK credentials to .env and use them right away, without a restart. Only from this
+ * machine or for admins. Tokens and invites signed with the previous secret stop verifying.
+ */
+app.post('/api/credentials', activityLog.watch('credentials'), validateIpLimit, requireLocalOrAdmin(adminPolicy), async (req, res) => {
+  try {
+    const values = parseSdkCredentials(req.body);
+    const wasSetupMode = !sdkConfigured();
+
+    await envFile.update(values);
+    Object.assign(process.env, values);
+
+    console.log(`🔑 SDK credentials saved to ${envFile.file} by ${req.identity.via}:${req.identity.id}${wasSetupMode ? ', leaving setup mode' : ''}`);
+    warnIfShortCredentials();
+
+    const credentials = credentialStatus();
+    res.json({
+      saved: true,
+      setupMode: false,
+      keyLength: credentials.keyLength,
+      secretLength: credentials.secretLength,
+      warnings: credentials.warnings
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save credentials');
+  }
+});
+
 /**
  * Validate credentials by attempting to generate a test token
  */
-app.post('/api/validate-credentials', (req, res) => {
+app.post('/api/validate-credentials', activityLog.watch('validate-credentials'), validateIpLimit, (req, res) => {
   try {
     const { sdkKey, sdkSecret } = req.body;
 
@@ -181,7 +1110,7 @@ app.post('/api/validate-credentials', (req, res) => {
 /**
  * Validate session form inputs
  */
-app.post('/api/validate-session-inputs', (req, res) => {
+app.post('/api/validate-session-inputs', activityLog.watch('validate-session-inputs'), validateIpLimit, (req, res) => {
   try {
     const { sessionName, userIdentity, sessionKey, role } = req.body;
     const errors = [];
@@ -232,8 +1161,25 @@ app.post('/api/validate-session-inputs', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 Zoom Video SDK Express Server running on http://localhost:${PORT}`);
-  console.log(`📝 Make sure you have set ZOOM_VIDEO_SDK_KEY and ZOOM_VIDEO_SDK_SECRET in your .env file`);
+  if (sdkConfigured()) {
+    console.log(`📝 Make sure you have set ZOOM_VIDEO_SDK_KEY and ZOOM_VIDEO_SDK_SECRET in your .env file`);
+  } else {
+    console.log(`⚙️  Setup mode: open http://localhost:${PORT}/setup-credentials.html`);
+  }
   console.log(`📚 Get credentials at: https://developers.zoom.us/docs/video-sdk/get-credentials/\n`);
 });
+
+// Server-side transcription: browsers stream PCM over a WebSocket to the STT adapter
+attachAudioStreams(server, {
+  adapter: sttAdapter,
+  authorize: async (sessionName, token) => {
+    const participant = await authenticateParticipant(token, sessionName, 300);
+    const session = await sessionRegistry.get(sessionName);
+    if (!session || session.status !== 'active') {
+      throw forbidden(`Session "${sessionName}" is not active`);
+    }
+    return participant;
+  }
+});
@@ -0,0 +1,158 @@
+/**
+ * Speaking Analytics
+ * Talk time, turns, interruptions and longest monologue per participant.
+ * Loaded by the browser (window.SpeakingAnalytics) and usable from Node (require).
+ *
+ * Feed it "heard" signals: the SDK repeats `active-speaker` events while someone talks, and the
+ * local level meter reports every frame the microphone is above its threshold. A participant's
+ * turn lasts while signals keep arriving less than `gapMs` apart.
+ */
+(function (root) {
+    const DEFAULT_GAP_MS = 1500;
+    // Blips shorter than this ("mm-hm", a cough) are not counted as turns
+    const DEFAULT_MIN_TURN_MS = 700;
+
+    class SpeakingAnalytics {
+        constructor({ gapMs = DEFAULT_GAP_MS, minTurnMs = DEFAULT_MIN_TURN_MS } = {}) {
+            this.gapMs = gapMs;
+            this.minTurnMs = minTurnMs;
+            this.participants = new Map();
+            // Turns in progress by participant id: { start, lastHeard, overlapped }
+            this.active = new Map();
+            this.startedAt = null;
+            this.endedAt = null;
+        }
+
+        start(time = Date.now()) {
+            this.startedAt = time;
+            this.endedAt = null;
+        }
+
+        /**
+         * A participant was heard at `time`
+         */
+        heard(id, name, time = Date.now()) {
+            const participant = this.participant(id, name);
+            if (name) participant.name = name;
+            this.expire(time);
+
+            const turn = this.active.get(id);
+            if (turn) {
+                turn.lastHeard = Math.max(turn.lastHeard, time);
+                return;
+            }
+
+            // Starting to talk while someone else still holds the floor is an interruption,
+            // counted once the new turn proves long enough (see closeTurn)
+            const others = [...this.active.keys()].filter(other => other !== id);
+            this.active.set(id, { start: time, lastHeard: time, overlapped: others });
+        }
+
+        /**
+         * SDK active-speaker payload: [{ userId, displayName }]
+         */
+        activeSpeakers(speakers, time = Date.now()) {
+            speakers.forEach(speaker => this.heard(speaker.userId, speaker.displayName, time));
+        }
+
+        /**
+         * Close turns that have gone quiet for longer than the gap
+         */
+        expire(time = Date.now()) {
+            for (const [id, turn] of this.active) {
+                if (time - turn.lastHeard > this.gapMs) {
+                    this.closeTurn(id, turn);
+                }
+            }
+        }
+
+        closeTurn(id, turn) {
+            this.active.delete(id);
+
+            const duration = turn.lastHeard - turn.start;
+            if (duration < this.minTurnMs) return;
+
+            const participant = this.participants.get(id);
+            participant.talkTimeMs += duration;
+            participant.turns++;
+            participant.longestMonologueMs = Math.max(participant.longestMonologueMs, duration);
+
+            if (turn.overlapped.length) {
+                participant.interruptions++;
+                turn.overlapped.forEach(other => this.participants.get(other).interrupted++);
+            }
+        }
+
+        participant(id, name) {
+            if (!this.participants.has(id)) {
+                this.participants.set(id, {
+                    id,
+                    name: name || String(id),
+                    talkTimeMs: 0,
+                    turns: 0,
+                    interruptions: 0,
+                    interrupted: 0,
+                    longestMonologueMs: 0
+                });
+            }
+            return this.participants.get(id);
+        }
+
+        /**
+         * Ids of participants talking at `time`
+         */
+        speaking(time = Date.now()) {
+            this.expire(time);
+            return [...this.active.keys()];
+        }
+
+        /**
+         * Close all turns (call when leaving)
+         */
+        stop(time = Date.now()) {
+            for (const [id, turn] of this.active) {
+                this.closeTurn(id, turn);
+            }
+            this.endedAt = time;
+        }
+
+        /**
+         * Per-session stats record. Turns still in progress count up to their last signal.
+         */
+        getStats({ sessionName = null } = {}, time = Date.now()) {
+            const live = new Map([...this.active].map(([id, turn]) => [id, Math.max(turn.lastHeard - turn.start, 0)]));
+            const end = this.endedAt ?? time;
+
+            const participants = [...this.participants.values()].map(participant => {
+                const current = live.get(participant.id) || 0;
+                return {
+                    ...participant,
+                    talkTimeMs: participant.talkTimeMs + current,
+                    longestMonologueMs: Math.max(participant.longestMonologueMs, current)
+                };
+            });
+            const totalTalkTimeMs = participants.reduce((total, participant) => total + participant.talkTimeMs, 0);
+
+            return {
+                sessionName,
+                startedAt: this.startedAt !== null ? new Date(this.startedAt).toISOString() : null,
+                endedAt: this.endedAt !== null ? new Date(this.endedAt).toISOString() : null,
+                durationMs: this.startedAt !== null ? Math.max(end - this.startedAt, 0) : 0,
+                totalTalkTimeMs,
+                speaking: [...this.active.keys()],
+                participants: participants
+                    .map(participant => ({
+                        ...participant,
+                        share: totalTalkTimeMs ? Math.round(participant.talkTimeMs / totalTalkTimeMs * 1000) / 1000 : 0
+                    }))
+                    .sort((a, b) => b.talkTimeMs - a.talkTimeMs)
+            };
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SpeakingAnalytics };
+    } else {
+        root.SpeakingAnalytics = SpeakingAnalytics;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,125 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createAuthenticator, createHostPolicy } = require('../lib/auth');
+
+// Just enough of an Express request for the strategies
+function fakeRequest(headers = {}, { method = 'POST', originalUrl = '/api/generate-token', body = '' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    originalUrl,
+    rawBody: Buffer.from(body),
+    get: name => lower[name.toLowerCase()]
+  };
+}
+
+function statusOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+}
+
+describe('createAuthenticator', () => {
+  test('treats everyone as a trusted anonymous caller when no strategy is configured', () => {
+    const authenticator = createAuthenticator({});
+    assert.equal(authenticator.enabled, false);
+    assert.deepEqual(authenticator.authenticate(fakeRequest()), {
+      id: 'anonymous', via: 'none', roles: [], anonymous: true, trusted: true
+    });
+  });
+
+  test('requires credentials once a strategy is configured', () => {
+    const authenticator = createAuthenticator({ AUTH_API_KEYS: 'alice-key:alice' });
+    assert.equal(statusOf(() => authenticator.authenticate(fakeRequest())), 401);
+  });
+
+  test('admits untrusted anonymous callers with AUTH_ALLOW_ANONYMOUS', () => {
+    const authenticator = createAuthenticator({ AUTH_API_KEYS: 'alice-key:alice', AUTH_ALLOW_ANONYMOUS: 'true' });
+    const identity = authenticator.authenticate(fakeRequest());
+    assert.equal(identity.anonymous, true);
+    assert.equal(identity.trusted, false);
+  });
+
+  test('maps API keys to identities and refuses unknown keys', () => {
+    const authenticator = createAuthenticator({ AUTH_API_KEYS: 'alice-key:alice,bob-key:bob' });
+    assert.equal(authenticator.authenticate(fakeRequest({ 'X-API-Key': 'bob-key' })).id, 'bob');
+    assert.equal(statusOf(() => authenticator.authenticate(fakeRequest({ 'X-API-Key': 'mallory-key' }))), 401);
+  });
+
+  test('checks HMAC signatures over timestamp, method, path and body', () => {
+    const authenticator = createAuthenticator({ AUTH_HMAC_SECRETS: 'backend:s3cret' });
+    const body = JSON.stringify({ sessionName: 'team-a' });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const sign = (secret, time = timestamp) => 'sha256=' + crypto
+      .createHmac('sha256', secret)
+      .update(`${time}.POST./api/generate-token.${body}`)
+      .digest('hex');
+    const request = (signature, time = timestamp) => fakeRequest({
+      'X-Client-Id': 'backend',
+      'X-Timestamp': String(time),
+      'X-Signature': signature
+    }, { body });
+
+    assert.equal(authenticator.authenticate(request(sign('s3cret'))).id, 'backend');
+    assert.equal(statusOf(() => authenticator.authenticate(request(sign('wrong')))), 401);
+
+    const stale = timestamp - 600;
+    assert.equal(statusOf(() => authenticator.authenticate(request(sign('s3cret', stale), stale))), 401);
+  });
+
+  test('accepts bearer JWTs with a subject and reads their roles', () => {
+    const authenticator = createAuthenticator({ AUTH_JWT_SECRET: 'idp-secret', AUTH_JWT_ISSUER: 'idp' });
+    const bearer = (claims, secret = 'idp-secret') => fakeRequest({
+      Authorization: `Bearer ${jwt.sign(claims, secret, { issuer: 'idp', expiresIn: 60 })}`
+    });
+
+    const identity = authenticator.authenticate(bearer({ sub: 'carol', roles: 'admin' }));
+    assert.equal(identity.id, 'carol');
+    assert.deepEqual(identity.roles, ['admin']);
+
+    assert.equal(statusOf(() => authenticator.authenticate(bearer({ sub: 'carol' }, 'other-secret'))), 401);
+    assert.equal(statusOf(() => authenticator.authenticate(bearer({ roles: [] }))), 401);
+  });
+});
+
+describe('createHostPolicy', () => {
+  const alice = { id: 'alice', via: 'api-key', roles: [] };
+  const bob = { id: 'bob', via: 'api-key', roles: [] };
+  const moderator = { id: 'dana', via: 'jwt', roles: ['moderator'] };
+
+  test('lets any authenticated caller host without a policy file', () => {
+    const policy = createHostPolicy({});
+    assert.equal(policy.canHost(bob, 'anything'), true);
+    assert.equal(policy.canHost({ id: 'anonymous', roles: [], anonymous: true, trusted: true }, 'anything'), true);
+    assert.equal(policy.canHost({ id: 'anonymous', roles: [], anonymous: true, trusted: false }, 'anything'), false);
+  });
+
+  test('matches identities and roles against session patterns', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'host-policy-'));
+    const file = path.join(dir, 'policy.json');
+    fs.writeFileSync(file, JSON.stringify({
+      hosts: [
+        { identity: 'alice', sessions: ['team-*'] },
+        { role: 'moderator' }
+      ]
+    }));
+
+    try {
+      const policy = createHostPolicy({ AUTH_POLICY_FILE: file });
+      assert.equal(policy.canHost(alice, 'team-a'), true);
+      assert.equal(policy.canHost(alice, 'all-hands'), false);
+      assert.equal(policy.canHost(bob, 'team-a'), false);
+      assert.equal(policy.canHost(moderator, 'all-hands'), true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnvFile, sdkConfigured, parseSdkCredentials } = require('../lib/credentials');
+
+const KEY = 'k'.repeat(24);
+const SECRET = 's'.repeat(32);
+
+describe('EnvFile', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-file-'));
+    file = path.join(dir, '.env');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replaces variables in place and keeps comments, other keys and their order', async () => {
+    fs.writeFileSync(file, [
+      '# Zoom credentials',
+      'ZOOM_VIDEO_SDK_KEY=old-key',
+      '',
+      '# Server',
+      'PORT=3000',
+      'export ZOOM_VIDEO_SDK_SECRET=old-secret',
+      'ZOOM_VIDEO_SDK_KEY=duplicate',
+      ''
+    ].join('\n'));
+
+    await new EnvFile(file).update({ ZOOM_VIDEO_SDK_KEY: KEY, ZOOM_VIDEO_SDK_SECRET: SECRET });
+
+    assert.equal(fs.readFileSync(file, 'utf8'), [
+      '# Zoom credentials',
+      `ZOOM_VIDEO_SDK_KEY=${KEY}`,
+      '',
+      '# Server',
+      'PORT=3000',
+      `export ZOOM_VIDEO_SDK_SECRET=${SECRET}`,
+      ''
+    ].join('\n'));
+  });
+
+  test('appends missing variables and keeps CRLF line endings', async () => {
+    fs.writeFileSync(file, '# Local settings\r\nPORT=3000');
+
+    await new EnvFile(file).update({ ZOOM_VIDEO_SDK_KEY: KEY });
+
+    assert.equal(fs.readFileSync(file, 'utf8'), `# Local settings\r\nPORT=3000\r\nZOOM_VIDEO_SDK_KEY=${KEY}\r\n`);
+  });
+
+  test('creates the file readable by its owner only and leaves no temporary file', async () => {
+    await new EnvFile(file).update({ ZOOM_VIDEO_SDK_KEY: KEY });
+
+    assert.equal(fs.readFileSync(file, 'utf8'), `ZOOM_VIDEO_SDK_KEY=${KEY}\n`);
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    }
+    assert.deepEqual(fs.readdirSync(dir), ['.env']);
+  });
+
+  test('leaves the old file untouched when the write fails', async () => {
+    fs.writeFileSync(file, 'ZOOM_VIDEO_SDK_KEY=old-key\n');
+    mock.method(fs.promises, 'rename', async () => {
+      throw new Error('disk full');
+    });
+
+    await assert.rejects(new EnvFile(file).update({ ZOOM_VIDEO_SDK_KEY: KEY }), /disk full/);
+    assert.equal(fs.readFileSync(file, 'utf8'), 'ZOOM_VIDEO_SDK_KEY=old-key\n');
+    assert.deepEqual(fs.readdirSync(dir), ['.env']);
+  });
+
+  test('runs updates one at a time so none is lost', async () => {
+    const envFile = new EnvFile(file);
+    await Promise.all([
+      envFile.update({ ZOOM_VIDEO_SDK_KEY: KEY }),
+      envFile.update({ ZOOM_VIDEO_SDK_SECRET: SECRET }),
+      envFile.update({ PORT: '4000' })
+    ]);
+
+    assert.equal(fs.readFileSync(file, 'utf8'), `ZOOM_VIDEO_SDK_KEY=${KEY}\nZOOM_VIDEO_SDK_SECRET=${SECRET}\nPORT=4000\n`);
+  });
+});
+
+describe('parseSdkCredentials', () => {
+  test('returns the credentials as environment variables', () => {
+    const env = parseSdkCredentials({ sdkKey: ` ${KEY} `, sdkSecret: SECRET });
+    assert.deepEqual(env, { ZOOM_VIDEO_SDK_KEY: KEY, ZOOM_VIDEO_SDK_SECRET: SECRET });
+    assert.equal(sdkConfigured(env), true);
+    assert.equal(sdkConfigured({ ZOOM_VIDEO_SDK_KEY: KEY }), false);
+  });
+
+  test('refuses missing values and anything that could break the .env file', () => {
+    assert.throws(() => parseSdkCredentials({ sdkKey: KEY }), { status: 400 });
+    assert.throws(() => parseSdkCredentials({ sdkKey: KEY, sdkSecret: `${SECRET}\nADMIN_TOKEN=x` }), { status: 400 });
+    assert.throws(() => parseSdkCredentials({ sdkKey: 'short', sdkSecret: SECRET }), { status: 400 });
+  });
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startServer, ALICE, BOB } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('refuses anonymous callers on session creation and token routes', async () => {
+  assert.equal((await server.request('POST', '/api/sessions', { body: { sessionName: 'team-anon' } })).status, 401);
+
+  const sessionKey = await server.createSession('team-auth');
+  const anonymous = await server.request('POST', '/api/generate-token', {
+    body: { sessionName: 'team-auth', sessionKey, role: 0, userIdentity: 'Eve' }
+  });
+  assert.equal(anonymous.status, 401);
+
+  const wrongKey = await server.request('POST', '/api/generate-token', {
+    body: { sessionName: 'team-auth', sessionKey, role: 0, userIdentity: 'Eve' },
+    headers: { 'X-API-Key': 'eve-key' }
+  });
+  assert.equal(wrongKey.status, 401);
+});
+
+test('applies the host policy to session creation and host tokens', async () => {
+  assert.equal((await server.request('POST', '/api/sessions', { body: { sessionName: 'team-bob' }, headers: BOB })).status, 403);
+  assert.equal((await server.request('POST', '/api/sessions', { body: { sessionName: 'all-hands' }, headers: ALICE })).status, 403);
+
+  const sessionKey = await server.createSession('team-policy');
+  const hostToken = await server.request('POST', '/api/generate-token', {
+    body: { sessionName: 'team-policy', sessionKey, role: 1, userIdentity: 'Bob' },
+    headers: BOB
+  });
+  assert.equal(hostToken.status, 403);
+
+  const claims = jwt.decode(await server.token(BOB, 'team-policy', sessionKey, 0, 'Bob'));
+  assert.equal(claims.tpc, 'team-policy');
+  assert.equal(claims.role_type, 0);
+  assert.equal(claims.user_identity, 'Bob');
+});
+
+test('only signs tokens for registered sessions with the right key', async () => {
+  const sessionKey = await server.createSession('team-keyed');
+  const body = { sessionName: 'team-keyed', role: 0, userIdentity: 'Bob' };
+
+  assert.equal((await server.request('POST', '/api/generate-token', { body: { ...body, sessionKey: 'guess' }, headers: BOB })).status, 403);
+  assert.equal((await server.request('POST', '/api/generate-token', {
+    body: { ...body, sessionName: 'team-unknown', sessionKey },
+    headers: BOB
+  })).status, 404);
+});
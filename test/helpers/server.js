@@ -0,0 +1,117 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const ALICE = { 'X-API-Key': 'alice-key' };
+const BOB = { 'X-API-Key': 'bob-key' };
+const ADMIN_TOKEN = 'test-admin-token';
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run server.js in a temporary directory on a free port
+ * alice and bob authenticate with API keys; alice may host sessions named team-*.
+ * `env` adds to or overrides the defaults.
+ */
+async function startServer(env = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'videosdk-server-'));
+  const policyFile = path.join(workDir, 'policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify({ hosts: [{ identity: 'alice', sessions: ['team-*'] }] }));
+
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: workDir,
+    stdio: 'ignore',
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      ZOOM_VIDEO_SDK_KEY: 'k'.repeat(40),
+      ZOOM_VIDEO_SDK_SECRET: 's'.repeat(40),
+      AUTH_API_KEYS: 'alice-key:alice,bob-key:bob',
+      AUTH_POLICY_FILE: policyFile,
+      ADMIN_TOKEN,
+      RATE_LIMIT_TOKEN_IP: '1000/60',
+      RATE_LIMIT_TOKEN_IDENTITY: '1000/60',
+      ...env
+    }
+  });
+
+  const server = {
+    baseUrl,
+    workDir,
+
+    async request(method, url, { body, headers = {} } = {}) {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    },
+
+    // Create a session as alice and return its key
+    async createSession(sessionName, settings) {
+      const response = await server.request('POST', '/api/sessions', { body: { sessionName, settings }, headers: ALICE });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      return response.body.sessionKey;
+    },
+
+    async token(headers, sessionName, sessionKey, role, userIdentity) {
+      const response = await server.request('POST', '/api/generate-token', {
+        body: { sessionName, sessionKey, role, userIdentity },
+        headers
+      });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      return response.body.token;
+    },
+
+    async invite(sessionName, hostToken, body = {}) {
+      const response = await server.request('POST', `/api/sessions/${sessionName}/invites`, { body, headers: bearer(hostToken) });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      return response.body.code;
+    },
+
+    stop() {
+      if (child.exitCode === null) {
+        child.kill();
+      }
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  };
+
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok) return server;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  server.stop();
+  throw new Error('Server did not start');
+}
+
+module.exports = { startServer, bearer, ALICE, BOB, ADMIN_TOKEN };
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('only the host locks and unlocks', async () => {
+  const sessionKey = await server.createSession('team-lock');
+  const participantToken = await server.token(BOB, 'team-lock', sessionKey, 0, 'Bob');
+  const hostToken = await server.token(ALICE, 'team-lock', sessionKey, 1, 'Alice');
+
+  const withKey = await server.request('PUT', '/api/sessions/team-lock/lock', { body: { sessionKey, locked: true } });
+  assert.equal(withKey.status, 401);
+
+  const asParticipant = await server.request('PUT', '/api/sessions/team-lock/lock', {
+    body: { locked: true },
+    headers: bearer(participantToken)
+  });
+  assert.equal(asParticipant.status, 403);
+
+  const locked = await server.request('PUT', '/api/sessions/team-lock/lock', { body: { locked: true }, headers: bearer(hostToken) });
+  assert.equal(locked.status, 200);
+  assert.equal(locked.body.locked, true);
+
+  const unlocked = await server.request('PUT', '/api/sessions/team-lock/lock', { body: { locked: false }, headers: bearer(hostToken) });
+  assert.equal(unlocked.status, 200);
+  assert.equal(unlocked.body.locked, false);
+});
+
+test('a locked session keeps new people out but lets hosts and people already in stay', async () => {
+  const sessionKey = await server.createSession('team-locked');
+  const participantToken = await server.token(BOB, 'team-locked', sessionKey, 0, 'Bob');
+  const hostToken = await server.token(ALICE, 'team-locked', sessionKey, 1, 'Alice');
+  const code = await server.invite('team-locked', hostToken);
+  await server.request('PUT', '/api/sessions/team-locked/lock', { body: { locked: true }, headers: bearer(hostToken) });
+
+  const joinLocked = await server.request('POST', '/api/generate-token', {
+    body: { sessionName: 'team-locked', sessionKey, role: 0, userIdentity: 'Carol' },
+    headers: BOB
+  });
+  assert.equal(joinLocked.status, 423);
+  assert.equal((await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Carol' }, headers: BOB })).status, 423);
+
+  await server.token(ALICE, 'team-locked', sessionKey, 1, 'Alice');
+  assert.equal((await server.request('POST', '/api/refresh-token', { body: { token: participantToken }, headers: BOB })).status, 200);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('only hosts can issue invites; the session key is not enough', async () => {
+  const sessionKey = await server.createSession('team-invites');
+  const participantToken = await server.token(BOB, 'team-invites', sessionKey, 0, 'Bob');
+  const hostToken = await server.token(ALICE, 'team-invites', sessionKey, 1, 'Alice');
+
+  const withKey = await server.request('POST', '/api/sessions/team-invites/invites', { body: { sessionKey, role: 1 } });
+  assert.equal(withKey.status, 401);
+
+  const asParticipant = await server.request('POST', '/api/sessions/team-invites/invites', {
+    body: { role: 1 },
+    headers: bearer(participantToken)
+  });
+  assert.equal(asParticipant.status, 403);
+
+  await server.invite('team-invites', hostToken, { role: 1 });
+});
+
+test('an invite is previewed, bound to its display name and used up after maxUses', async () => {
+  const sessionKey = await server.createSession('team-invite-uses');
+  const hostToken = await server.token(ALICE, 'team-invite-uses', sessionKey, 1, 'Alice');
+  const code = await server.invite('team-invite-uses', hostToken, { maxUses: 1, displayName: 'Guest' });
+
+  const preview = await server.request('GET', `/api/invites/${encodeURIComponent(code)}`);
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.sessionName, 'team-invite-uses');
+  assert.equal(preview.body.displayName, 'Guest');
+  assert.equal(preview.body.usesRemaining, 1);
+
+  const redeemed = await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Someone else' }, headers: BOB });
+  assert.equal(redeemed.status, 200);
+  assert.equal(redeemed.body.userIdentity, 'Guest');
+  assert.equal(redeemed.body.role, 0);
+
+  const again = await server.request('POST', '/api/invites/redeem', { body: { code }, headers: BOB });
+  assert.equal(again.status, 410);
+});
+
+test('host invites are only redeemed by callers the host policy lets host', async () => {
+  const sessionKey = await server.createSession('team-host-invite');
+  const hostToken = await server.token(ALICE, 'team-host-invite', sessionKey, 1, 'Alice');
+  const code = await server.invite('team-host-invite', hostToken, { role: 1 });
+
+  const anonymous = await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Eve' } });
+  assert.equal(anonymous.status, 401);
+
+  const asBob = await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Bob' }, headers: BOB });
+  assert.equal(asBob.status, 403);
+
+  const asAlice = await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Alice' }, headers: ALICE });
+  assert.equal(asAlice.status, 200);
+});
+
+test('invites and host tokens of an earlier session with the same name do not carry over', async () => {
+  const oldKey = await server.createSession('team-invite-rerun');
+  const oldHostToken = await server.token(ALICE, 'team-invite-rerun', oldKey, 1, 'Alice');
+  const oldCode = await server.invite('team-invite-rerun', oldHostToken);
+  await server.request('DELETE', '/api/sessions/team-invite-rerun', { headers: bearer(oldHostToken) });
+  await server.createSession('team-invite-rerun');
+
+  const issued = await server.request('POST', '/api/sessions/team-invite-rerun/invites', { body: {}, headers: bearer(oldHostToken) });
+  assert.equal(issued.status, 403);
+
+  const redeemed = await server.request('POST', '/api/invites/redeem', { body: { code: oldCode, userIdentity: 'Bob' }, headers: BOB });
+  assert.equal(redeemed.status, 404);
+});
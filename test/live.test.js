@@ -0,0 +1,88 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { EventStreamHub } = require('../lib/event-stream');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+// Just enough of an Express request/response pair for an SSE subscriber
+function fakeStream(headers = {}) {
+  const req = Object.assign(new EventEmitter(), { query: {}, get: name => headers[name] });
+  const res = { frames: [], set() {}, flushHeaders() {}, write(frame) { this.frames.push(frame); } };
+  return { req, res };
+}
+
+describe('EventStreamHub', () => {
+  test('does not keep events published while nobody listens', () => {
+    const hub = new EventStreamHub();
+    assert.equal(hub.publish('transcript:team-a', 'segment', { text: 'Hello' }, { replay: true }), null);
+    assert.equal(hub.channels.size, 0);
+  });
+
+  test('sends events to subscribers and replays finals after Last-Event-ID', () => {
+    const hub = new EventStreamHub();
+    const first = fakeStream();
+    hub.subscribe('transcript:team-a', first.req, first.res);
+
+    const interim = hub.publish('transcript:team-a', 'segment', { text: 'Hel' });
+    const final = hub.publish('transcript:team-a', 'segment', { text: 'Hello' }, { replay: true });
+    assert.deepEqual(first.res.frames.slice(1), [
+      `id: ${interim}\nevent: segment\ndata: {"text":"Hel"}\n\n`,
+      `id: ${final}\nevent: segment\ndata: {"text":"Hello"}\n\n`
+    ]);
+
+    const rejoined = fakeStream({ 'Last-Event-ID': '0' });
+    hub.subscribe('transcript:team-a', rejoined.req, rejoined.res);
+    assert.deepEqual(rejoined.res.frames.slice(1), [`id: ${final}\nevent: segment\ndata: {"text":"Hello"}\n\n`]);
+  });
+});
+
+describe('live transcript routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('publishing to a stream nobody follows returns no event id', async () => {
+    const sessionKey = await server.createSession('team-live');
+    const token = await server.token(BOB, 'team-live', sessionKey, 0, 'Bob');
+
+    const published = await server.request('POST', '/api/sessions/team-live/live', {
+      body: { id: 'a', text: 'Hello', timestamp: new Date().toISOString(), final: true },
+      headers: bearer(token)
+    });
+    assert.equal(published.status, 202);
+    assert.equal(published.body.eventId, null);
+  });
+
+  test('tokens of an earlier session with the same name can neither follow nor publish', async () => {
+    const oldKey = await server.createSession('team-live-rerun');
+    const oldToken = await server.token(ALICE, 'team-live-rerun', oldKey, 1, 'Alice');
+    await server.request('DELETE', '/api/sessions/team-live-rerun', { headers: bearer(oldToken) });
+    await server.createSession('team-live-rerun');
+
+    const followed = await fetch(`${server.baseUrl}/api/sessions/team-live-rerun/live?token=${encodeURIComponent(oldToken)}`);
+    assert.equal(followed.status, 403);
+    await followed.body.cancel();
+
+    const published = await server.request('POST', '/api/sessions/team-live-rerun/live', {
+      body: { id: 'a', text: 'Hello', timestamp: new Date().toISOString(), final: true },
+      headers: bearer(oldToken)
+    });
+    assert.equal(published.status, 403);
+  });
+
+  test('tokens of an ended session can neither follow nor publish', async () => {
+    const sessionKey = await server.createSession('team-live-ended');
+    const hostToken = await server.token(ALICE, 'team-live-ended', sessionKey, 1, 'Alice');
+    await server.request('DELETE', '/api/sessions/team-live-ended', { headers: bearer(hostToken) });
+
+    const published = await server.request('POST', '/api/sessions/team-live-ended/live', {
+      body: { id: 'a', text: 'Hello', timestamp: new Date().toISOString(), final: true },
+      headers: bearer(hostToken)
+    });
+    assert.equal(published.status, 410);
+  });
+});
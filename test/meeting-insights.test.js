@@ -0,0 +1,75 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeMeeting } = require('../meeting-insights');
+
+// Segments one minute apart, in the order given
+function meeting(lines) {
+  return lines.map(([speaker, text], index) => ({
+    id: String(index + 1),
+    speaker,
+    text,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 10, index)).toISOString()
+  }));
+}
+
+const dueOf = text => analyzeMeeting(meeting([['Alice', text]])).actionItems.map(item => item.due);
+
+describe('action items', () => {
+  test('finds commitments, group items and requests with their owners', () => {
+    const { actionItems } = analyzeMeeting(meeting([
+      ['Alice', 'I will update the roadmap slides.'],
+      ['Bob', "Let's move the release review to Thursday."],
+      ['Alice', 'Can you send the budget numbers to finance?'],
+      ['Carol', 'Sure, no problem.']
+    ]));
+
+    assert.deepEqual(actionItems.map(item => [item.speaker, item.owner, item.task]), [
+      ['Alice', 'Alice', 'update the roadmap slides'],
+      ['Bob', 'Everyone', 'move the release review to Thursday'],
+      ['Alice', 'Carol', 'send the budget numbers to finance']
+    ]);
+  });
+
+  test('ignores sentences too short to be a task', () => {
+    assert.deepEqual(analyzeMeeting(meeting([['Alice', 'I will.'], ['Bob', "Let's go."]])).actionItems, []);
+  });
+});
+
+describe('deadlines', () => {
+  test('reads deadlines after by, before, until, on and due', () => {
+    assert.deepEqual(dueOf('I will send the notes by Friday.'), ['friday']);
+    assert.deepEqual(dueOf('We need to ship the fix before the end of the week.'), ['the end of the week']);
+    assert.deepEqual(dueOf('Please review the draft by March 3rd.'), ['march 3rd']);
+    assert.deepEqual(dueOf('I will finish the report due 5pm.'), ['5pm']);
+  });
+
+  test('reads relative dates without a preposition', () => {
+    assert.deepEqual(dueOf('I will send the slides tomorrow.'), ['tomorrow']);
+    assert.deepEqual(dueOf('We need to finish the report next week.'), ['next week']);
+    assert.deepEqual(dueOf("I'll call the vendor today."), ['today']);
+    assert.deepEqual(dueOf('Can you book the room for Wednesday?'), ['wednesday']);
+    assert.deepEqual(dueOf('We should fix the login bug this sprint.'), ['this sprint']);
+    assert.deepEqual(dueOf('I will update the docs next Monday.'), ['next monday']);
+  });
+
+  test('prefers a prefixed deadline and leaves it out when none is said', () => {
+    assert.deepEqual(dueOf('I will prepare today\'s notes by Friday.'), ['friday']);
+    assert.deepEqual(dueOf('I will update the roadmap slides.'), [null]);
+  });
+});
+
+describe('questions', () => {
+  test('tells answered questions from open ones', () => {
+    const report = analyzeMeeting(meeting([
+      ['Alice', 'Who owns the migration?'],
+      ['Bob', 'That would be me.'],
+      ['Bob', 'Is the budget approved?']
+    ]));
+
+    assert.deepEqual(report.questions.map(question => [question.text, question.answered, question.answeredBy]), [
+      ['Who owns the migration?', true, 'Bob'],
+      ['Is the budget approved?', false, null]
+    ]);
+    assert.equal(report.summary.openQuestions, 1);
+  });
+});
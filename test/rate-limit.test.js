@@ -0,0 +1,157 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { MemoryRateLimitStore, rateLimit, parseLimit } = require('../lib/rate-limit');
+const { startServer, ALICE, BOB } = require('./helpers/server');
+
+// Let a test move the clock the stores read
+function clock(start = 1_000_000) {
+  let now = start;
+  mock.method(Date, 'now', () => now);
+  return { advance: ms => { now += ms; } };
+}
+
+describe('MemoryRateLimitStore', () => {
+  after(() => mock.restoreAll());
+
+  test('allows max hits per sliding window', async () => {
+    const time = clock();
+    const store = new MemoryRateLimitStore();
+
+    assert.deepEqual(await store.consume('ip', 1000, 2), { allowed: true, count: 1, resetMs: 1000 });
+    time.advance(400);
+    assert.deepEqual(await store.consume('ip', 1000, 2), { allowed: true, count: 2, resetMs: 600 });
+    assert.deepEqual(await store.consume('ip', 1000, 2), { allowed: false, count: 2, resetMs: 600 });
+
+    // The first hit leaves the window, the second is still in it
+    time.advance(600);
+    assert.deepEqual(await store.consume('ip', 1000, 2), { allowed: true, count: 2, resetMs: 400 });
+    assert.equal((await store.consume('other', 1000, 2)).allowed, true);
+  });
+
+  test('holds one slot per member until it expires', async () => {
+    const time = clock();
+    const store = new MemoryRateLimitStore();
+
+    assert.equal((await store.hold('session', 'alice', Date.now() + 5000, 2)).allowed, true);
+    assert.equal((await store.hold('session', 'bob', Date.now() + 1000, 2)).allowed, true);
+
+    // Holding again only extends the member's own slot
+    assert.deepEqual(await store.hold('session', 'alice', Date.now() + 8000, 2), { allowed: true, count: 2, resetMs: 1000 });
+    assert.deepEqual(await store.hold('session', 'carol', Date.now() + 5000, 2), { allowed: false, count: 2, resetMs: 1000 });
+
+    time.advance(1000);
+    assert.deepEqual(await store.hold('session', 'carol', Date.now() + 5000, 2), { allowed: true, count: 2, resetMs: 5000 });
+  });
+});
+
+describe('parseLimit', () => {
+  test('reads "<max>/<windowSeconds>" and refuses anything else', () => {
+    assert.deepEqual(parseLimit('30/60'), { max: 30, windowMs: 60000 });
+    assert.deepEqual(parseLimit(undefined, '5/1'), { max: 5, windowMs: 1000 });
+    assert.throws(() => parseLimit('30'), /Invalid rate limit/);
+    assert.throws(() => parseLimit('0/60'), /Invalid rate limit/);
+  });
+});
+
+describe('rateLimit', () => {
+  let listener;
+  let baseUrl;
+
+  before(async () => {
+    const store = new MemoryRateLimitStore();
+    const app = express();
+    app.get('/limited',
+      rateLimit({ store, name: 'loose', max: 5, windowMs: 60000 }),
+      rateLimit({ store, name: 'strict', max: 2, windowMs: 30000 }),
+      (req, res) => res.json({ ok: true }));
+
+    await new Promise(resolve => {
+      listener = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(() => listener.close());
+
+  test('sets the RateLimit headers of the limiter closest to its limit and refuses with 429', async () => {
+    const first = await fetch(`${baseUrl}/limited`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('RateLimit-Policy'), '2;w=30');
+    assert.equal(first.headers.get('RateLimit-Limit'), '2');
+    assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+    assert.equal(first.headers.get('RateLimit-Reset'), '30');
+
+    assert.equal((await fetch(`${baseUrl}/limited`)).headers.get('RateLimit-Remaining'), '0');
+
+    const refused = await fetch(`${baseUrl}/limited`);
+    assert.equal(refused.status, 429);
+    assert.equal(refused.headers.get('Retry-After'), '30');
+    const body = await refused.json();
+    assert.equal(body.code, 'rate_limited');
+    assert.equal(body.retryAfter, 30);
+  });
+});
+
+describe('session token cap', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ SESSION_MAX_ACTIVE_TOKENS: '2' });
+  });
+
+  after(() => server.stop());
+
+  test('counts people, not refused requests or refreshes', async () => {
+    const sessionKey = await server.createSession('team-cap');
+    const hostToken = await server.token(ALICE, 'team-cap', sessionKey, 1, 'Alice');
+
+    // Refused redeems do not take a slot
+    const code = await server.invite('team-cap', hostToken, { maxUses: 1 });
+    const noIdentity = await server.request('POST', '/api/invites/redeem', { body: { code }, headers: BOB });
+    assert.equal(noIdentity.status, 400);
+
+    const redeemed = await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Bob' }, headers: BOB });
+    assert.equal(redeemed.status, 200);
+
+    // Refreshes and rejoins under the same name do not take another one
+    const refreshed = await server.request('POST', '/api/refresh-token', { body: { token: redeemed.body.token }, headers: BOB });
+    assert.equal(refreshed.status, 200);
+    await server.token(BOB, 'team-cap', sessionKey, 0, 'Bob');
+    await server.token(ALICE, 'team-cap', sessionKey, 1, 'Alice');
+
+    const full = await server.request('POST', '/api/generate-token', {
+      body: { sessionName: 'team-cap', sessionKey, role: 0, userIdentity: 'Carol' },
+      headers: BOB
+    });
+    assert.equal(full.status, 429);
+    assert.ok(Number(full.headers.get('Retry-After')) > 0);
+    assert.ok(Number(full.body.retryAfter) > 0);
+
+    // A full session does not use up the invite
+    const lastCode = await server.invite('team-cap', hostToken, { maxUses: 1 });
+    const refused = await server.request('POST', '/api/invites/redeem', { body: { code: lastCode, userIdentity: 'Carol' }, headers: BOB });
+    assert.equal(refused.status, 429);
+    const preview = await server.request('GET', `/api/invites/${encodeURIComponent(lastCode)}`);
+    assert.equal(preview.body.usesRemaining, 1);
+  });
+
+  test('limits token requests per caller', async () => {
+    const limited = await startServer({ RATE_LIMIT_TOKEN_IDENTITY: '2/60' });
+    try {
+      const sessionKey = await limited.createSession('team-flood');
+      const body = { sessionName: 'team-flood', sessionKey, role: 0, userIdentity: 'Bob' };
+      assert.equal((await limited.request('POST', '/api/generate-token', { body, headers: BOB })).status, 200);
+      assert.equal((await limited.request('POST', '/api/generate-token', { body, headers: BOB })).status, 200);
+
+      const refused = await limited.request('POST', '/api/generate-token', { body, headers: BOB });
+      assert.equal(refused.status, 429);
+      assert.equal(refused.headers.get('RateLimit-Remaining'), '0');
+
+      // Other callers have their own budget
+      assert.equal((await limited.request('POST', '/api/generate-token', { body: { ...body, userIdentity: 'Alice' }, headers: ALICE })).status, 200);
+    } finally {
+      limited.stop();
+    }
+  });
+});
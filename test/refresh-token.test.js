@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('re-issues a token for the same session, identity and role', async () => {
+  const sessionKey = await server.createSession('team-refresh');
+  const token = await server.token(BOB, 'team-refresh', sessionKey, 0, 'Bob');
+
+  const refreshed = await server.request('POST', '/api/refresh-token', { body: { token }, headers: BOB });
+  assert.equal(refreshed.status, 200);
+  const claims = jwt.decode(refreshed.body.token);
+  assert.equal(claims.tpc, 'team-refresh');
+  assert.equal(claims.user_identity, 'Bob');
+  assert.equal(claims.role_type, 0);
+  assert.equal(claims.session_key, sessionKey);
+});
+
+test('re-checks the host policy when refreshing host tokens', async () => {
+  const sessionKey = await server.createSession('team-refresh-host');
+  const hostToken = await server.token(ALICE, 'team-refresh-host', sessionKey, 1, 'Alice');
+
+  assert.equal((await server.request('POST', '/api/refresh-token', { body: { token: hostToken } })).status, 401);
+  assert.equal((await server.request('POST', '/api/refresh-token', { body: { token: hostToken }, headers: BOB })).status, 403);
+  assert.equal((await server.request('POST', '/api/refresh-token', { body: { token: hostToken }, headers: ALICE })).status, 200);
+});
+
+test('refuses tokens of ended sessions', async () => {
+  const sessionKey = await server.createSession('team-refresh-ended');
+  const hostToken = await server.token(ALICE, 'team-refresh-ended', sessionKey, 1, 'Alice');
+  await server.request('DELETE', '/api/sessions/team-refresh-ended', { headers: bearer(hostToken) });
+
+  assert.equal((await server.request('POST', '/api/refresh-token', { body: { token: hostToken }, headers: ALICE })).status, 410);
+
+  await server.createSession('team-refresh-ended');
+  assert.equal((await server.request('POST', '/api/refresh-token', { body: { token: hostToken }, headers: ALICE })).status, 403);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, bearer, ALICE, BOB, ADMIN_TOKEN } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('creates a session with a generated key and lists it without the key', async () => {
+  const sessionKey = await server.createSession('team-registry', { language: 'fr-FR' });
+  assert.match(sessionKey, /\S{16,}/);
+
+  const session = await server.request('GET', '/api/sessions/team-registry');
+  assert.equal(session.status, 200);
+  assert.equal(session.body.status, 'active');
+  assert.equal(session.body.createdBy, 'alice');
+  assert.equal(session.body.settings.language, 'fr-FR');
+  assert.equal(session.body.sessionKey, undefined);
+
+  const listed = await server.request('GET', '/api/sessions?status=active');
+  const entry = listed.body.sessions.find(item => item.sessionName === 'team-registry');
+  assert.ok(entry);
+  assert.equal(entry.sessionKey, undefined);
+
+  const duplicate = await server.request('POST', '/api/sessions', { body: { sessionName: 'team-registry' }, headers: ALICE });
+  assert.equal(duplicate.status, 409);
+});
+
+test('sessions are ended by their host or an admin', async () => {
+  const sessionKey = await server.createSession('team-end');
+  const participantToken = await server.token(BOB, 'team-end', sessionKey, 0, 'Bob');
+  const hostToken = await server.token(ALICE, 'team-end', sessionKey, 1, 'Alice');
+
+  assert.equal((await server.request('DELETE', '/api/sessions/team-end')).status, 401);
+  assert.equal((await server.request('DELETE', '/api/sessions/team-end', { headers: bearer(participantToken) })).status, 403);
+
+  const ended = await server.request('DELETE', '/api/sessions/team-end', { headers: bearer(hostToken) });
+  assert.equal(ended.status, 200);
+  assert.equal(ended.body.status, 'ended');
+
+  const late = await server.request('POST', '/api/generate-token', {
+    body: { sessionName: 'team-end', sessionKey, role: 0, userIdentity: 'Carol' },
+    headers: BOB
+  });
+  assert.equal(late.status, 410);
+
+  await server.createSession('team-end-admin');
+  assert.equal((await server.request('DELETE', '/api/sessions/team-end-admin', { headers: bearer(ADMIN_TOKEN) })).status, 200);
+});
+
+test('the host of an earlier session with the same name cannot end the new one', async () => {
+  const oldKey = await server.createSession('team-rerun');
+  const oldHostToken = await server.token(ALICE, 'team-rerun', oldKey, 1, 'Alice');
+  assert.equal((await server.request('DELETE', '/api/sessions/team-rerun', { headers: bearer(oldHostToken) })).status, 200);
+
+  const newKey = await server.createSession('team-rerun');
+  assert.notEqual(newKey, oldKey);
+
+  const ended = await server.request('DELETE', '/api/sessions/team-rerun', { headers: bearer(oldHostToken) });
+  assert.equal(ended.status, 403);
+  assert.equal((await server.request('GET', '/api/sessions/team-rerun')).body.status, 'active');
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('only the host changes settings', async () => {
+  const sessionKey = await server.createSession('team-settings');
+  const participantToken = await server.token(BOB, 'team-settings', sessionKey, 0, 'Bob');
+  const hostToken = await server.token(ALICE, 'team-settings', sessionKey, 1, 'Alice');
+
+  const withKey = await server.request('PATCH', '/api/sessions/team-settings/settings', { body: { sessionKey, language: 'de-DE' } });
+  assert.equal(withKey.status, 401);
+
+  const asParticipant = await server.request('PATCH', '/api/sessions/team-settings/settings', {
+    body: { language: 'de-DE' },
+    headers: bearer(participantToken)
+  });
+  assert.equal(asParticipant.status, 403);
+
+  const asHost = await server.request('PATCH', '/api/sessions/team-settings/settings', {
+    body: { language: 'de-DE' },
+    headers: bearer(hostToken)
+  });
+  assert.equal(asHost.status, 200);
+  assert.equal((await server.request('GET', '/api/sessions/team-settings')).body.settings.language, 'de-DE');
+});
+
+test('refuses languages that are not BCP 47 tags', async () => {
+  const sessionKey = await server.createSession('team-settings-language');
+  const hostToken = await server.token(ALICE, 'team-settings-language', sessionKey, 1, 'Alice');
+
+  const response = await server.request('PATCH', '/api/sessions/team-settings-language/settings', {
+    body: { language: 'not a language' },
+    headers: bearer(hostToken)
+  });
+  assert.equal(response.status, 400);
+});
+
+test('the host of an earlier session with the same name cannot change the new one', async () => {
+  const oldKey = await server.createSession('team-settings-rerun');
+  const oldHostToken = await server.token(ALICE, 'team-settings-rerun', oldKey, 1, 'Alice');
+  await server.request('DELETE', '/api/sessions/team-settings-rerun', { headers: bearer(oldHostToken) });
+  await server.createSession('team-settings-rerun');
+
+  const response = await server.request('PATCH', '/api/sessions/team-settings-rerun/settings', {
+    body: { language: 'de-DE' },
+    headers: bearer(oldHostToken)
+  });
+  assert.equal(response.status, 403);
+});
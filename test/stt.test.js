@@ -0,0 +1,96 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockSttAdapter, createSttAdapter, MOCK_WORDS } = require('../lib/stt');
+
+const SAMPLE_RATE = 16000;
+
+// 16-bit mono PCM: a square wave loud enough to count as voiced, or silence
+function pcm(ms, amplitude) {
+  const samples = Math.round(SAMPLE_RATE * ms / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(i % 2 ? amplitude : -amplitude, i * 2);
+  }
+  return buffer;
+}
+
+const speech = ms => pcm(ms, 2000);
+const silence = ms => pcm(ms, 0);
+
+function collect(stream) {
+  const results = [];
+  stream.on('result', result => results.push(result));
+  return results;
+}
+
+describe('MockSttAdapter', () => {
+  test('emits a growing interim result per word of speech and a final one after silence', () => {
+    const stream = new MockSttAdapter().createStream({ sampleRate: SAMPLE_RATE });
+    const results = collect(stream);
+
+    stream.write(speech(1200));
+    assert.deepEqual(results.map(result => result.text), [
+      MOCK_WORDS[0],
+      MOCK_WORDS.slice(0, 2).join(' '),
+      MOCK_WORDS.slice(0, 3).join(' ')
+    ]);
+    assert.ok(results.every(result => result.final === false));
+
+    stream.write(silence(700));
+    assert.deepEqual(results.at(-1), { text: MOCK_WORDS.slice(0, 3).join(' '), final: true, confidence: 0.9 });
+  });
+
+  test('carries on with the next words in the following utterance', () => {
+    const stream = new MockSttAdapter().createStream({ sampleRate: SAMPLE_RATE });
+    const results = collect(stream);
+
+    stream.write(Buffer.concat([speech(400), silence(700), speech(400), silence(700)]));
+    assert.deepEqual(results.filter(result => result.final).map(result => result.text), [MOCK_WORDS[0], MOCK_WORDS[1]]);
+  });
+
+  test('handles audio split at any byte boundary', () => {
+    const audio = Buffer.concat([speech(800), silence(700)]);
+
+    const reference = new MockSttAdapter().createStream({ sampleRate: SAMPLE_RATE });
+    const expected = collect(reference);
+    reference.write(audio);
+
+    const stream = new MockSttAdapter().createStream({ sampleRate: SAMPLE_RATE });
+    const pieces = collect(stream);
+    for (let offset = 0; offset < audio.length; offset += 333) {
+      stream.write(audio.subarray(offset, offset + 333));
+    }
+    assert.equal(expected.length, 3);
+    assert.deepEqual(pieces, expected);
+  });
+
+  test('ignores quiet audio', () => {
+    const stream = new MockSttAdapter().createStream({ sampleRate: SAMPLE_RATE });
+    const results = collect(stream);
+
+    stream.write(pcm(2000, 100));
+    stream.end();
+    assert.deepEqual(results, []);
+  });
+
+  test('flushes the pending utterance on end and ignores audio afterwards', () => {
+    const stream = new MockSttAdapter().createStream({ sampleRate: SAMPLE_RATE });
+    const results = collect(stream);
+
+    stream.write(speech(400));
+    stream.end();
+    assert.deepEqual(results.at(-1), { text: MOCK_WORDS[0], final: true, confidence: 0.9 });
+
+    const count = results.length;
+    stream.write(speech(1200));
+    stream.end();
+    assert.equal(results.length, count);
+  });
+});
+
+describe('createSttAdapter', () => {
+  test('is disabled without STT_ADAPTER and builds the mock on request', () => {
+    assert.equal(createSttAdapter({}), null);
+    assert.equal(createSttAdapter({ STT_ADAPTER: 'mock' }).name, 'mock');
+  });
+});
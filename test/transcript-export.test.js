@@ -0,0 +1,102 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const TranscriptExport = require('../transcript-export');
+
+const SESSION_START = '2026-01-01T10:00:00.000Z';
+
+// A segment spoken between two offsets (seconds) from the session start
+function spoken(speaker, text, from, to) {
+  const at = seconds => new Date(Date.parse(SESSION_START) + seconds * 1000).toISOString();
+  return { speaker, text, startedAt: at(from), timestamp: at(to) };
+}
+
+const SEGMENTS = [
+  spoken('Bob', 'Thanks, <all> of you.', 65.25, 68),
+  spoken('Alice', 'Welcome everyone', 2, 4.5)
+];
+
+describe('exportTranscript', () => {
+  test('renders WebVTT cues relative to the session start, in time order, with voice tags', () => {
+    const file = TranscriptExport.exportTranscript(SEGMENTS, 'vtt', { sessionName: 'standup', sessionStart: SESSION_START });
+    assert.equal(file.mimeType, 'text/vtt');
+    assert.equal(file.filename, 'standup-transcript.vtt');
+    assert.equal(file.content, [
+      'WEBVTT',
+      '',
+      '1',
+      '00:00:02.000 --> 00:00:04.500',
+      '<v Alice>Welcome everyone',
+      '',
+      '2',
+      '00:01:05.250 --> 00:01:08.000',
+      '<v Bob>Thanks, &lt;all&gt; of you.',
+      ''
+    ].join('\n'));
+  });
+
+  test('renders SRT with comma milliseconds and the speaker in the text', () => {
+    const file = TranscriptExport.exportTranscript(SEGMENTS, 'srt', { sessionStart: SESSION_START });
+    assert.equal(file.mimeType, 'application/x-subrip');
+    assert.equal(file.filename, 'transcript.srt');
+    assert.equal(file.content, [
+      '1',
+      '00:00:02,000 --> 00:00:04,500',
+      'Alice: Welcome everyone',
+      '',
+      '2',
+      '00:01:05,250 --> 00:01:08,000',
+      'Bob: Thanks, <all> of you.',
+      ''
+    ].join('\n'));
+  });
+
+  test('stretches cues too short to show', () => {
+    const content = TranscriptExport.toSRT([spoken('Alice', 'Hi', 3, 3.2)], { sessionStart: SESSION_START });
+    assert.match(content, /00:00:03,000 --> 00:00:04,000/);
+  });
+
+  test('renders JSON with offsets in seconds and Markdown minutes', () => {
+    const json = JSON.parse(TranscriptExport.exportTranscript(SEGMENTS, 'json', { sessionName: 'standup', sessionStart: SESSION_START }).content);
+    assert.equal(json.sessionStart, SESSION_START);
+    assert.deepEqual(json.speakers, ['Alice', 'Bob']);
+    assert.deepEqual(json.segments.map(segment => [segment.start, segment.end]), [[2, 4.5], [65.25, 68]]);
+
+    const markdown = TranscriptExport.exportTranscript(SEGMENTS, 'md', { sessionName: 'standup', sessionStart: SESSION_START }).content;
+    assert.match(markdown, /^# Meeting minutes: standup\n/);
+    assert.match(markdown, /- \*\*Date:\*\* 2026-01-01 10:00 UTC/);
+    assert.match(markdown, /- \*\*Duration:\*\* 00:01:08/);
+    assert.match(markdown, /\*\*\[00:00:02\] Alice:\*\* Welcome everyone/);
+    assert.match(markdown, /\*\*\[00:01:05\] Bob:\*\* Thanks, \\<all\\> of you\./);
+  });
+
+  test('counts from the first segment without a session start', () => {
+    const content = TranscriptExport.toWebVTT(SEGMENTS);
+    assert.match(content, /00:00:00\.000 --> 00:00:02\.500\n<v Alice>/);
+  });
+
+  test('leaves out speech from before the session and cuts a segment that straddles its start', () => {
+    const segments = [
+      spoken('Alice', 'Left over from an earlier session', -120, -100),
+      spoken('Bob', 'Starting now', -1.5, 2),
+      ...SEGMENTS
+    ];
+    const content = TranscriptExport.toSRT(segments, { sessionStart: SESSION_START });
+    assert.doesNotMatch(content, /Left over/);
+    assert.match(content, /^1\n00:00:00,000 --> 00:00:02,000\nBob: Starting now\n/);
+    // Later cues keep their times
+    assert.match(content, /00:00:02,000 --> 00:00:04,500\nAlice: Welcome everyone/);
+  });
+
+  test('leaves out speech from after the session ended', () => {
+    const content = TranscriptExport.toWebVTT(SEGMENTS, {
+      sessionStart: SESSION_START,
+      sessionEnd: '2026-01-01T10:01:00.000Z'
+    });
+    assert.doesNotMatch(content, /Bob/);
+  });
+
+  test('refuses unknown formats', () => {
+    assert.deepEqual(TranscriptExport.FORMATS, ['vtt', 'srt', 'json', 'md']);
+    assert.throws(() => TranscriptExport.exportTranscript(SEGMENTS, 'docx'), /Unsupported transcript format "docx"/);
+  });
+});
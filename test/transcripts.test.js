@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+function segment(id, text, second) {
+  return {
+    id,
+    text,
+    startedAt: `2026-01-01T10:00:${String(second).padStart(2, '0')}.000Z`,
+    timestamp: `2026-01-01T10:00:${String(second + 1).padStart(2, '0')}.000Z`
+  };
+}
+
+async function upload(sessionName, token, segments) {
+  return server.request('POST', `/api/sessions/${sessionName}/transcripts`, { body: { segments }, headers: bearer(token) });
+}
+
+test('stores segments under the speaker of the token and pages through them', async () => {
+  const sessionKey = await server.createSession('team-transcript');
+  const token = await server.token(BOB, 'team-transcript', sessionKey, 0, 'Bob');
+
+  const stored = await upload('team-transcript', token, [segment('a', 'First', 1), segment('b', 'Second', 2), segment('c', 'Third', 3)]);
+  assert.equal(stored.status, 201);
+  assert.deepEqual(stored.body, { accepted: ['a', 'b', 'c'], stored: 3 });
+
+  // Retries are accepted but not stored twice
+  assert.deepEqual((await upload('team-transcript', token, [segment('c', 'Third', 3)])).body, { accepted: ['c'], stored: 0 });
+
+  const first = await server.request('GET', '/api/sessions/team-transcript/transcripts?limit=2', { headers: bearer(token) });
+  assert.deepEqual(first.body.segments.map(item => [item.text, item.speaker]), [['First', 'Bob'], ['Second', 'Bob']]);
+  assert.equal(first.body.nextCursor, 2);
+
+  const rest = await server.request('GET', `/api/sessions/team-transcript/transcripts?cursor=${first.body.nextCursor}`, { headers: bearer(token) });
+  assert.deepEqual(rest.body.segments.map(item => item.text), ['Third']);
+  assert.equal(rest.body.nextCursor, null);
+});
+
+test('refuses callers without a token for the session', async () => {
+  await server.createSession('team-transcript-auth');
+  const otherKey = await server.createSession('team-transcript-other');
+  const otherToken = await server.token(BOB, 'team-transcript-other', otherKey, 0, 'Bob');
+
+  assert.equal((await server.request('GET', '/api/sessions/team-transcript-auth/transcripts')).status, 401);
+  assert.equal((await server.request('GET', '/api/sessions/team-transcript-auth/transcripts', { headers: bearer(otherToken) })).status, 403);
+  assert.equal((await upload('team-transcript-auth', otherToken, [segment('a', 'Hello', 1)])).status, 403);
+});
+
+test('a session created again under the same name starts a new transcript', async () => {
+  const oldKey = await server.createSession('team-rerun');
+  const oldHostToken = await server.token(ALICE, 'team-rerun', oldKey, 1, 'Alice');
+  await upload('team-rerun', oldHostToken, [segment('secret', 'Confidential', 1)]);
+  await server.request('DELETE', '/api/sessions/team-rerun', { headers: bearer(oldHostToken) });
+
+  const newKey = await server.createSession('team-rerun');
+  const newToken = await server.token(BOB, 'team-rerun', newKey, 0, 'Bob');
+  const history = await server.request('GET', '/api/sessions/team-rerun/transcripts', { headers: bearer(newToken) });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.segments, []);
+
+  // The earlier host's token reads nothing of the new session
+  for (const route of ['transcripts', 'transcripts.md', 'insights', 'quality', 'zoom-events']) {
+    const response = await server.request('GET', `/api/sessions/team-rerun/${route}`, { headers: bearer(oldHostToken) });
+    assert.equal(response.status, 403, route);
+  }
+  assert.equal((await upload('team-rerun', oldHostToken, [segment('late', 'Late', 2)])).status, 403);
+});
@@ -0,0 +1,127 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { WaitingRoom } = require('../lib/waiting-room');
+const { EventStreamHub } = require('../lib/event-stream');
+const { startServer, bearer, ALICE, BOB } = require('./helpers/server');
+
+function statusOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+}
+
+describe('WaitingRoom', () => {
+  test('hands an admission out once, and only to the caller who asked', () => {
+    const room = new WaitingRoom(new EventStreamHub());
+    const entry = room.request('team-a', { userIdentity: 'Bob', options: {}, requestedBy: 'api-key:bob' });
+
+    assert.equal(statusOf(() => room.collect(entry.ticket, 'api-key:bob')), 409);
+    room.admit('team-a', entry.id, 'Alice');
+
+    assert.equal(statusOf(() => room.collect(entry.ticket, 'api-key:mallory')), 403);
+    assert.equal(room.collect(entry.ticket, 'api-key:bob').userIdentity, 'Bob');
+    assert.equal(statusOf(() => room.collect(entry.ticket, 'api-key:bob')), 404);
+  });
+
+  test('keeps the queue in order and turns everyone away when the session ends', () => {
+    const room = new WaitingRoom(new EventStreamHub());
+    const bob = room.request('team-a', { userIdentity: 'Bob', options: {}, requestedBy: 'api-key:bob' });
+    const carol = room.request('team-a', { userIdentity: 'Carol', options: {}, requestedBy: 'api-key:carol' });
+    assert.deepEqual(room.queue('team-a').map(entry => entry.userIdentity), ['Bob', 'Carol']);
+    assert.equal(room.position(carol), 2);
+
+    room.admit('team-a', bob.id, 'Alice');
+    room.closeSession('team-a');
+    assert.equal(carol.status, 'closed');
+    // An admission nobody collected does not carry over to a new session with the same name
+    assert.equal(statusOf(() => room.collect(bob.ticket, 'api-key:bob')), 403);
+  });
+});
+
+describe('waiting room routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  async function ask(sessionName, sessionKey, userIdentity, headers) {
+    const response = await server.request('POST', `/api/sessions/${sessionName}/waiting-room`, {
+      body: { sessionKey, userIdentity },
+      headers
+    });
+    assert.equal(response.status, 202, JSON.stringify(response.body));
+    return response.body;
+  }
+
+  test('participants wait until a host admits them', async () => {
+    const sessionKey = await server.createSession('team-lobby', { waitingRoom: true });
+    const hostToken = await server.token(ALICE, 'team-lobby', sessionKey, 1, 'Alice');
+
+    const direct = await server.request('POST', '/api/generate-token', {
+      body: { sessionName: 'team-lobby', sessionKey, role: 0, userIdentity: 'Bob' },
+      headers: BOB
+    });
+    assert.equal(direct.status, 403);
+    assert.equal(direct.body.code, 'waiting_room');
+
+    const { ticket, id } = await ask('team-lobby', sessionKey, 'Bob', BOB);
+    const early = await server.request('POST', `/api/waiting-room/${ticket}/token`, { headers: BOB });
+    assert.equal(early.status, 409);
+
+    const queue = await server.request('GET', '/api/sessions/team-lobby/waiting-room', { headers: bearer(hostToken) });
+    assert.deepEqual(queue.body.waiting.map(entry => entry.userIdentity), ['Bob']);
+
+    const admitted = await server.request('POST', `/api/sessions/team-lobby/waiting-room/${id}/admit`, { headers: bearer(hostToken) });
+    assert.equal(admitted.status, 200);
+    assert.equal((await server.request('GET', `/api/waiting-room/${ticket}`)).body.status, 'admitted');
+
+    const collected = await server.request('POST', `/api/waiting-room/${ticket}/token`, { headers: BOB });
+    assert.equal(collected.status, 200);
+    assert.equal(collected.body.userIdentity, 'Bob');
+  });
+
+  test('the token goes only to the caller who queued the request', async () => {
+    const sessionKey = await server.createSession('team-lobby-ticket', { waitingRoom: true });
+    const hostToken = await server.token(ALICE, 'team-lobby-ticket', sessionKey, 1, 'Alice');
+    const { ticket } = await ask('team-lobby-ticket', sessionKey, 'Bob', BOB);
+    await server.request('POST', '/api/sessions/team-lobby-ticket/waiting-room/admit-all', { headers: bearer(hostToken) });
+
+    assert.equal((await server.request('POST', `/api/waiting-room/${ticket}/token`)).status, 401);
+    assert.equal((await server.request('POST', `/api/waiting-room/${ticket}/token`, { headers: ALICE })).status, 403);
+    assert.equal((await server.request('POST', `/api/waiting-room/${ticket}/token`, { headers: BOB })).status, 200);
+  });
+
+  test('host routes need a host token of the current session', async () => {
+    const oldKey = await server.createSession('team-lobby-rerun', { waitingRoom: true });
+    const oldHostToken = await server.token(ALICE, 'team-lobby-rerun', oldKey, 1, 'Alice');
+    await server.request('DELETE', '/api/sessions/team-lobby-rerun', { headers: bearer(oldHostToken) });
+
+    const sessionKey = await server.createSession('team-lobby-rerun', { waitingRoom: true });
+    const hostToken = await server.token(ALICE, 'team-lobby-rerun', sessionKey, 1, 'Alice');
+    const code = await server.invite('team-lobby-rerun', hostToken);
+    const participant = await server.request('POST', '/api/invites/redeem', { body: { code, userIdentity: 'Carol' }, headers: BOB });
+    const { id } = await ask('team-lobby-rerun', sessionKey, 'Bob', BOB);
+
+    const routes = [
+      ['GET', '/api/sessions/team-lobby-rerun/waiting-room'],
+      ['GET', `/api/sessions/team-lobby-rerun/waiting-room/events?token=${encodeURIComponent(oldHostToken)}`],
+      ['POST', `/api/sessions/team-lobby-rerun/waiting-room/${id}/admit`],
+      ['POST', `/api/sessions/team-lobby-rerun/waiting-room/${id}/deny`],
+      ['POST', '/api/sessions/team-lobby-rerun/waiting-room/admit-all']
+    ];
+    for (const [method, url] of routes) {
+      const response = await fetch(`${server.baseUrl}${url}`, { method, headers: bearer(oldHostToken) });
+      assert.equal(response.status, 403, `${method} ${url}`);
+      await response.body.cancel();
+    }
+    assert.equal((await server.request('GET', '/api/sessions/team-lobby-rerun/waiting-room')).status, 401);
+    assert.equal((await server.request('GET', '/api/sessions/team-lobby-rerun/waiting-room', { headers: bearer(participant.body.token) })).status, 403);
+    assert.equal((await server.request('GET', '/api/sessions/team-lobby-rerun/waiting-room', { headers: bearer(hostToken) })).status, 200);
+  });
+});
@@ -0,0 +1,147 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZoomWebhookVerifier, ZoomEventLog, signZoomWebhook, normalizeZoomEvent } = require('../lib/zoom-webhooks');
+const { startServer, bearer, ALICE } = require('./helpers/server');
+
+const SECRET = 'webhook-secret';
+
+// Just enough of an Express request for the verifier
+function signedRequest(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const raw = JSON.stringify(body);
+  const headers = {
+    'x-zm-signature': signZoomWebhook(secret, timestamp, raw),
+    'x-zm-request-timestamp': String(timestamp)
+  };
+  return { rawBody: Buffer.from(raw), get: name => headers[name.toLowerCase()], headers };
+}
+
+function statusOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+}
+
+function userEvent(event, sessionName, userId, eventTs) {
+  return {
+    event,
+    event_ts: eventTs,
+    payload: {
+      account_id: 'acct',
+      object: { session_id: 'zoom-session', session_name: sessionName, user: { id: userId, name: `User ${userId}` } }
+    }
+  };
+}
+
+describe('ZoomWebhookVerifier', () => {
+  test('accepts a valid signature and refuses the same request again with 409', () => {
+    const verifier = new ZoomWebhookVerifier(SECRET);
+    const req = signedRequest({ event: 'session.started' });
+
+    assert.equal(statusOf(() => verifier.verify(req)), null);
+    assert.equal(statusOf(() => verifier.verify(req)), 409);
+  });
+
+  test('refuses bad signatures, missing headers and old timestamps with 401', () => {
+    const verifier = new ZoomWebhookVerifier(SECRET);
+    assert.equal(statusOf(() => verifier.verify(signedRequest({ event: 'session.started' }, { secret: 'wrong' }))), 401);
+    assert.equal(statusOf(() => verifier.verify({ rawBody: Buffer.from('{}'), get: () => undefined })), 401);
+
+    const stale = Math.floor(Date.now() / 1000) - 600;
+    assert.equal(statusOf(() => verifier.verify(signedRequest({ event: 'session.started' }, { timestamp: stale }))), 401);
+  });
+});
+
+describe('ZoomEventLog', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoom-events-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('stores each event once, pages through them and survives a restart', async () => {
+    const log = new ZoomEventLog(dir);
+    const joined = normalizeZoomEvent(userEvent('session.user_joined', 'team-a', 'u1', Date.UTC(2026, 0, 1, 10))).entry;
+    const left = normalizeZoomEvent(userEvent('session.user_left', 'team-a', 'u1', Date.UTC(2026, 0, 1, 11))).entry;
+
+    assert.equal((await log.append('team-a', [joined, joined])).length, 1);
+    assert.equal((await log.append('team-a', [joined, left])).length, 1);
+
+    const first = await log.read('team-a', { limit: 1 });
+    assert.deepEqual(first.events.map(entry => entry.event), ['session.user_joined']);
+    assert.equal(first.nextCursor, 1);
+    const rest = await log.read('team-a', { cursor: first.nextCursor });
+    assert.deepEqual(rest.events.map(entry => [entry.event, entry.seq]), [['session.user_left', 2]]);
+    assert.equal(rest.nextCursor, null);
+
+    const reopened = new ZoomEventLog(dir);
+    assert.equal((await reopened.read('team-a', { events: ['session.user_left'] })).events.length, 1);
+    assert.equal((await reopened.append('team-a', [left])).length, 0);
+  });
+
+  test('keeps only the most recently used logs in memory and summarizes from a given time', async () => {
+    const log = new ZoomEventLog(dir, { cacheSize: 2 });
+    for (const name of ['team-b', 'team-c', 'team-d']) {
+      await log.append(name, [normalizeZoomEvent(userEvent('session.user_joined', name, 'u1', Date.UTC(2026, 0, 1, 10))).entry]);
+    }
+    assert.deepEqual([...log.cache.keys()], ['team-c', 'team-d']);
+
+    await log.append('team-b', [normalizeZoomEvent(userEvent('session.user_joined', 'team-b', 'u2', Date.UTC(2026, 0, 1, 12))).entry]);
+    assert.deepEqual((await log.activity('team-b')).participants.map(user => user.name), ['User u1', 'User u2']);
+    assert.deepEqual((await log.activity('team-b', { from: '2026-01-01T11:00:00.000Z' })).participants.map(user => user.name), ['User u2']);
+  });
+});
+
+describe('webhook route', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ ZOOM_WEBHOOK_SECRET_TOKEN: SECRET });
+  });
+
+  after(() => server.stop());
+
+  async function post(req) {
+    const response = await fetch(`${server.baseUrl}/api/webhooks/zoom`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...req.headers },
+      body: req.rawBody
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('stores signed events, refuses bad signatures with 401 and replays with 409', async () => {
+    const sessionKey = await server.createSession('team-webhooks');
+    const token = await server.token(ALICE, 'team-webhooks', sessionKey, 1, 'Alice');
+    const body = userEvent('session.user_joined', 'team-webhooks', 'u1', Date.now());
+    const req = signedRequest(body);
+
+    const stored = await post(req);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.stored, true);
+
+    assert.equal((await post(req)).status, 409);
+    assert.equal((await post(signedRequest(body, { secret: 'wrong' }))).status, 401);
+
+    const events = await server.request('GET', '/api/sessions/team-webhooks/zoom-events', { headers: bearer(token) });
+    assert.equal(events.status, 200);
+    assert.deepEqual(events.body.events.map(entry => entry.user.id), ['u1']);
+  });
+
+  test('leaves out events of an earlier session with the same name', async () => {
+    const body = userEvent('session.user_joined', 'team-webhooks-rerun', 'u1', Date.now() - 60 * 1000);
+    await post(signedRequest(body));
+
+    const sessionKey = await server.createSession('team-webhooks-rerun');
+    const token = await server.token(ALICE, 'team-webhooks-rerun', sessionKey, 1, 'Alice');
+    const events = await server.request('GET', '/api/sessions/team-webhooks-rerun/zoom-events', { headers: bearer(token) });
+    assert.deepEqual(events.body.events, []);
+  });
+});
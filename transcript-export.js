@@ -0,0 +1,253 @@
+/**
+ * Transcript Export
+ * Turns transcript segments into WebVTT, SRT, JSON and Markdown minutes.
+ * Loaded by the browser (window.TranscriptExport) and by the server (require).
+ *
+ * Segments may come from TranscriptionManager ({ user, text, startedAt, timestamp, ... })
+ * or from the server store ({ speaker, ... }); both shapes are accepted.
+ *
+ * `options.sessionStart` and `options.sessionEnd` (ISO timestamps) bound the export: cue times
+ * count from the start, and speech from outside the session is left out.
+ *
+ * Pass `options.chat` (SessionChat messages: { sender, receiver, private, text, timestamp })
+ * to include the chat log in the JSON and Markdown exports. Caption formats leave it out.
+ */
+(function (root) {
+    // Cues shorter than this are stretched so players can show them
+    const MIN_CUE_MS = 1000;
+
+    const FORMATS = {
+        vtt: { mimeType: 'text/vtt', extension: 'vtt', render: toWebVTT },
+        srt: { mimeType: 'application/x-subrip', extension: 'srt', render: toSRT },
+        json: { mimeType: 'application/json', extension: 'json', render: toJSON },
+        md: { mimeType: 'text/markdown', extension: 'md', render: toMarkdown }
+    };
+
+    /**
+     * Normalize segments into timed cues, ordered by start, relative to the session start.
+     * Segments that end before the session start are left out and one that straddles it is
+     * cut to start at 0; with `sessionEnd`, segments that start after it are left out too.
+     */
+    function toCues(segments, sessionStart, sessionEnd) {
+        const sorted = segments
+            .map(segment => {
+                const end = Date.parse(segment.timestamp);
+                const start = Date.parse(segment.startedAt || segment.timestamp);
+                return {
+                    id: segment.id,
+                    speaker: segment.speaker || segment.user || 'Unknown',
+                    text: String(segment.text || '').trim(),
+                    confidence: segment.confidence ?? null,
+                    language: segment.language || null,
+                    startedAt: new Date(start).toISOString(),
+                    timestamp: new Date(end).toISOString(),
+                    absStart: start,
+                    absEnd: end
+                };
+            })
+            .filter(cue => cue.text && !isNaN(cue.absStart) && !isNaN(cue.absEnd))
+            .sort((a, b) => a.absStart - b.absStart);
+
+        const origin = resolveSessionStart(sorted, sessionStart);
+        const close = sessionEnd ? Date.parse(sessionEnd) : NaN;
+
+        return sorted
+            .filter(cue => cue.absEnd >= origin && (isNaN(close) || cue.absStart <= close))
+            .map(cue => {
+                const start = Math.max(cue.absStart - origin, 0);
+                const end = Math.max(cue.absEnd - origin, start + MIN_CUE_MS);
+                return { ...cue, start, end };
+            });
+    }
+
+    /**
+     * Chat messages in time order, with offsets from the session start
+     */
+    function toChatEntries(messages, origin) {
+        return (messages || [])
+            .map(message => ({
+                sender: message.sender || 'Unknown',
+                receiver: message.private ? message.receiver || null : null,
+                private: !!message.private,
+                text: String(message.text || '').trim(),
+                timestamp: message.timestamp,
+                time: Date.parse(message.timestamp)
+            }))
+            .filter(entry => entry.text && !isNaN(entry.time))
+            .sort((a, b) => a.time - b.time)
+            .map(({ time, ...entry }) => ({ ...entry, offset: Math.max(time - origin, 0) }));
+    }
+
+    // The given session start; without one, the start of the first cue
+    function resolveSessionStart(cues, sessionStart) {
+        const given = sessionStart ? Date.parse(sessionStart) : NaN;
+        if (!isNaN(given)) return given;
+        return cues.length ? cues[0].absStart : Date.now();
+    }
+
+    /**
+     * WebVTT with voice tags: <v Speaker>text
+     */
+    function toWebVTT(segments, options = {}) {
+        const cues = toCues(segments, options.sessionStart, options.sessionEnd);
+        const body = cues.map((cue, index) => [
+            String(index + 1),
+            `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+            `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}`
+        ].join('\n'));
+
+        return ['WEBVTT', ...body].join('\n\n') + '\n';
+    }
+
+    /**
+     * SubRip, with the speaker prefixed to each cue
+     */
+    function toSRT(segments, options = {}) {
+        const cues = toCues(segments, options.sessionStart, options.sessionEnd);
+        return cues.map((cue, index) => [
+            String(index + 1),
+            `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+            `${cue.speaker}: ${cue.text}`
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Structured JSON with offsets in seconds from the session start
+     */
+    function toJSON(segments, options = {}) {
+        const cues = toCues(segments, options.sessionStart, options.sessionEnd);
+        const origin = resolveSessionStart(cues, options.sessionStart);
+
+        return JSON.stringify({
+            sessionName: options.sessionName || null,
+            sessionStart: new Date(origin).toISOString(),
+            exportedAt: new Date().toISOString(),
+            speakers: [...new Set(cues.map(cue => cue.speaker))],
+            segments: cues.map(cue => ({
+                id: cue.id,
+                speaker: cue.speaker,
+                text: cue.text,
+                start: cue.start / 1000,
+                end: cue.end / 1000,
+                startedAt: cue.startedAt,
+                timestamp: cue.timestamp,
+                confidence: cue.confidence,
+                language: cue.language
+            })),
+            ...(options.chat ? {
+                chat: toChatEntries(options.chat, origin).map(({ offset, ...entry }) => ({ ...entry, time: offset / 1000 }))
+            } : {})
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Readable minutes: header, participants and the transcript grouped by speaker turn
+     */
+    function toMarkdown(segments, options = {}) {
+        const cues = toCues(segments, options.sessionStart, options.sessionEnd);
+        const origin = resolveSessionStart(cues, options.sessionStart);
+        const duration = cues.length ? cues[cues.length - 1].end : 0;
+        const speakers = [...new Set(cues.map(cue => cue.speaker))];
+
+        const lines = [
+            `# Meeting minutes${options.sessionName ? `: ${escapeMarkdown(options.sessionName)}` : ''}`,
+            '',
+            `- **Date:** ${new Date(origin).toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+            `- **Duration:** ${formatTimestamp(duration, '.').slice(0, 8)}`,
+            `- **Participants:** ${speakers.length ? speakers.map(escapeMarkdown).join(', ') : 'none'}`,
+            '',
+            '## Transcript',
+            ''
+        ];
+
+        // Consecutive segments from the same speaker form one paragraph
+        let turn = null;
+        for (const cue of cues) {
+            if (turn && turn.speaker === cue.speaker) {
+                turn.text.push(cue.text);
+                continue;
+            }
+            if (turn) lines.push(renderTurn(turn), '');
+            turn = { speaker: cue.speaker, start: cue.start, text: [cue.text] };
+        }
+        if (turn) lines.push(renderTurn(turn), '');
+
+        if (!cues.length) {
+            lines.push('_No transcript was recorded._', '');
+        }
+
+        const chat = toChatEntries(options.chat, origin);
+        if (chat.length) {
+            lines.push('## Chat', '');
+            chat.forEach(entry => {
+                const time = formatTimestamp(entry.offset, '.').slice(0, 8);
+                const to = entry.private ? ` → ${escapeMarkdown(entry.receiver || 'Unknown')} (private)` : '';
+                lines.push(`- **[${time}] ${escapeMarkdown(entry.sender)}${to}:** ${escapeMarkdown(entry.text)}`);
+            });
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    function renderTurn(turn) {
+        const time = formatTimestamp(turn.start, '.').slice(0, 8);
+        return `**[${time}] ${escapeMarkdown(turn.speaker)}:** ${escapeMarkdown(turn.text.join(' '))}`;
+    }
+
+    /**
+     * Render segments in one of the FORMATS
+     * Returns { content, mimeType, filename }
+     */
+    function exportTranscript(segments, format, options = {}) {
+        const spec = FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported transcript format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+        }
+
+        const baseName = options.sessionName ? `${options.sessionName}-transcript` : 'transcript';
+        return {
+            content: spec.render(segments, options),
+            mimeType: spec.mimeType,
+            filename: `${baseName}.${spec.extension}`
+        };
+    }
+
+    // HH:MM:SS<sep>mmm
+    function formatTimestamp(ms, separator) {
+        const total = Math.max(Math.round(ms), 0);
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor((total % 3600000) / 60000);
+        const seconds = Math.floor((total % 60000) / 1000);
+        const millis = total % 1000;
+        return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+    }
+
+    function pad(value, length) {
+        return String(value).padStart(length, '0');
+    }
+
+    function escapeVtt(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, ' ');
+    }
+
+    function escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    }
+
+    const TranscriptExport = {
+        FORMATS: Object.keys(FORMATS),
+        exportTranscript,
+        toWebVTT,
+        toSRT,
+        toJSON,
+        toMarkdown,
+        formatTimestamp
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TranscriptExport;
+    } else {
+        root.TranscriptExport = TranscriptExport;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,416 @@
+/**
+ * Video Layout
+ * One tile per participant inside a <video-player-container>, in gallery or speaker view.
+ * Tiles show the participant's name, a mute indicator, network quality bars (see setNetworkQuality),
+ * and their initials while video is off.
+ * Video is attached only for tiles on the current page that are scrolled into view, and a page
+ * holds no more tiles than the device can render (stream.getMaxRenderableVideos()).
+ * Browser only (window.VideoLayout); used by ZoomVideoApp and by create-session.html.
+ */
+(function (root) {
+    // SDK VideoQuality values
+    const QUALITY_180P = 1;
+    const QUALITY_360P = 2;
+    const QUALITY_720P = 3;
+
+    const DEFAULT_PAGE_SIZE = 9;
+    const MAX_PAGE_SIZE = 25;
+    // attachVideo fails with these while the sender's video is still starting; the next render retries
+    const VIDEO_NOT_READY_CODES = [6001, 6112];
+
+    const MODES = ['gallery', 'speaker'];
+
+    // SDK network levels (0-5) by the SDK's own words, and how many bars each lights
+    const NETWORK_BARS = { bad: 1, normal: 2, good: 3 };
+
+    class VideoLayout {
+        constructor(container, { mode = 'gallery', pageSize = null } = {}) {
+            this.container = container;
+            this.mode = MODES.includes(mode) ? mode : 'gallery';
+            this.requestedPageSize = pageSize;
+            this.pageSize = pageSize || DEFAULT_PAGE_SIZE;
+            this.page = 0;
+            this.client = null;
+            this.stream = null;
+            this.selfId = null;
+            // Tiles by user id, in join order
+            this.tiles = new Map();
+            // Featured in speaker view: whoever is talking, or the last one who did
+            this.activeSpeakerId = null;
+            // While a screen share is shown the tiles shrink to a strip beside it
+            this.sharing = false;
+            // { uplink, downlink } by user id; kept apart from tiles so levels reported early are not lost
+            this.networkQuality = new Map();
+            this.handlers = {};
+            this.observer = typeof IntersectionObserver === 'function'
+                ? new IntersectionObserver(entries => this.onIntersection(entries))
+                : null;
+        }
+
+        /**
+         * Start following the session's participants
+         */
+        attach(client, stream) {
+            this.client = client;
+            this.stream = stream;
+            this.selfId = client.getCurrentUserInfo()?.userId ?? null;
+
+            const renderable = typeof stream.getMaxRenderableVideos === 'function' ? stream.getMaxRenderableVideos() : 0;
+            this.pageSize = Math.min(this.requestedPageSize || renderable || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+            this.handlers = {
+                'user-added': () => this.sync(),
+                'user-removed': () => this.sync(),
+                'user-updated': () => this.sync(),
+                'peer-video-state-change': (payload) => this.setVideoOn(payload.userId, payload.action === 'Start'),
+                'video-active-change': () => this.render(),
+                'active-speaker': (payload) => {
+                    const speakers = Array.isArray(payload) ? payload : [payload];
+                    if (speakers.length) this.setActiveSpeaker(speakers[0].userId);
+                }
+            };
+            Object.entries(this.handlers).forEach(([event, handler]) => client.on(event, handler));
+
+            this.sync();
+        }
+
+        /**
+         * Stop following the session and remove every tile. Call before leaving.
+         */
+        detach() {
+            if (this.client) {
+                Object.entries(this.handlers).forEach(([event, handler]) => this.client.off(event, handler));
+            }
+            [...this.tiles.keys()].forEach(userId => this.removeTile(userId));
+
+            this.handlers = {};
+            this.client = null;
+            this.stream = null;
+            this.activeSpeakerId = null;
+            this.sharing = false;
+            this.networkQuality.clear();
+            this.page = 0;
+            this.onLayoutChanged(this.state());
+        }
+
+        /**
+         * Reconcile tiles with the SDK's participant list
+         */
+        sync() {
+            if (!this.client) return;
+
+            const users = this.client.getAllUser();
+            const present = new Set(users.map(user => user.userId));
+            [...this.tiles.keys()]
+                .filter(userId => !present.has(userId))
+                .forEach(userId => this.removeTile(userId));
+            users.forEach(user => this.updateTile(user));
+
+            this.render();
+        }
+
+        setVideoOn(userId, on) {
+            const tile = this.tiles.get(userId);
+            if (!tile) return;
+            this.updateTile({ ...tile.user, bVideoOn: on });
+            this.render();
+        }
+
+        setActiveSpeaker(userId) {
+            if (userId === this.activeSpeakerId || !this.tiles.has(userId)) return;
+
+            this.activeSpeakerId = userId;
+            this.tiles.forEach((tile, id) => tile.element.classList.toggle('speaking', id === userId));
+            if (this.mode === 'speaker') {
+                this.render();
+            }
+        }
+
+        /**
+         * Show a participant's network levels (0-5, null when unknown). The bars follow the weaker
+         * direction.
+         */
+        setNetworkQuality(userId, { uplink = null, downlink = null } = {}) {
+            this.networkQuality.set(userId, { uplink, downlink });
+            const tile = this.tiles.get(userId);
+            if (tile) {
+                this.renderNetwork(tile);
+            }
+        }
+
+        renderNetwork(tile) {
+            const { uplink = null, downlink = null } = this.networkQuality.get(tile.user.userId) || {};
+            const levels = [uplink, downlink].filter(level => level !== null);
+            const quality = levels.length ? networkRating(Math.min(...levels)) : null;
+
+            tile.network.hidden = !quality;
+            if (!quality) return;
+            tile.network.dataset.quality = quality;
+            [...tile.network.children].forEach((bar, index) => bar.classList.toggle('lit', index < NETWORK_BARS[quality]));
+            tile.network.title = `Network: ${quality} (uplink ${uplink ?? '?'}, downlink ${downlink ?? '?'} of 5)`;
+        }
+
+        setMode(mode) {
+            if (!MODES.includes(mode)) {
+                throw new Error(`Unknown layout "${mode}"`);
+            }
+            this.mode = mode;
+            this.page = 0;
+            this.render();
+        }
+
+        /**
+         * Shrink to a strip of small tiles while a screen share takes the main area. The chosen
+         * mode comes back when the share ends.
+         */
+        setSharing(sharing) {
+            if (this.sharing === !!sharing) return;
+            this.sharing = !!sharing;
+            this.page = 0;
+            this.render();
+        }
+
+        setPage(page) {
+            this.page = Math.max(0, Math.min(page, this.pageCount() - 1));
+            this.render();
+        }
+
+        nextPage() {
+            this.setPage(this.page + 1);
+        }
+
+        previousPage() {
+            this.setPage(this.page - 1);
+        }
+
+        state() {
+            return {
+                mode: this.mode,
+                sharing: this.sharing,
+                page: this.page,
+                pageCount: this.pageCount(),
+                pageSize: this.pageSize,
+                participants: this.tiles.size
+            };
+        }
+
+        updateTile(user) {
+            let tile = this.tiles.get(user.userId);
+            if (!tile) {
+                tile = this.createTile(user);
+                this.tiles.set(user.userId, tile);
+            }
+
+            tile.user = { ...tile.user, ...user };
+            const name = tile.user.displayName || String(tile.user.userId);
+            tile.name.textContent = tile.user.userId === this.selfId ? `${name} (You)` : name;
+            tile.avatar.textContent = initials(name);
+            tile.mute.hidden = !tile.user.muted;
+            tile.element.classList.toggle('video-off', !tile.user.bVideoOn);
+        }
+
+        createTile(user) {
+            const element = document.createElement('div');
+            element.className = 'video-tile';
+            element.dataset.userId = user.userId;
+
+            const avatar = document.createElement('div');
+            avatar.className = 'video-tile-avatar';
+
+            const label = document.createElement('div');
+            label.className = 'video-tile-label';
+            const mute = document.createElement('span');
+            mute.className = 'video-tile-mute';
+            mute.textContent = '🔇';
+            mute.title = 'Muted';
+            const name = document.createElement('span');
+            const network = document.createElement('span');
+            network.className = 'video-tile-network';
+            network.hidden = true;
+            network.append(...Object.keys(NETWORK_BARS).map(() => document.createElement('i')));
+            label.append(mute, name, network);
+
+            element.append(avatar, label);
+            this.container.appendChild(element);
+            if (this.observer) {
+                this.observer.observe(element);
+            }
+
+            const tile = {
+                user,
+                element,
+                avatar,
+                label,
+                name,
+                mute,
+                network,
+                player: null,
+                quality: null,
+                // Whether the tile is scrolled into view (updated by the IntersectionObserver)
+                inView: !this.observer,
+                wanted: { show: false, quality: null },
+                // attachVideo / detachVideo calls for a tile run one at a time
+                queue: Promise.resolve()
+            };
+            this.renderNetwork(tile);
+            return tile;
+        }
+
+        removeTile(userId) {
+            const tile = this.tiles.get(userId);
+            if (!tile) return;
+
+            this.tiles.delete(userId);
+            this.networkQuality.delete(userId);
+            if (this.observer) {
+                this.observer.unobserve(tile.element);
+            }
+            if (tile.player && this.stream) {
+                const stream = this.stream;
+                tile.queue = tile.queue
+                    .then(() => stream.detachVideo(userId, tile.player))
+                    .catch(error => console.warn(`Could not detach video for ${userId}:`, error));
+            }
+            tile.element.remove();
+            if (this.activeSpeakerId === userId) {
+                this.activeSpeakerId = null;
+            }
+        }
+
+        /**
+         * The featured participant in speaker view: the active speaker, else the first other
+         * participant, else ourselves
+         */
+        featuredId() {
+            if (this.tiles.has(this.activeSpeakerId)) return this.activeSpeakerId;
+            const ids = [...this.tiles.keys()];
+            return ids.find(id => id !== this.selfId) ?? ids[0] ?? null;
+        }
+
+        /**
+         * Tiles in display order, split into the featured tile (speaker view only, and not while
+         * sharing) and the rest. We come first among the rest, then everyone else in join order.
+         */
+        arrange() {
+            const featuredId = this.mode === 'speaker' && !this.sharing ? this.featuredId() : null;
+            const rest = [...this.tiles.values()]
+                .filter(tile => tile.user.userId !== featuredId)
+                .sort((a, b) => (b.user.userId === this.selfId) - (a.user.userId === this.selfId));
+            return { featured: featuredId !== null ? this.tiles.get(featuredId) : null, rest };
+        }
+
+        perPage(featured) {
+            return Math.max(this.pageSize - (featured ? 1 : 0), 1);
+        }
+
+        pageCount() {
+            const { featured, rest } = this.arrange();
+            return Math.max(Math.ceil(rest.length / this.perPage(featured)), 1);
+        }
+
+        render() {
+            const { featured, rest } = this.arrange();
+            const perPage = this.perPage(featured);
+            this.page = Math.min(this.page, Math.max(Math.ceil(rest.length / perPage), 1) - 1);
+
+            const onPage = rest.slice(this.page * perPage, (this.page + 1) * perPage);
+            const visible = featured ? [featured, ...onPage] : onPage;
+            const columns = this.mode === 'speaker' || this.sharing
+                ? Math.max(onPage.length, 1)
+                : Math.ceil(Math.sqrt(visible.length || 1));
+
+            this.container.dataset.layout = this.sharing ? 'sharing' : this.mode;
+            this.container.style.setProperty('--columns', columns);
+
+            [featured, ...rest].filter(Boolean).forEach((tile, index) => {
+                const shown = visible.includes(tile);
+                tile.element.hidden = !shown;
+                tile.element.style.order = index;
+                tile.element.classList.toggle('featured', tile === featured);
+
+                // Small tiles do not need full resolution
+                let quality = visible.length > 4 ? QUALITY_180P : QUALITY_360P;
+                if (tile === featured) quality = QUALITY_720P;
+                else if (featured || this.sharing) quality = QUALITY_180P;
+
+                this.updateVideo(tile, shown && tile.inView && !!tile.user.bVideoOn, quality);
+            });
+
+            this.onLayoutChanged(this.state());
+        }
+
+        updateVideo(tile, show, quality) {
+            tile.wanted = { show, quality };
+            tile.queue = tile.queue.then(() => this.applyVideo(tile));
+        }
+
+        /**
+         * Bring a tile's video in line with what the last render asked for
+         */
+        async applyVideo(tile) {
+            const userId = tile.user.userId;
+            const { show, quality } = tile.wanted;
+            if (!this.stream || this.tiles.get(userId) !== tile) return;
+
+            try {
+                if (show && (!tile.player || tile.quality !== quality)) {
+                    const player = await this.stream.attachVideo(userId, quality, tile.player || undefined);
+                    if (!(player instanceof Element)) throw player;
+
+                    if (!tile.player) {
+                        tile.element.insertBefore(player, tile.label);
+                    }
+                    tile.player = player;
+                    tile.quality = quality;
+                } else if (!show && tile.player) {
+                    const player = tile.player;
+                    tile.player = null;
+                    tile.quality = null;
+                    await this.stream.detachVideo(userId, player);
+                    player.remove();
+                }
+            } catch (error) {
+                if (!VIDEO_NOT_READY_CODES.includes(error?.errorCode)) {
+                    console.warn(`Could not update video for ${userId}:`, error);
+                }
+            }
+        }
+
+        onIntersection(entries) {
+            let changed = false;
+            entries.forEach(entry => {
+                const tile = this.tiles.get(Number(entry.target.dataset.userId));
+                if (tile && tile.inView !== entry.isIntersecting) {
+                    tile.inView = entry.isIntersecting;
+                    changed = true;
+                }
+            });
+            if (changed) {
+                this.render();
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onLayoutChanged(state) {
+            // { mode, sharing, page, pageCount, pageSize, participants }
+        }
+    }
+
+    function networkRating(level) {
+        if (level <= 1) return 'bad';
+        return level === 2 ? 'normal' : 'good';
+    }
+
+    function initials(name) {
+        return name
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map(word => word[0].toUpperCase())
+            .join('');
+    }
+
+    root.VideoLayout = VideoLayout;
+})(window);
@@ -0,0 +1,243 @@
+/**
+ * Voice Commands
+ * Turns utterances addressed to the app ("hey zoom, mute") into actions. Commands live in a
+ * registry: ZoomVideoApp registers the built-in ones and pages can add or replace their own.
+ * Loaded by the browser (window.VoiceCommands) and usable from Node (require).
+ *
+ * The command may follow the wake phrase in the same utterance or, because recognizers often
+ * finalize at the pause after "hey zoom", in the next one within `listenMs`.
+ * Commands marked `confirm` wait for "yes" / "no" (spoken, or confirm() / cancel() from a click).
+ */
+(function (root) {
+    const DEFAULT_WAKE_PHRASE = 'hey zoom';
+    const LISTEN_MS = 5000;
+    const CONFIRM_TIMEOUT_MS = 10000;
+
+    const YES = /^(?:yes|yeah|yep|sure|ok|okay|confirm|do it)$/;
+    const NO = /^(?:no|nope|cancel|never ?mind|don't)$/;
+    // Politeness around a command: "please mute", "could you start my video now"
+    const FILLER = /^(?:(?:please|can you|could you|would you)\s+)+|(?:\s+(?:please|now|for me))+$/g;
+
+    class VoiceCommands {
+        constructor({ wakePhrase = DEFAULT_WAKE_PHRASE, listenMs = LISTEN_MS, confirmTimeoutMs = CONFIRM_TIMEOUT_MS } = {}) {
+            this.commands = new Map();
+            this.enabled = true;
+            this.listenMs = listenMs;
+            this.confirmTimeoutMs = confirmTimeoutMs;
+            // After a bare wake phrase, the next utterance until this time is a command
+            this.listenUntil = 0;
+            // Command waiting for confirmation: { command, args, heard, timer }
+            this.pending = null;
+            this.setWakePhrase(wakePhrase);
+        }
+
+        setWakePhrase(phrase) {
+            const wakePhrase = normalize(phrase);
+            if (!wakePhrase) {
+                throw new Error('Wake phrase must contain at least one word');
+            }
+            this.wakePhrase = wakePhrase;
+            this.wakePattern = new RegExp(`(?:^|\\s)${escapeRegExp(wakePhrase)}(?:\\s+(.*))?$`);
+        }
+
+        /**
+         * Add a command, replacing one registered under the same name.
+         *   phrases      strings matched against the whole command ("mute me"), or RegExps tested
+         *                against the lower-case command text; capture groups become `args`
+         *   action       (args, heard) => any, may be async
+         *   confirm      ask first: true accepts a spoken or clicked yes, 'click' only a click
+         *                (browsers open pickers such as screen sharing only from a user gesture)
+         *   description  shown in toasts and help
+         */
+        register(name, { phrases, action, confirm = false, description = name }) {
+            if (typeof action !== 'function') {
+                throw new Error(`Voice command "${name}" needs an action`);
+            }
+
+            const list = (Array.isArray(phrases) ? phrases : [phrases])
+                .map(phrase => typeof phrase === 'string' ? normalize(phrase) : phrase)
+                .filter(Boolean);
+            if (!list.length) {
+                throw new Error(`Voice command "${name}" needs at least one phrase`);
+            }
+
+            this.commands.set(name, { name, phrases: list, action, confirm, description });
+            return this;
+        }
+
+        unregister(name) {
+            return this.commands.delete(name);
+        }
+
+        /**
+         * Registered commands, for help screens
+         */
+        list() {
+            return [...this.commands.values()].map(({ name, phrases, confirm, description }) => ({
+                name,
+                description,
+                confirm,
+                phrases: phrases.map(phrase => typeof phrase === 'string' ? phrase : phrase.source)
+            }));
+        }
+
+        /**
+         * The command text after the wake phrase: '' for the wake phrase alone, null when the
+         * utterance is not addressed to us
+         */
+        commandText(text) {
+            const match = this.wakePattern.exec(normalize(text));
+            return match ? (match[1] || '').trim() : null;
+        }
+
+        /**
+         * Whether an utterance (possibly still in progress) is meant for us, so it can be kept
+         * out of the transcript
+         */
+        isAddressed(text, time = Date.now()) {
+            if (!this.enabled) return false;
+            const awaitingReply = this.pending && this.pending.command.confirm !== 'click';
+            return this.commandText(text) !== null || time <= this.listenUntil || !!awaitingReply;
+        }
+
+        /**
+         * Find the command for `text` (without the wake phrase)
+         */
+        match(text) {
+            const heard = normalize(text);
+            const bare = heard.replace(FILLER, '');
+
+            for (const command of this.commands.values()) {
+                for (const phrase of command.phrases) {
+                    if (typeof phrase === 'string') {
+                        if (bare === phrase) return { command, args: [], heard };
+                        continue;
+                    }
+                    const result = phrase.exec(bare);
+                    if (result) return { command, args: result.slice(1), heard };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Offer a final utterance. Returns true when it was addressed to us, whether or not a
+         * command matched.
+         */
+        handle(text, time = Date.now()) {
+            if (!this.enabled) return false;
+
+            let commandText = this.commandText(text);
+
+            if (this.pending) {
+                const reply = (commandText ?? normalize(text)).replace(FILLER, '');
+                if (YES.test(reply) && this.pending.command.confirm !== 'click') {
+                    this.confirm();
+                    return true;
+                }
+                if (NO.test(reply)) {
+                    this.cancel();
+                    return true;
+                }
+            }
+
+            if (commandText === null) {
+                if (time > this.listenUntil) return false;
+                commandText = normalize(text);
+            }
+            this.listenUntil = 0;
+
+            if (!commandText) {
+                this.listenUntil = time + this.listenMs;
+                this.onWake();
+                return true;
+            }
+
+            const match = this.match(commandText);
+            if (!match) {
+                this.onUnknown(commandText);
+                return true;
+            }
+
+            this.onHeard(match.heard, match.command);
+
+            if (match.command.confirm) {
+                this.cancel();
+                this.pending = { ...match, timer: setTimeout(() => this.cancel(), this.confirmTimeoutMs) };
+                this.onConfirmRequest(match.command, match.heard);
+            } else {
+                this.execute(match);
+            }
+            return true;
+        }
+
+        /**
+         * Run the command waiting for confirmation
+         */
+        confirm() {
+            const pending = this.pending;
+            if (!pending) return Promise.resolve();
+
+            clearTimeout(pending.timer);
+            this.pending = null;
+            return this.execute(pending);
+        }
+
+        cancel() {
+            const pending = this.pending;
+            if (!pending) return;
+
+            clearTimeout(pending.timer);
+            this.pending = null;
+            this.onCancelled(pending.command);
+        }
+
+        async execute({ command, args, heard }) {
+            try {
+                const result = await command.action(args, heard);
+                this.onExecuted(command, result);
+                return result;
+            } catch (error) {
+                this.onError(command, error);
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onWake() {}
+
+        onHeard(heard, command) {}
+
+        onConfirmRequest(command, heard) {}
+
+        onExecuted(command, result) {}
+
+        onCancelled(command) {}
+
+        onUnknown(heard) {}
+
+        onError(command, error) {
+            console.error(`Voice command "${command.name}" failed:`, error);
+        }
+    }
+
+    // Lower case, punctuation removed ("Hey, Zoom. Mute!" -> "hey zoom mute")
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}'\s]+/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { VoiceCommands, DEFAULT_WAKE_PHRASE };
+    } else {
+        root.VoiceCommands = VoiceCommands;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,375 @@
+/**
+ * Waiting Room
+ * WaitingRoomLobby asks to join a session that has a waiting room and waits, through the lobby's
+ * event stream (or long-polling where EventSource is missing), until a host decides. Once admitted
+ * it collects the Video SDK token; the server issues none before that.
+ * WaitingRoomQueue gives hosts the live queue with admit, deny and admit all, and
+ * WaitingRoomPanel renders it.
+ * Browser only (window.WaitingRoomLobby, window.WaitingRoomQueue, window.WaitingRoomPanel);
+ * used by ZoomVideoApp and by create-session.html.
+ */
+(function (root) {
+    // Long-poll length, and reconnect delay after the host's queue stream is refused (e.g. token expired)
+    const POLL_WAIT_SECONDS = 25;
+    const RECONNECT_MS = 5000;
+
+    const OUTCOMES = {
+        denied: 'The host did not let you in',
+        expired: 'Nobody let you in in time',
+        closed: 'The session has ended',
+        left: 'You left the waiting room'
+    };
+
+    class WaitingRoomLobby {
+        /**
+         * `authToken` is the bearer token from our identity provider, when the server asks for one
+         */
+        constructor(sessionName, { authToken = null } = {}) {
+            this.sessionName = sessionName;
+            this.authToken = authToken;
+            this.ticket = null;
+            this.source = null;
+            this.settle = null;
+            this.cancelled = false;
+        }
+
+        /**
+         * Queue up and resolve with the token response once a host admits us.
+         * Rejects when the host denies us, the request times out, or cancel() is called.
+         */
+        async join({ sessionKey, userIdentity, options = {} }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.authToken) {
+                headers.Authorization = `Bearer ${this.authToken}`;
+            }
+
+            const response = await fetch(`/api/sessions/${encodeURIComponent(this.sessionName)}/waiting-room`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ ...options, sessionKey, userIdentity })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not join the waiting room');
+            }
+
+            this.ticket = data.ticket;
+            this.onStatus(data);
+
+            await new Promise((resolve, reject) => {
+                this.settle = (status, error) => {
+                    this.settle = null;
+                    this.close();
+                    error ? reject(error) : resolve(status);
+                };
+                if (this.cancelled) {
+                    this.settle(null, outcomeError('left'));
+                } else if (root.EventSource) {
+                    this.follow();
+                } else {
+                    this.poll();
+                }
+            });
+
+            return this.collect();
+        }
+
+        /**
+         * Stop waiting. A pending join() rejects.
+         */
+        cancel() {
+            this.cancelled = true;
+            if (this.ticket) {
+                fetch(`/api/waiting-room/${encodeURIComponent(this.ticket)}`, { method: 'DELETE', keepalive: true })
+                    .catch(error => console.warn('Could not leave the waiting room:', error));
+            }
+            this.settle?.(null, outcomeError('left'));
+        }
+
+        follow() {
+            this.source = new EventSource(`/api/waiting-room/${encodeURIComponent(this.ticket)}/events`);
+            this.source.addEventListener('status', (event) => {
+                try {
+                    this.update(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn('Ignoring malformed waiting room status:', error);
+                }
+            });
+            this.source.onerror = () => {
+                // EventSource retries on its own unless the server refused the stream; ask directly then
+                if (this.source?.readyState === EventSource.CLOSED) {
+                    this.source = null;
+                    this.poll();
+                }
+            };
+        }
+
+        async poll() {
+            while (this.settle) {
+                try {
+                    const response = await fetch(`/api/waiting-room/${encodeURIComponent(this.ticket)}?wait=${POLL_WAIT_SECONDS}`);
+                    const data = await response.json();
+                    if (!response.ok) {
+                        // The ticket is gone: it expired or the server restarted
+                        this.settle?.(null, Object.assign(new Error(data.error || OUTCOMES.expired), { code: 'expired' }));
+                        return;
+                    }
+                    this.update(data);
+                } catch (error) {
+                    console.warn('Waiting room poll failed, retrying:', error);
+                    await new Promise(resolve => setTimeout(resolve, RECONNECT_MS));
+                }
+            }
+        }
+
+        update(status) {
+            if (!this.settle) return;
+            this.onStatus(status);
+            if (status.status === 'admitted') {
+                this.settle(status);
+            } else if (status.status !== 'waiting') {
+                this.settle(null, outcomeError(status.status, status.reason));
+            }
+        }
+
+        async collect() {
+            const response = await fetch(`/api/waiting-room/${encodeURIComponent(this.ticket)}/token`, {
+                method: 'POST',
+                headers: this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {}
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not get a token after being admitted');
+            }
+            return data;
+        }
+
+        close() {
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onStatus(status) {
+            // { status: 'waiting' | 'admitted' | ..., position, expiresAt, reason }
+        }
+    }
+
+    class WaitingRoomQueue {
+        constructor() {
+            this.sessionName = null;
+            this.getToken = null;
+            this.source = null;
+            this.reconnectTimer = null;
+            this.waiting = [];
+            // Request ids already reported through onArrived
+            this.seen = new Set();
+        }
+
+        /**
+         * Follow the queue of a session we host. `getToken()` returns our current session token.
+         */
+        attach(sessionName, getToken) {
+            this.detach();
+            this.sessionName = sessionName;
+            this.getToken = getToken;
+            this.connect();
+        }
+
+        detach() {
+            clearTimeout(this.reconnectTimer);
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+            this.sessionName = null;
+            this.waiting = [];
+            this.seen.clear();
+            this.onQueueChanged(this.waiting);
+        }
+
+        get url() {
+            return `/api/sessions/${encodeURIComponent(this.sessionName)}/waiting-room`;
+        }
+
+        connect() {
+            const token = this.getToken?.();
+            if (!this.sessionName || !token) return;
+
+            this.source = new EventSource(`${this.url}/events?${new URLSearchParams({ token })}`);
+            this.source.addEventListener('queue', (event) => {
+                try {
+                    this.update(JSON.parse(event.data).waiting || []);
+                } catch (error) {
+                    console.warn('Ignoring malformed waiting room queue:', error);
+                }
+            });
+            this.source.onerror = () => {
+                if (this.source?.readyState === EventSource.CLOSED) {
+                    this.source = null;
+                    clearTimeout(this.reconnectTimer);
+                    this.reconnectTimer = setTimeout(() => this.connect(), RECONNECT_MS);
+                }
+            };
+        }
+
+        update(waiting) {
+            this.waiting = waiting;
+            waiting.filter(entry => !this.seen.has(entry.id)).forEach(entry => {
+                this.seen.add(entry.id);
+                this.onArrived(entry);
+            });
+            this.onQueueChanged(waiting);
+        }
+
+        admit(id) {
+            return this.send(`${encodeURIComponent(id)}/admit`);
+        }
+
+        deny(id, reason = null) {
+            return this.send(`${encodeURIComponent(id)}/deny`, { reason });
+        }
+
+        admitAll() {
+            return this.send('admit-all');
+        }
+
+        async send(path, body = {}) {
+            if (!this.sessionName) throw new Error('Not in a session');
+
+            const response = await fetch(`${this.url}/${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${this.getToken()}`
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Waiting room request failed');
+            }
+            return data;
+        }
+
+        /**
+         * Event callbacks (override in UI)
+         */
+        onQueueChanged(waiting) {
+            // [{ id, userIdentity, requestedAt, expiresAt }], first come first
+        }
+
+        onArrived(entry) {}
+    }
+
+    class WaitingRoomPanel {
+        /**
+         * `setEnabled(on)` turns the session's waiting room on or off; without it the switch is not shown
+         */
+        constructor(container, queue, { setEnabled = null } = {}) {
+            this.container = container;
+            this.queue = queue;
+            this.setEnabled = setEnabled;
+            this.build();
+
+            queue.onQueueChanged = (waiting) => this.render(waiting);
+        }
+
+        build() {
+            this.header = document.createElement('div');
+            this.header.className = 'participants-header';
+            this.title = document.createElement('span');
+
+            this.toggleLabel = document.createElement('label');
+            this.toggle = document.createElement('input');
+            this.toggle.type = 'checkbox';
+            this.toggle.addEventListener('change', () => {
+                const on = this.toggle.checked;
+                this.run(() => this.setEnabled(on), on ? 'New participants now wait here' : 'Participants join directly; everyone waiting was let in');
+            });
+            this.toggleLabel.append(this.toggle, ' On');
+            this.toggleLabel.hidden = !this.setEnabled;
+
+            this.admitAllButton = button('Admit all', () => this.run(() => this.queue.admitAll()));
+            this.header.append(this.title, this.toggleLabel, this.admitAllButton);
+
+            this.list = document.createElement('ul');
+            this.list.className = 'participants-list';
+
+            this.notice = document.createElement('div');
+            this.notice.className = 'participants-notice';
+
+            this.container.replaceChildren(this.header, this.list, this.notice);
+            this.render([]);
+        }
+
+        /**
+         * Reflect the session setting (e.g. after loading it or another host changed it)
+         */
+        showEnabled(enabled) {
+            this.toggle.checked = !!enabled;
+        }
+
+        render(waiting) {
+            this.title.textContent = `🚪 Waiting room (${waiting.length})`;
+            this.admitAllButton.hidden = waiting.length < 2;
+            this.list.replaceChildren(...waiting.map(entry => this.renderEntry(entry)));
+        }
+
+        renderEntry(entry) {
+            const item = document.createElement('li');
+            item.className = 'participant';
+
+            const info = document.createElement('div');
+            info.className = 'participant-info';
+            const name = document.createElement('span');
+            name.className = 'participant-name';
+            name.textContent = entry.userIdentity;
+            const since = document.createElement('span');
+            since.className = 'participant-status';
+            since.textContent = `waiting since ${new Date(entry.requestedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            info.append(name, since);
+
+            const actions = document.createElement('div');
+            actions.className = 'participant-actions';
+            const deny = button('Deny', () => this.run(() => this.queue.deny(entry.id), `${entry.userIdentity} was not let in`));
+            deny.classList.add('btn-danger');
+            actions.append(button('Admit', () => this.run(() => this.queue.admit(entry.id))), deny);
+
+            item.append(info, actions);
+            return item;
+        }
+
+        async run(action, success = '') {
+            try {
+                await action();
+                this.notice.textContent = success;
+            } catch (error) {
+                this.notice.textContent = `⚠️ ${error.message}`;
+            }
+        }
+    }
+
+    function outcomeError(status, reason = null) {
+        const error = new Error(reason ? `${OUTCOMES[status] || 'Not admitted'}: ${reason}` : (OUTCOMES[status] || 'Not admitted'));
+        error.code = status;
+        return error;
+    }
+
+    function button(label, onClick) {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = 'btn participant-action';
+        element.textContent = label;
+        element.addEventListener('click', onClick);
+        return element;
+    }
+
+    root.WaitingRoomLobby = WaitingRoomLobby;
+    root.WaitingRoomQueue = WaitingRoomQueue;
+    root.WaitingRoomPanel = WaitingRoomPanel;
+})(window);